@@ -6,19 +6,45 @@
 // Listen for messages from popup or content scripts
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'checkAccessibility') {
-    handleAccessibilityCheck(request.url, request.format)
+    handleAccessibilityCheck(request.url, request.format, request.options)
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: error.message }));
+    return true; // Indicates async response
+  }
+
+  if (request.action === 'checkCurrentTab') {
+    handleCurrentTabCheck(request.tabId, request.format, request.options)
       .then(sendResponse)
       .catch(error => sendResponse({ error: error.message }));
     return true; // Indicates async response
   }
 });
 
+// Scripts injected into the checked page, in load order
+const CONTENT_SCRIPT_FILES = [
+  'utils/color-utils.js',
+  'utils/selector-utils.js',
+  'utils/dom-utils.js',
+  'utils/aria-utils.js',
+  'utils/accname.js',
+  'utils/id-index.js',
+  'utils/table-utils.js',
+  'utils/lang-utils.js',
+  'utils/outline-utils.js',
+  'utils/focus-utils.js',
+  'utils/widget-utils.js',
+  'utils/a11y-rules.js',
+  'utils/report-generator.js',
+  'content-script.js'
+];
+
 /**
  * Main function to handle accessibility checking process
  * @param {string} url - URL to check
  * @param {string} format - Report format (json, html, text)
+ * @param {Object} options - Scan options passed to the content script
  */
-async function handleAccessibilityCheck(url, format) {
+async function handleAccessibilityCheck(url, format, options = {}) {
   // Check if scripting API is available
   if (!chrome.scripting) {
     throw new Error('Scripting API is not available. Check manifest permissions.');
@@ -39,92 +65,299 @@ async function handleAccessibilityCheck(url, format) {
     // Wait for the page to load completely
     await waitForTabLoad(tab.id);
 
-    console.log('Page loaded, injecting content scripts...');
+    console.log('Page loaded, running audit...');
 
-    // Inject all necessary content scripts
-    await chrome.scripting.executeScript({
-      target: { tabId: tab.id },
-      files: [
-        'utils/color-utils.js',
-        'utils/a11y-rules.js',
-        'utils/report-generator.js',
-        'content-script.js'
-      ]
-    });
+    const report = await runAuditInTab(tab.id, format, options);
+
+    return { report, format };
 
-    console.log('Content scripts injected, waiting for initialization...');
 
-    // Wait for content script to be ready
-    await waitForContentScript(tab.id);
+  } catch (error) {
+    console.error('Error in handleAccessibilityCheck:', error);
+    throw new Error(`Failed to check website: ${error.message}`);
+  } finally {
+    // Always close the checking tab
+    if (tab?.id) {
+      try {
+        await chrome.tabs.remove(tab.id);
+        console.log('Checking tab closed');
+      } catch (e) {
+        console.warn('Failed to close tab:', e.message);
+      }
+    }
+  }
+}
 
-    console.log('Content script ready, executing checks...');
+/**
+ * Audit an already open tab as it is now, without reloading it
+ * The tab is left open so issues can be located in it afterwards
+ * @param {number} tabId - ID of the tab to check
+ * @param {string} format - Report format (json, html, text)
+ * @param {Object} options - Scan options passed to the content script
+ */
+async function handleCurrentTabCheck(tabId, format, options = {}) {
+  // Check if scripting API is available
+  if (!chrome.scripting) {
+    throw new Error('Scripting API is not available. Check manifest permissions.');
+  }
 
-    // Execute accessibility checks and get raw data
-    const results = await chrome.scripting.executeScript({
-      target: { tabId: tab.id },
-      function: performAccessibilityCheck
-    });
+  try {
+    const tab = await chrome.tabs.get(tabId);
 
-    if (!results || !results[0] || !results[0].result) {
-      throw new Error('No results returned from accessibility check');
+    if (!isValidHttpUrl(tab.url)) {
+      throw new Error('Only http:// and https:// pages can be checked');
     }
 
-    const checkResult = results[0].result;
-    
-    // Validate the result structure
-    if (typeof checkResult === 'string' && checkResult.includes('Error:')) {
-      throw new Error(`Content script error: ${checkResult}`);
-    }
+    console.log('Auditing current tab:', tab.url);
+
+    const report = await runAuditInTab(tab.id, format, options);
 
-    if (!checkResult.issues || !checkResult.summary) {
-      throw new Error('Invalid data structure from accessibility check');
+    return { report, format, tabId: tab.id };
+
+  } catch (error) {
+    console.error('Error in handleCurrentTabCheck:', error);
+    throw new Error(`Failed to check current tab: ${error.message}`);
+  }
+}
+
+/**
+ * Inject content scripts into a loaded tab, run the checks and build the report
+ * @param {number} tabId - ID of the tab to check
+ * @param {string} format - Report format (json, html, text)
+ * @param {Object} options - Scan options passed to the content script
+ * @returns {string} Generated report
+ */
+async function runAuditInTab(tabId, format, options = {}) {
+  console.log('Injecting content scripts...');
+
+  // Inject all necessary content scripts
+  await injectContentScripts(tabId);
+
+  console.log('Content scripts injected, waiting for initialization...');
+
+  // Wait for content script to be ready
+  await waitForContentScript(tabId);
+
+  console.log('Content script ready, executing checks...');
+
+  // Parent frames tell cross-origin frames which element they are loaded in
+  await setFrameSelectorHandshake(tabId, true);
+
+  // Focus indicators can only be measured while :focus styles apply
+  const focusEmulated = !!options.emulateFocus && await enableFocusEmulation(tabId);
+
+  // Execute accessibility checks in every frame and get raw data
+  let results;
+  try {
+    results = await chrome.scripting.executeScript({
+      target: { tabId: tabId, allFrames: true },
+      function: performAccessibilityCheck,
+      args: [options]
+    });
+  } finally {
+    if (focusEmulated) {
+      await disableFocusEmulation(tabId);
     }
+    await setFrameSelectorHandshake(tabId, false);
+  }
 
-    console.log('Accessibility check completed, generating report...');
+  const checkResult = mergeFrameResults(results);
+  
+  // Validate the result structure
+  if (typeof checkResult === 'string' && checkResult.includes('Error:')) {
+    throw new Error(`Content script error: ${checkResult}`);
+  }
+
+  if (!checkResult.issues || !checkResult.summary) {
+    throw new Error('Invalid data structure from accessibility check');
+  }
+
+  console.log('Accessibility check completed, generating report...');
+
+  // Generate the report using ReportGenerator from content script
+  const reportResults = await chrome.scripting.executeScript({
+    target: { tabId: tabId },
+    function: generateReportInContentScript,
+    args: [checkResult, format]
+  });
+
+  if (!reportResults || !reportResults[0] || !reportResults[0].result) {
+    throw new Error('Failed to generate report');
+  }
+
+  const report = reportResults[0].result;
+  
+  // Validate report is not HTML error page
+  if (
+      format !== 'html' &&
+      typeof report === 'string' &&
+      (
+          report.trim().startsWith('<!DOCTYPE') ||
+          report.includes('<html') ||
+          report.includes('</html>')
+      )
+  ) {
+      throw new Error('Received HTML instead of accessibility report. The URL might be inaccessible.');
+  }
+
+  return report;
+}
 
-    // Generate the report using ReportGenerator from content script
-    const reportResults = await chrome.scripting.executeScript({
-      target: { tabId: tab.id },
-      function: generateReportInContentScript,
-      args: [checkResult, format]
+/**
+ * Start or stop answering frame selector requests in every frame of the tab
+ * A failure only leaves cross-origin frame selectors approximate
+ * @param {number} tabId - ID of the tab
+ * @param {boolean} enabled - True to start the handshake, false to stop it
+ */
+async function setFrameSelectorHandshake(tabId, enabled) {
+  try {
+    await chrome.scripting.executeScript({
+      target: { tabId: tabId, allFrames: true },
+      function: toggleFrameSelectorHandshake,
+      args: [enabled]
     });
+  } catch (error) {
+    console.warn('Failed to set up the frame selector handshake:', error.message);
+  }
+}
 
-    if (!reportResults || !reportResults[0] || !reportResults[0].result) {
-      throw new Error('Failed to generate report');
-    }
+/**
+ * Function injected into every frame to start or stop the frame selector handshake
+ * @param {boolean} enabled - True to start the handshake, false to stop it
+ */
+function toggleFrameSelectorHandshake(enabled) {
+  if (enabled && typeof startFrameSelectorHandshake === 'function') {
+    startFrameSelectorHandshake();
+  } else if (!enabled && typeof stopFrameSelectorHandshake === 'function') {
+    stopFrameSelectorHandshake();
+  }
+}
 
-    const report = reportResults[0].result;
-    
-    // Validate report is not HTML error page
-    if (
-        format !== 'html' &&
-        typeof report === 'string' &&
-        (
-            report.trim().startsWith('<!DOCTYPE') ||
-            report.includes('<html') ||
-            report.includes('</html>')
-        )
-    ) {
-        throw new Error('Received HTML instead of accessibility report. The URL might be inaccessible.');
-    }
+/**
+ * Make the tab behave as if it had focus while it is checked
+ * Chrome only matches :focus in the focused window, but the URL audit runs
+ * in a background tab and the current-tab audit runs while the popup has focus.
+ * Runs only when the user turned it on in the popup and granted the optional
+ * debugger permission. Attaching fails if DevTools or another debugger is
+ * already attached to the tab
+ * @param {number} tabId - ID of the tab
+ * @returns {boolean} True if focus emulation is enabled
+ */
+async function enableFocusEmulation(tabId) {
+  if (!chrome.debugger || !(await chrome.permissions.contains({ permissions: ['debugger'] }))) return false;
 
-    return { report, format };
+  try {
+    await chrome.debugger.attach({ tabId: tabId }, '1.3');
+  } catch (error) {
+    console.warn('Failed to attach debugger for focus emulation:', error.message);
+    return false;
+  }
 
+  try {
+    await chrome.debugger.sendCommand({ tabId: tabId }, 'Emulation.setFocusEmulationEnabled', { enabled: true });
+    return true;
+  } catch (error) {
+    console.warn('Failed to enable focus emulation:', error.message);
+    await disableFocusEmulation(tabId);
+    return false;
+  }
+}
 
+/**
+ * Turn focus emulation off and detach the debugger
+ * @param {number} tabId - ID of the tab
+ */
+async function disableFocusEmulation(tabId) {
+  try {
+    await chrome.debugger.sendCommand({ tabId: tabId }, 'Emulation.setFocusEmulationEnabled', { enabled: false });
   } catch (error) {
-    console.error('Error in handleAccessibilityCheck:', error);
-    throw new Error(`Failed to check website: ${error.message}`);
-  } finally {
-    // Always close the checking tab
-    if (tab?.id) {
-      try {
-        await chrome.tabs.remove(tab.id);
-        console.log('Checking tab closed');
-      } catch (e) {
-        console.warn('Failed to close tab:', e.message);
-      }
+    // The tab may already be closed
+  }
+
+  try {
+    await chrome.debugger.detach({ tabId: tabId });
+  } catch (error) {
+    console.warn('Failed to detach debugger:', error.message);
+  }
+}
+
+/**
+ * Inject content scripts into every frame that does not have them yet
+ * Pages matched by the manifest get the scripts on load, and injecting
+ * them a second time would redeclare their globals. Cross-origin frames
+ * are only reachable this way.
+ * @param {number} tabId - ID of the tab
+ */
+async function injectContentScripts(tabId) {
+  let target = { tabId: tabId, allFrames: true };
+
+  try {
+    const results = await chrome.scripting.executeScript({
+      target: { tabId: tabId, allFrames: true },
+      function: () => !!window.a11yInspectorReady
+    });
+
+    const frameIds = (results || [])
+      .filter(frameResult => !frameResult.result)
+      .map(frameResult => frameResult.frameId);
+
+    if (frameIds.length === 0) {
+      console.log('Content scripts already present in all frames');
+      return;
     }
+
+    target = { tabId: tabId, frameIds: frameIds };
+  } catch (error) {
+    console.warn('Failed to check for existing content scripts:', error.message);
   }
+
+  await chrome.scripting.executeScript({
+    target: target,
+    files: CONTENT_SCRIPT_FILES
+  });
+}
+
+/**
+ * Merge check results from all frames into the top frame result
+ * Same-origin frames are covered by their parent and return null
+ * @param {Array} results - Injection results from chrome.scripting.executeScript
+ * @returns {Object} Combined accessibility check data
+ */
+function mergeFrameResults(results) {
+  const topFrame = (results || []).find(frameResult => frameResult.frameId === 0);
+
+  if (!topFrame || !topFrame.result) {
+    throw new Error('No results returned from accessibility check');
+  }
+
+  const checkResult = topFrame.result;
+  if (!Array.isArray(checkResult.issues)) {
+    return checkResult;
+  }
+
+  results.forEach(frameResult => {
+    const data = frameResult.result;
+    if (frameResult.frameId === 0 || !data) return;
+
+    if (data.error || !Array.isArray(data.issues)) {
+      console.warn(`Frame ${frameResult.frameId} check failed:`, data.error);
+      return;
+    }
+
+    checkResult.issues.push(...data.issues);
+    if (Array.isArray(data.notes)) {
+      checkResult.notes = (checkResult.notes || []).concat(data.notes);
+    }
+  });
+
+  const issues = checkResult.issues;
+  checkResult.summary = {
+    total: issues.length,
+    errors: issues.filter(i => i.type === 'error').length,
+    warnings: issues.filter(i => i.type === 'warning').length
+  };
+
+  return checkResult;
 }
 
 /**
@@ -182,6 +415,16 @@ function waitForContentScript(tabId) {
             return {
               hasRunA11yChecks: typeof runA11yChecks === 'function',
               hasColorUtils: typeof ColorUtils !== 'undefined',
+              hasSelectorUtils: typeof SelectorUtils !== 'undefined',
+              hasDomUtils: typeof DomUtils !== 'undefined',
+              hasAriaUtils: typeof AriaUtils !== 'undefined',
+              hasAccessibleName: typeof AccessibleName !== 'undefined',
+              hasIdIndex: typeof IdIndex !== 'undefined',
+              hasTableUtils: typeof TableUtils !== 'undefined',
+              hasLangUtils: typeof LangUtils !== 'undefined',
+              hasOutlineUtils: typeof OutlineUtils !== 'undefined',
+              hasFocusUtils: typeof FocusUtils !== 'undefined',
+              hasWidgetUtils: typeof WidgetUtils !== 'undefined',
               hasA11yRules: typeof A11yRules !== 'undefined',
               hasReportGenerator: typeof ReportGenerator !== 'undefined',
               isReady: !!window.a11yInspectorReady
@@ -192,6 +435,16 @@ function waitForContentScript(tabId) {
         const dependencies = results[0].result;
         if (dependencies.hasRunA11yChecks && 
             dependencies.hasColorUtils && 
+            dependencies.hasSelectorUtils &&
+            dependencies.hasDomUtils &&
+            dependencies.hasAriaUtils &&
+            dependencies.hasAccessibleName &&
+            dependencies.hasIdIndex &&
+            dependencies.hasTableUtils &&
+            dependencies.hasLangUtils &&
+            dependencies.hasOutlineUtils &&
+            dependencies.hasFocusUtils &&
+            dependencies.hasWidgetUtils &&
             dependencies.hasA11yRules &&
             dependencies.hasReportGenerator &&
             dependencies.isReady) {
@@ -222,12 +475,18 @@ function waitForContentScript(tabId) {
 }
 
 /**
- * Function injected into the page to run accessibility checks
+ * Function injected into every frame to run accessibility checks
+ * @param {Object} options - Scan options
+ * @returns {Promise<Object|null>} Check data, null for frames scanned by their parent
  */
-function performAccessibilityCheck() {
+async function performAccessibilityCheck(options) {
   try {
+    if (typeof isScannedByParentFrame === 'function' && isScannedByParentFrame()) {
+      return null;
+    }
+
     if (typeof runA11yChecks === 'function') {
-      return runA11yChecks();
+      return await runA11yChecks(options);
     } else {
       throw new Error('runA11yChecks function not found');
     }
@@ -27,12 +27,76 @@ function initializeDependencies() {
       };
     }
 
+    // Check and initialize SelectorUtils if not available
+    if (typeof SelectorUtils === 'undefined') {
+      console.warn('SelectorUtils not loaded, using fallback');
+      window.SelectorUtils = {
+        getSelector: function(element) {
+          return element && element.tagName ? element.tagName.toLowerCase() : 'unknown';
+        },
+        getXPath: function() { return ''; },
+        getDomPath: function() { return ''; }
+      };
+    }
+
+    // Check and initialize DomUtils if not available
+    if (typeof DomUtils === 'undefined') {
+      console.warn('DomUtils not loaded, using fallback');
+      window.DomUtils = {
+        isElementVisible: function(element) {
+          return !!element && window.getComputedStyle(element).display !== 'none';
+        }
+      };
+    }
+
+    // Check and initialize AriaUtils if not available
+    if (typeof AriaUtils === 'undefined') {
+      console.warn('AriaUtils not loaded, using fallback');
+      window.AriaUtils = {
+        getRole: function(element) {
+          return (element.getAttribute('role') || '').trim().split(/\s+/)[0];
+        },
+        getExplicitRole: function(element) {
+          return (element.getAttribute('role') || '').trim().split(/\s+/)[0];
+        }
+      };
+    }
+
+    // Check and initialize AccessibleName if not available
+    if (typeof AccessibleName === 'undefined') {
+      console.warn('AccessibleName not loaded, using fallback');
+      window.AccessibleName = {
+        compute: function(element) {
+          const name = (element.getAttribute('aria-label') || element.textContent || '').trim();
+          return { name, source: name ? 'contents' : null };
+        },
+        getContentText: function(element) {
+          return (element.textContent || '').trim();
+        },
+        getRole: function(element) {
+          return element.getAttribute('role') || '';
+        }
+      };
+    }
+
+    // Check and initialize TableUtils if not available
+    if (typeof TableUtils === 'undefined') {
+      console.warn('TableUtils not loaded, using fallback');
+      window.TableUtils = {
+        isDataTable: function(table) {
+          return !!(table.querySelector('th') || table.getAttribute('summary'));
+        }
+      };
+    }
+
     // Check and initialize A11yRules if not available
     if (typeof A11yRules === 'undefined') {
       console.warn('A11yRules not loaded, using fallback');
-      window.A11yRules = {};
+      window.A11yRules = {
+        register: function() { return null; }
+      };
       window.A11yRuleUtils = {
-        runAllChecks: function() { return []; }
+        runAllChecks: async function() { return []; }
       };
     }
 
@@ -59,42 +123,128 @@ function initializeDependencies() {
 // Initialize dependencies when content script loads
 initializeDependencies();
 
+/**
+ * Register the checks implemented in this script in the rule registry
+ * They run through A11yRuleUtils together with the rules from a11y-rules.js
+ */
+function registerContentScriptRules() {
+  try {
+    A11yRules.register('contrast', 'insufficientContrast', {
+      id: 'color-contrast',
+      tags: ['wcag2aa', 'wcag143'],
+      check: (context) => checkColorContrast(context.options, context.document),
+      message: 'Insufficient text contrast',
+      type: 'error'
+    });
+
+    A11yRules.register('aria', 'labelWithoutText', {
+      id: 'aria-label-without-text',
+      selector: '[aria-label]',
+      tags: ['best-practice'],
+      check: (el) => !AccessibleName.getContentText(el),
+      message: 'Element with aria-label without visible text content',
+      type: 'warning'
+    });
+
+    A11yRules.register('keyboard', 'invalidTabindex', {
+      id: 'tabindex-valid',
+      selector: '[tabindex]',
+      tags: ['best-practice'],
+      check: (el) => parseInt(el.getAttribute('tabindex')) < -1,
+      message: 'Invalid tabindex value',
+      type: 'error'
+    });
+
+    A11yRules.register('semantics', 'divAsButton', {
+      id: 'div-as-button',
+      selector: 'div[onclick], div[role="button"]',
+      tags: ['wcag2a', 'wcag412'],
+      check: () => true,
+      message: 'Using div instead of button for interactive element',
+      type: 'warning'
+    });
+
+    A11yRules.register('semantics', 'layoutTable', {
+      id: 'layout-table',
+      selector: 'table:not([role])',
+      includeHidden: true,
+      tags: ['wcag2a', 'wcag131'],
+      check: (table) => !TableUtils.isDataTable(table),
+      message: 'Possible table usage for layout',
+      type: 'warning'
+    });
+
+    A11yRules.register('structure', 'listChildren', {
+      id: 'list-children',
+      selector: 'ul, ol, dl',
+      tags: ['wcag2a', 'wcag131'],
+      check: (list) => checkListChildren(list),
+      message: 'List contains elements that are not list items',
+      type: 'error'
+    });
+
+    A11yRules.register('structure', 'listItemParent', {
+      id: 'listitem-parent',
+      selector: 'li, dt, dd',
+      tags: ['wcag2a', 'wcag131'],
+      check: (item) => checkListItemParent(item),
+      message: 'List item outside of a list',
+      type: 'error'
+    });
+
+    A11yRules.register('structure', 'visualList', {
+      id: 'visual-list',
+      tags: ['wcag2a', 'wcag131'],
+      check: (context) => checkVisualLists(context.document, context.options, A11yRuleUtils.getShadowRoots(context)),
+      message: 'Text formatted as a list is not marked up as a list',
+      type: 'warning'
+    });
+
+    A11yRules.register('language', 'missingLang', {
+      id: 'html-has-lang',
+      tags: ['wcag2a', 'wcag311'],
+      check: (context) => checkLanguage(context.document),
+      message: 'Missing lang attribute on html element',
+      type: 'error'
+    });
+  } catch (error) {
+    console.error('Error registering content script rules:', error);
+  }
+}
+
+registerContentScriptRules();
+
 /**
  * Main function to run all accessibility checks
- * @returns {Object} Accessibility report with issues and summary
+ * @param {Object} options - Scan options
+ * @param {boolean} options.aboveTheFoldOnly - Only check the first screen of the page
+ * @returns {Promise<Object>} Accessibility report with issues and summary
  */
-function runA11yChecks() {
+async function runA11yChecks(options = {}) {
   console.log('Starting accessibility checks...');
   
   const issues = [];
+  const notes = [];
+
+  // Ask the parent while the checks run
+  const frameSelectorRequest = window !== window.top ? requestFrameSelector() : null;
   
   try {
     // Use modular accessibility rules if available
     if (typeof A11yRuleUtils !== 'undefined' && typeof A11yRuleUtils.runAllChecks === 'function') {
       console.log('Using A11yRuleUtils for checks');
-      const ruleIssues = A11yRuleUtils.runAllChecks();
+      const ruleIssues = await A11yRuleUtils.runAllChecks(options, notes);
       issues.push(...ruleIssues);
     } else {
       console.log('A11yRuleUtils not available, running basic checks');
       // Run basic checks if rule utils are not available
-      issues.push(...runBasicChecks());
+      issues.push(...runBasicChecks(options));
     }
 
-    // Run additional specialized checks
-    const contrastIssues = checkColorContrast();
-    issues.push(...contrastIssues);
-
-    const ariaIssues = checkAriaAttributes();
-    issues.push(...ariaIssues);
-
-    const keyboardIssues = checkKeyboardNavigation();
-    issues.push(...keyboardIssues);
-
-    const semanticIssues = checkSemanticMarkup();
-    issues.push(...semanticIssues);
-
-    const langIssues = checkLanguage();
-    issues.push(...langIssues);
+    // Frames the parent page cannot reach are reported with the frame URL
+    if (frameSelectorRequest) {
+      markFrameIssues(issues, await frameSelectorRequest);
+    }
 
   } catch (error) {
     console.error('Error during accessibility check:', error);
@@ -112,6 +262,11 @@ function runA11yChecks() {
   return {
     url: window.location.href,
     timestamp: new Date().toISOString(),
+    scope: options.aboveTheFoldOnly ? 'above-the-fold' : 'full-page',
+    headingOutline: getHeadingOutline(),
+    landmarkMap: getLandmarkMap(),
+    focusSequence: getFocusSequence(),
+    notes: notes,
     issues: issues,
     summary: {
       total: issues.length,
@@ -121,23 +276,177 @@ function runA11yChecks() {
   };
 }
 
+/**
+ * Build the heading outline of the page for the report
+ * @returns {Array} Headings ({ level, text, selector, hidden }) in reading order
+ */
+function getHeadingOutline() {
+  try {
+    return typeof OutlineUtils !== 'undefined' ? OutlineUtils.getHeadingOutline(document) : [];
+  } catch (error) {
+    console.error('Heading outline error:', error);
+    return [];
+  }
+}
+
+/**
+ * Build the landmark map of the page for the report
+ * @returns {Array} Landmarks ({ role, name, selector, depth }) in reading order
+ */
+function getLandmarkMap() {
+  try {
+    return typeof OutlineUtils !== 'undefined' ? OutlineUtils.getLandmarkMap(document) : [];
+  } catch (error) {
+    console.error('Landmark map error:', error);
+    return [];
+  }
+}
+
+/**
+ * Build the numbered tab sequence of the page for the report
+ * @returns {Array} Focus stops ({ index, tabIndex, role, name, selector }) in Tab order
+ */
+function getFocusSequence() {
+  try {
+    return typeof FocusUtils !== 'undefined' ? FocusUtils.getFocusSequence(document) : [];
+  } catch (error) {
+    console.error('Focus sequence error:', error);
+    return [];
+  }
+}
+
+/**
+ * Check if this frame is scanned as part of its parent document
+ * Same-origin frames are walked by the parent, so scanning them
+ * on their own would report every issue twice
+ * @returns {boolean} True if the parent frame covers this document
+ */
+function isScannedByParentFrame() {
+  try {
+    return window !== window.top && !!window.frameElement;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Message types of the frame selector handshake between a frame and its parent
+const FRAME_SELECTOR_REQUEST = 'a11y-inspector-frame-selector-request';
+const FRAME_SELECTOR_RESPONSE = 'a11y-inspector-frame-selector';
+
+// Longest wait for the parent frame's answer, in ms
+const FRAME_SELECTOR_TIMEOUT = 2000;
+
+// Listener answering child frames while an audit runs
+let frameSelectorListener = null;
+
+/**
+ * Answer frame selector requests from child frames until stopFrameSelectorHandshake()
+ * A cross-origin frame cannot reach its own iframe element, but the parent
+ * can: it matches the message source against the contentWindow of its frames
+ * and sends the selector back to the frame's origin. The background script
+ * starts the handshake in every frame before the checks and stops it after them
+ */
+function startFrameSelectorHandshake() {
+  if (frameSelectorListener) return;
+
+  frameSelectorListener = (event) => {
+    const data = event.data;
+    if (!data || data.type !== FRAME_SELECTOR_REQUEST || !event.source) return;
+
+    const frame = DomUtils.querySelectorAllDeep('iframe, frame', document)
+      .find(element => element.contentWindow === event.source);
+    if (!frame) return;
+
+    try {
+      event.source.postMessage({ type: FRAME_SELECTOR_RESPONSE, selector: SelectorUtils.getSelector(frame) }, event.origin);
+    } catch (error) {
+      // Sandboxed frames have an opaque origin that cannot be targeted
+    }
+  };
+  window.addEventListener('message', frameSelectorListener);
+}
+
+/**
+ * Stop answering frame selector requests
+ */
+function stopFrameSelectorHandshake() {
+  if (!frameSelectorListener) return;
+
+  window.removeEventListener('message', frameSelectorListener);
+  frameSelectorListener = null;
+}
+
+/**
+ * Ask the parent frame for the selector of this frame's element
+ * @returns {Promise<string|null>} Selector, null if the parent did not answer in time
+ */
+function requestFrameSelector() {
+  return new Promise(resolve => {
+    let timer = null;
+    const listener = (event) => {
+      const data = event.data;
+      if (event.source !== window.parent || !data || data.type !== FRAME_SELECTOR_RESPONSE) return;
+      finish(typeof data.selector === 'string' ? data.selector : null);
+    };
+    const finish = (selector) => {
+      clearTimeout(timer);
+      window.removeEventListener('message', listener);
+      resolve(selector);
+    };
+
+    window.addEventListener('message', listener);
+    timer = setTimeout(() => finish(null), FRAME_SELECTOR_TIMEOUT);
+
+    // Only the parent's origin may read the request
+    const origins = window.location.ancestorOrigins;
+    const parentOrigin = origins && origins.length > 0 && origins[0] !== 'null' ? origins[0] : '*';
+    window.parent.postMessage({ type: FRAME_SELECTOR_REQUEST }, parentOrigin);
+  });
+}
+
+/**
+ * Record the frame URL and the frame element selector on issues found in a cross-origin frame
+ * The selector comes from the parent frame; if it has not answered, the selector
+ * is guessed from the frame URL and the issue is marked with selectorApproximate
+ * (redirected, relative, srcdoc and duplicate frame URLs do not match it)
+ * @param {Array} issues - Issues found in this frame
+ * @param {string|null} frameSelector - Selector of the frame element from requestFrameSelector()
+ */
+function markFrameIssues(issues, frameSelector) {
+  const frameUrl = window.location.href;
+  const prefix = frameSelector || `iframe[src="${SelectorUtils.escapeAttributeValue(frameUrl)}"]`;
+
+  issues.forEach(issue => {
+    issue.frameUrl = frameUrl;
+    if (issue.selector) {
+      issue.selector = prefix + SelectorUtils.BOUNDARY + issue.selector;
+      if (!frameSelector) issue.selectorApproximate = true;
+    }
+  });
+}
+
 /**
  * Basic accessibility checks as fallback
+ * @param {Object} options - Scan options
  */
-function runBasicChecks() {
+function runBasicChecks(options = {}) {
   const issues = [];
   
   try {
     // Check images without alt
     const images = document.querySelectorAll('img:not([alt])');
     images.forEach(img => {
-      if (isElementVisible(img)) {
+      if (isElementVisible(img, options)) {
         issues.push({
+          ruleId: 'image-alt',
           type: 'error',
           category: 'images',
+          wcag: ['1.1.1'],
           message: 'Image missing alt attribute',
           element: img.outerHTML.slice(0, 100),
-          selector: getSelector(img)
+          selector: getSelector(img),
+          xpath: SelectorUtils.getXPath(img),
+          domPath: SelectorUtils.getDomPath(img)
         });
       }
     });
@@ -146,11 +455,15 @@ function runBasicChecks() {
     const html = document.documentElement;
     if (!html.getAttribute('lang')) {
       issues.push({
+        ruleId: 'html-has-lang',
         type: 'error',
         category: 'language',
+        wcag: ['3.1.1'],
         message: 'Missing lang attribute on html element',
         element: html.outerHTML.slice(0, 100),
-        selector: 'html'
+        selector: 'html',
+        xpath: '/html',
+        domPath: 'html'
       });
     }
 
@@ -158,9 +471,11 @@ function runBasicChecks() {
     const h1s = document.querySelectorAll('h1');
     if (h1s.length === 0) {
       issues.push({
+        ruleId: 'page-has-h1',
         type: 'warning',
         category: 'headings',
-        message: 'No H1 heading found',
+        wcag: [],
+        message: 'Missing H1 heading',
         element: null,
         selector: null
       });
@@ -169,13 +484,18 @@ function runBasicChecks() {
     // Check form labels
     const inputs = document.querySelectorAll('input[type="text"], input[type="email"], input[type="password"], textarea');
     inputs.forEach(input => {
-      if (!input.id || !document.querySelector(`label[for="${input.id}"]`)) {
+      // input.labels avoids building a selector from the ID, which breaks on quotes
+      if (!input.labels || input.labels.length === 0) {
         issues.push({
+          ruleId: 'label',
           type: 'warning',
           category: 'forms',
+          wcag: ['1.3.1', '4.1.2'],
           message: 'Input without associated label',
           element: input.outerHTML.slice(0, 100),
-          selector: getSelector(input)
+          selector: getSelector(input),
+          xpath: SelectorUtils.getXPath(input),
+          domPath: SelectorUtils.getDomPath(input)
         });
       }
     });
@@ -196,24 +516,24 @@ function runBasicChecks() {
 
 /**
  * Check color contrast for all visible text elements
+ * @param {Object} options - Scan options
+ * @param {Document} doc - Document to check (top document or same-origin frame)
+ * @returns {Array} Rule results for the color-contrast rule
  */
-function checkColorContrast() {
-  const issues = [];
+function checkColorContrast(options = {}, doc = document) {
+  const results = [];
   
   try {
     // Limit elements for performance on large pages
-    const textElements = getTextElements().slice(0, 1000);
+    const textElements = getTextElements(options, doc).slice(0, 1000);
     
     textElements.forEach(element => {
       const contrastResult = getContrastRatioForElement(element);
       
       if (contrastResult && !contrastResult.meetsAA) {
-        issues.push({
-          type: 'error',
-          category: 'contrast',
+        results.push({
           message: `Insufficient contrast: ${contrastResult.ratio.toFixed(2)}:1 (required ${contrastResult.requiredAARatio}:1)`,
-          element: element.outerHTML.slice(0, 100),
-          selector: getSelector(element),
+          element,
           details: {
             ratio: contrastResult.ratio.toFixed(2),
             requiredRatio: contrastResult.requiredAARatio,
@@ -230,24 +550,27 @@ function checkColorContrast() {
     console.error('Contrast check error:', error);
   }
 
-  return issues;
+  return results;
 }
 
 /**
- * Get all visible text elements on the page
+ * Get all visible text elements on the page, including open shadow roots
+ * @param {Object} options - Scan options
+ * @param {Document} doc - Document to search in
  */
-function getTextElements() {
+function getTextElements(options = {}, doc = document) {
   const elements = [];
   
   try {
-    // Simple and efficient implementation
-    const allElements = document.body.getElementsByTagName('*');
+    if (!doc.body) return elements;
+
+    const allElements = DomUtils.getAllElementsDeep(doc.body);
     
     for (let i = 0; i < allElements.length; i++) {
       const element = allElements[i];
       
       // Skip hidden elements
-      if (!isElementVisible(element)) continue;
+      if (!isElementVisible(element, options)) continue;
       
       // Check if element contains text
       const text = element.textContent || element.innerText || '';
@@ -267,26 +590,12 @@ function getTextElements() {
 
 /**
  * Check if element is visible on the page
+ * Offscreen elements are included unless options.aboveTheFoldOnly is set
  * @param {Element} element - DOM element to check
+ * @param {Object} options - Scan options
  */
-function isElementVisible(element) {
-  try {
-    if (!element || !element.getBoundingClientRect) return false;
-    
-    const rect = element.getBoundingClientRect();
-    const style = window.getComputedStyle(element);
-    
-    return !(rect.width === 0 && rect.height === 0) &&
-           style.display !== 'none' &&
-           style.visibility !== 'hidden' &&
-           style.opacity !== '0' &&
-           rect.top < window.innerHeight &&
-           rect.bottom > 0 &&
-           rect.left < window.innerWidth &&
-           rect.right > 0;
-  } catch (e) {
-    return false;
-  }
+function isElementVisible(element, options = {}) {
+  return DomUtils.isElementVisible(element, options);
 }
 
 /**
@@ -295,7 +604,7 @@ function isElementVisible(element) {
  */
 function getContrastRatioForElement(element) {
   try {
-    const style = window.getComputedStyle(element);
+    const style = DomUtils.getComputedStyle(element);
     const textColor = style.color;
     const backgroundColor = getBackgroundColor(element);
     
@@ -341,9 +650,9 @@ function getBackgroundColor(element) {
   let currentElement = element;
   let backgroundColor = null;
 
-  // Traverse up the DOM tree to find opaque background
-  while (currentElement && currentElement !== document.documentElement) {
-    const style = window.getComputedStyle(currentElement);
+  // Traverse up the DOM tree (through shadow hosts) to find opaque background
+  while (currentElement && currentElement !== currentElement.ownerDocument.documentElement) {
+    const style = DomUtils.getComputedStyle(currentElement);
     const bgColor = style.backgroundColor;
     
     if (bgColor && bgColor !== 'rgba(0, 0, 0, 0)' && bgColor !== 'transparent') {
@@ -354,7 +663,7 @@ function getBackgroundColor(element) {
       }
     }
     
-    currentElement = currentElement.parentElement;
+    currentElement = DomUtils.getComposedParent(currentElement);
   }
 
   // Fallback to white if no background found
@@ -390,205 +699,233 @@ function getRequiredContrastRatio(fontSize, fontWeight) {
 }
 
 /**
- * Check ARIA attributes usage
+ * Check language attribute
+ * @param {Document} doc - Document to check
+ * @returns {Object|boolean} Rule result for the html element, false if lang is set
  */
-function checkAriaAttributes() {
-  const issues = [];
-  
-  try {
-    // Check aria-label without visible text
-    const ariaLabeled = document.querySelectorAll('[aria-label]');
-    ariaLabeled.forEach(el => {
-      if (!isElementVisible(el)) return;
-      
-      const hasText = el.textContent && el.textContent.trim();
-      const hasAltImage = el.querySelector('img[alt]');
-      
-      if (!hasText && !hasAltImage) {
-        issues.push({
-          type: 'warning',
-          category: 'aria',
-          message: 'Element with aria-label without visible text content',
-          element: el.outerHTML.slice(0, 100),
-          selector: getSelector(el)
-        });
-      }
-    });
+function checkLanguage(doc = document) {
+  const html = doc.documentElement;
+  return html.getAttribute('lang') ? false : { element: html };
+}
 
-    // Check ARIA roles validity
-    const elementsWithRole = document.querySelectorAll('[role]');
-    elementsWithRole.forEach(el => {
-      const role = el.getAttribute('role');
-      if (role && !isValidAriaRole(role)) {
-        issues.push({
-          type: 'warning',
-          category: 'aria',
-          message: `Invalid ARIA role: ${role}`,
-          element: el.outerHTML.slice(0, 100),
-          selector: getSelector(el)
-        });
-      }
-    });
+/**
+ * Check that a native list only contains list items
+ * ul/ol may hold li (with the listitem role), dl may hold dt/dd or div groups of them.
+ * Lists whose role is overridden are skipped, they no longer expose list semantics
+ * @param {Element} list - ul, ol or dl element
+ * @returns {Object|boolean} Rule result, false if the structure is valid
+ */
+function checkListChildren(list) {
+  const role = AriaUtils.getExplicitRole(list);
+  if (role && role !== 'list') return false;
 
-  } catch (error) {
-    console.error('ARIA check error:', error);
-  }
+  const isListItem = list.localName === 'dl'
+    ? (child) => isDefinitionListChild(child)
+    : (child) => child.localName === 'li' && AriaUtils.getRole(child) === 'listitem';
 
-  return issues;
+  const invalid = Array.from(list.children)
+    .filter(child => !isListSupportingElement(child) && !isListItem(child));
+  if (invalid.length === 0) return false;
+
+  const expected = list.localName === 'dl' ? 'dt, dd or div' : 'li';
+  return {
+    message: `<${list.localName}> contains ${invalid.map(describeListChild).join(', ')}, only ${expected} elements are allowed`,
+    related: invalid.slice(0, 5).map(element => ({ label: 'Child', element }))
+  };
+}
+
+/**
+ * Check if an element is allowed as a child of dl
+ * @param {Element} child - Child element of dl
+ * @returns {boolean} True for dt, dd and div elements wrapping dt/dd groups
+ */
+function isDefinitionListChild(child) {
+  if (child.localName === 'dt' || child.localName === 'dd') return true;
+  if (child.localName !== 'div' || child.hasAttribute('role')) return false;
+
+  const items = Array.from(child.children).filter(item => !isListSupportingElement(item));
+  return items.length > 0 && items.every(item => item.localName === 'dt' || item.localName === 'dd');
 }
 
 /**
- * Validate ARIA role
- * @param {string} role - ARIA role to validate
+ * Check if an element may appear in a list besides list items
+ * @param {Element} element - Child element of a list
+ * @returns {boolean} True for script-supporting elements
  */
-function isValidAriaRole(role) {
-  const validRoles = [
-    'button', 'checkbox', 'dialog', 'gridcell', 'link', 'listbox', 
-    'option', 'progressbar', 'radio', 'slider', 'tab', 'tabpanel',
-    'textbox', 'menu', 'menubar', 'menuitem', 'navigation', 'banner',
-    'main', 'complementary', 'contentinfo', 'search', 'form'
-  ];
-  return validRoles.includes(role);
+function isListSupportingElement(element) {
+  return element.localName === 'script' || element.localName === 'template';
 }
 
 /**
- * Check keyboard navigation accessibility
+ * Describe a misplaced list child for messages, e.g. <div> or <li role="tab">
+ * @param {Element} element - DOM element
+ * @returns {string} Tag with role if present
  */
-function checkKeyboardNavigation() {
-  const issues = [];
-  
-  try {
-    // Check tabindex values
-    const tabIndexElements = document.querySelectorAll('[tabindex]');
-    tabIndexElements.forEach(el => {
-      if (!isElementVisible(el)) return;
-      
-      const tabIndex = parseInt(el.getAttribute('tabindex'));
-      if (tabIndex < -1) {
-        issues.push({
-          type: 'error',
-          category: 'keyboard',
-          message: 'Invalid tabindex value',
-          element: el.outerHTML.slice(0, 100),
-          selector: getSelector(el)
-        });
-      }
-    });
+function describeListChild(element) {
+  const role = element.getAttribute('role');
+  return role ? `<${element.localName} role="${role}">` : `<${element.localName}>`;
+}
 
-    // Check interactive elements without proper focus
-    const interactiveElements = document.querySelectorAll('button, a, input, select, textarea, [onclick]');
-    interactiveElements.forEach(el => {
-      if (!isElementVisible(el)) return;
-      
-      const tabIndex = el.getAttribute('tabindex');
-      if (tabIndex === null && el.disabled !== true) {
-        const style = window.getComputedStyle(el);
-        if (style.pointerEvents !== 'none' && style.display !== 'none') {
-          issues.push({
-            type: 'warning',
-            category: 'keyboard',
-            message: 'Interactive element may not be keyboard accessible',
-            element: el.outerHTML.slice(0, 100),
-            selector: getSelector(el)
-          });
-        }
-      }
-    });
+/**
+ * Check that li is inside a list and dt/dd are inside dl
+ * li with an explicit role other than listitem is repurposed (e.g. as a tab)
+ * and is checked by the ARIA rules instead
+ * @param {Element} item - li, dt or dd element
+ * @returns {Object|boolean} Rule result, false if the item has a list parent
+ */
+function checkListItemParent(item) {
+  const parent = DomUtils.getComposedParent(item);
 
-  } catch (error) {
-    console.error('Keyboard navigation check error:', error);
+  if (item.localName !== 'li') {
+    const list = parent && parent.localName === 'div' ? parent.parentElement : parent;
+    if (list && list.localName === 'dl') return false;
+
+    return {
+      message: `<${item.localName}> must be inside <dl>`,
+      related: parent ? [{ label: 'Parent', element: parent }] : []
+    };
   }
 
-  return issues;
+  const role = AriaUtils.getExplicitRole(item);
+  if (role && role !== 'listitem') return false;
+
+  if (parent && AriaUtils.getRole(parent) === 'list') return false;
+
+  const parentRole = parent ? parent.getAttribute('role') : null;
+  const isNativeList = parent && ['ul', 'ol', 'menu'].includes(parent.localName);
+
+  return {
+    message: isNativeList
+      ? `<li> inside <${parent.localName} role="${parentRole}">, which removes the list semantics`
+      : '<li> must be inside <ul>, <ol>, <menu> or an element with role="list"',
+    related: parent ? [{ label: 'Parent', element: parent }] : []
+  };
 }
 
 /**
- * Check semantic HTML markup
+ * Find text formatted as a list without list markup
+ * Looks for runs of sibling paragraphs and for <br>-separated lines
+ * that start with the same kind of bullet ("•", "-", "1." and similar)
+ * @param {Document} doc - Document to check
+ * @param {Object} options - Scan options
+ * @param {Array|null} shadowRoots - Shadow roots of the document, see DomUtils.querySelectorAllDeep()
+ * @returns {Array} Rule results, one per run of lines
  */
-function checkSemanticMarkup() {
-  const issues = [];
-  
+function checkVisualLists(doc = document, options = {}, shadowRoots = null) {
+  const results = [];
+  // Two marked lines already read as a list
+  const minItems = 2;
+
   try {
-    // Check div usage instead of semantic elements
-    const divButtons = document.querySelectorAll('div[onclick], div[role="button"]');
-    divButtons.forEach(div => {
-      if (!isElementVisible(div)) return;
-      
-      issues.push({
-        type: 'warning',
-        category: 'semantics',
-        message: 'Using div instead of button for interactive element',
-        element: div.outerHTML.slice(0, 100),
-        selector: getSelector(div)
+    const isCandidate = (element) => isElementVisible(element, options) &&
+      !DomUtils.closestDeep(element, 'ul, ol, dl, [role="list"], pre, code');
+
+    // Sibling paragraphs, e.g. <p>• One</p><p>• Two</p>
+    const parents = new Set(DomUtils.querySelectorAllDeep('p', doc, shadowRoots).map(p => p.parentNode));
+    parents.forEach(parent => {
+      let run = [];
+      const flush = () => {
+        if (run.length >= minItems) {
+          results.push({
+            element: run[0].element,
+            message: `${run.length} paragraphs starting with "${run[0].marker}" look like a list but are not marked up as one`,
+            details: { items: run.map(item => item.text) },
+            related: run.slice(1, 5).map(item => ({ label: 'Item', element: item.element }))
+          });
+        }
+        run = [];
+      };
+
+      Array.from(parent.children).forEach(child => {
+        const text = child.localName === 'p' && isCandidate(child) ? child.textContent.trim() : '';
+        const marker = getListMarker(text);
+
+        if (marker && (run.length === 0 || run[0].type === marker.type)) {
+          run.push({ element: child, marker: marker.marker, type: marker.type, text: text.slice(0, 60) });
+        } else {
+          flush();
+          if (marker) run.push({ element: child, marker: marker.marker, type: marker.type, text: text.slice(0, 60) });
+        }
       });
+      flush();
     });
 
-    // Check table usage for layout
-    const layoutTables = document.querySelectorAll('table:not([role])');
-    layoutTables.forEach(table => {
-      if (!table.querySelector('th') && !table.getAttribute('summary')) {
-        issues.push({
-          type: 'warning',
-          category: 'semantics',
-          message: 'Possible table usage for layout',
-          element: table.outerHTML.slice(0, 100),
-          selector: getSelector(table)
-        });
-      }
-    });
+    // Lines separated by <br>, e.g. "- One<br>- Two"
+    const containers = new Set(DomUtils.querySelectorAllDeep('br', doc, shadowRoots).map(br => br.parentElement).filter(Boolean));
+    containers.forEach(container => {
+      if (!isCandidate(container)) return;
+
+      // Only consecutive lines with the same kind of marker form a list
+      let run = [];
+      const flush = () => {
+        if (run.length >= minItems) {
+          results.push({
+            element: container,
+            message: `${run.length} lines separated by <br> look like a list but are not marked up as one`,
+            details: { items: run.slice(0, 10).map(item => item.text.slice(0, 60)) }
+          });
+        }
+        run = [];
+      };
+
+      getBrSeparatedLines(container).forEach(text => {
+        const marker = getListMarker(text);
 
+        if (!marker || (run.length > 0 && run[0].type !== marker.type)) flush();
+        if (marker) run.push({ type: marker.type, text });
+      });
+      flush();
+    });
   } catch (error) {
-    console.error('Semantic markup check error:', error);
+    console.error('Visual list check error:', error);
   }
 
-  return issues;
+  return results;
 }
 
 /**
- * Check language attribute
+ * Get the bullet or number a line of text starts with
+ * @param {string} text - Line of text
+ * @returns {Object|null} Marker text and its type (bullet character or 'number')
  */
-function checkLanguage() {
-  const issues = [];
-  
-  try {
-    const html = document.documentElement;
-    const lang = html.getAttribute('lang');
-    
-    if (!lang) {
-      issues.push({
-        type: 'error',
-        category: 'language',
-        message: 'Missing lang attribute on html element',
-        element: html.outerHTML.slice(0, 100),
-        selector: 'html'
-      });
-    }
-  } catch (error) {
-    console.error('Language check error:', error);
-  }
-  
-  return issues;
+function getListMarker(text) {
+  const match = (text || '').match(/^([•●○◦▪▫■□‣∙·*–—-]|\d{1,2}[.)])\s+\S/);
+  if (!match) return null;
+
+  const marker = match[1];
+  return { marker, type: /\d/.test(marker) ? 'number' : marker };
+}
+
+/**
+ * Split the text of an element into lines at <br> elements
+ * @param {Element} container - Element containing <br>
+ * @returns {Array} Trimmed non-empty lines
+ */
+function getBrSeparatedLines(container) {
+  const lines = [''];
+
+  const walk = (node) => {
+    node.childNodes.forEach(child => {
+      if (child.nodeType === Node.TEXT_NODE) {
+        lines[lines.length - 1] += child.textContent;
+      } else if (child.nodeType === Node.ELEMENT_NODE) {
+        if (child.localName === 'br') {
+          lines.push('');
+        } else {
+          walk(child);
+        }
+      }
+    });
+  };
+  walk(container);
+
+  return lines.map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean);
 }
 
 /**
- * Generate CSS selector for an element
+ * Generate unique CSS selector for an element
  * @param {Element} element - DOM element
  */
 function getSelector(element) {
-  if (!element || !element.tagName) return 'unknown';
-  
-  try {
-    if (element.id) {
-      return `#${element.id}`;
-    }
-    if (element.className && typeof element.className === 'string') {
-      const firstClass = element.className.split(' ')[0];
-      if (firstClass) {
-        return `${element.tagName.toLowerCase()}.${firstClass}`;
-      }
-    }
-    return element.tagName.toLowerCase();
-  } catch (e) {
-    return element.tagName ? element.tagName.toLowerCase() : 'unknown';
-  }
+  return SelectorUtils.getSelector(element);
 }
\ No newline at end of file
@@ -2,7 +2,10 @@ document.addEventListener('DOMContentLoaded', function() {
   // DOM elements
   const urlInput = document.getElementById('url-input');
   const formatSelect = document.getElementById('format-select');
+  const aboveFoldCheckbox = document.getElementById('above-fold-checkbox');
+  const focusEmulationCheckbox = document.getElementById('focus-emulation-checkbox');
   const checkBtn = document.getElementById('check-btn');
+  const checkTabBtn = document.getElementById('check-tab-btn');
   const statusDiv = document.getElementById('status');
   const resultsDiv = document.getElementById('results');
   // const reportContent = document.getElementById('report-content');
@@ -22,9 +25,11 @@ document.addEventListener('DOMContentLoaded', function() {
   function init() {
     // Set up event listeners
     checkBtn.addEventListener('click', startCheck);
+    checkTabBtn.addEventListener('click', startCurrentTabCheck);
     downloadBtn.addEventListener('click', downloadReport);
     copyBtn.addEventListener('click', copyReportToClipboard);
     urlInput.addEventListener('keypress', handleUrlInputKeypress);
+    focusEmulationCheckbox.addEventListener('change', handleFocusEmulationChange);
 
     // Load saved data
     loadSavedData();
@@ -46,20 +51,48 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   }
 
+  // Эмуляция фокуса подключает отладчик к вкладке, поэтому разрешение запрашивается только по флажку
+  function handleFocusEmulationChange() {
+    if (!focusEmulationCheckbox.checked) {
+      saveCurrentData();
+      return;
+    }
+
+    chrome.permissions.request({ permissions: ['debugger'] }, (granted) => {
+      focusEmulationCheckbox.checked = !!granted;
+      saveCurrentData();
+    });
+  }
+
   function loadSavedData() {
-    chrome.storage.local.get(['lastUrl', 'lastFormat'], function(result) {
+    chrome.storage.local.get(['lastUrl', 'lastFormat', 'lastAboveTheFoldOnly', 'lastEmulateFocus'], function(result) {
       if (result.lastUrl) urlInput.value = result.lastUrl;
       if (result.lastFormat) formatSelect.value = result.lastFormat;
+      aboveFoldCheckbox.checked = !!result.lastAboveTheFoldOnly;
+
+      // Разрешение могло быть отозвано на странице расширений
+      chrome.permissions.contains({ permissions: ['debugger'] }, (granted) => {
+        focusEmulationCheckbox.checked = !!result.lastEmulateFocus && granted;
+      });
     });
   }
 
   function saveCurrentData() {
     chrome.storage.local.set({
       lastUrl: urlInput.value,
-      lastFormat: formatSelect.value
+      lastFormat: formatSelect.value,
+      lastAboveTheFoldOnly: aboveFoldCheckbox.checked,
+      lastEmulateFocus: focusEmulationCheckbox.checked
     });
   }
 
+  function getScanOptions() {
+    return {
+      aboveTheFoldOnly: aboveFoldCheckbox.checked,
+      emulateFocus: focusEmulationCheckbox.checked
+    };
+  }
+
   function startCheck() {
     const url = urlInput.value.trim();
     const format = formatSelect.value;
@@ -82,11 +115,33 @@ document.addEventListener('DOMContentLoaded', function() {
     hideResults();
 
     chrome.runtime.sendMessage(
-      { action: 'checkAccessibility', url, format },
+      { action: 'checkAccessibility', url, format, options: getScanOptions() },
       handleResponse
     );
   }
 
+  function startCurrentTabCheck() {
+    const format = formatSelect.value;
+
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      const tab = tabs[0];
+      if (!tab || !isValidUrl(tab.url)) {
+        showStatus('Текущую вкладку нельзя проверить: поддерживаются только страницы http:// и https://', 'error');
+        return;
+      }
+
+      saveCurrentData();
+      setLoadingState(true);
+      showStatus('Идёт проверка текущей вкладки...', 'loading');
+      hideResults();
+
+      chrome.runtime.sendMessage(
+        { action: 'checkCurrentTab', tabId: tab.id, format, options: getScanOptions() },
+        handleResponse
+      );
+    });
+  }
+
   function handleResponse(response) {
     setLoadingState(false);
 
@@ -230,7 +285,7 @@ document.addEventListener('DOMContentLoaded', function() {
               <span class="issue-category">${issue.category || 'unknown'}</span>
             </div>
             <div class="issue-message">${issue.message || 'Нет описания'}</div>
-            ${issue.selector ? `<div class="issue-selector"><strong>Селектор:</strong> ${issue.selector}</div>` : ''}
+            ${issue.selector ? `<div class="issue-selector"><strong>Селектор:</strong> ${issue.selector}${issue.selectorApproximate ? ' (приблизительно)' : ''}</div>` : ''}
             ${issue.details ? `<div class="issue-details"><pre>${JSON.stringify(issue.details, null, 2)}</pre></div>` : ''}
           </div>
         `;
@@ -251,7 +306,7 @@ document.addEventListener('DOMContentLoaded', function() {
         const typeLabel = issue.type === 'error' ? 'ОШИБКА' : 'ПРЕДУПРЕЖДЕНИЕ';
         text += `${index + 1}. [${typeLabel}] ${issue.category || 'unknown'}\n`;
         text += `   Сообщение: ${issue.message || 'Нет описания'}\n`;
-        if (issue.selector) text += `   Селектор: ${issue.selector}\n`;
+        if (issue.selector) text += `   Селектор: ${issue.selector}${issue.selectorApproximate ? ' (приблизительно)' : ''}\n`;
         text += '\n';
       });
     }
@@ -266,13 +321,54 @@ document.addEventListener('DOMContentLoaded', function() {
     _report += "**Всего проблем:** " + data.summary.total + "\n";
     _report += "**Предупреждений:** " + data.summary.warnings + "\n";
     _report += "**Ошибок:** " + data.summary.errors + "\n\n";
+    if (data.headingOutline && data.headingOutline.length > 0){
+        _report += "## Структура заголовков\n\n```\n";
+        data.headingOutline.forEach(heading => {
+            _report += "  ".repeat(Math.max(0, heading.level - 1)) + "H" + heading.level + " " + (heading.text || "(empty)") + (heading.hidden ? " [hidden from AT]" : "") + " (" + heading.selector + ")\n";
+        });
+        _report += "```\n\n";
+    }
+    if (data.landmarkMap && data.landmarkMap.length > 0){
+        _report += "## Ориентиры\n\n```\n";
+        data.landmarkMap.forEach(landmark => {
+            _report += "  ".repeat(landmark.depth) + landmark.role + (landmark.name ? " \"" + landmark.name + "\"" : "") + " (" + landmark.selector + ")\n";
+        });
+        _report += "```\n\n";
+    }
+    if (data.focusSequence && data.focusSequence.length > 0){
+        _report += "## Порядок фокуса\n\n```\n";
+        data.focusSequence.forEach(stop => {
+            _report += stop.index + ". " + stop.role + (stop.name ? " \"" + stop.name + "\"" : "") + (stop.tabIndex > 0 ? " [tabindex=" + stop.tabIndex + "]" : "") + " (" + stop.selector + ")\n";
+        });
+        _report += "```\n\n";
+    }
+    if (data.notes && data.notes.length > 0){
+        _report += "## Примечания к проверке\n\n";
+        data.notes.forEach(note => {
+            _report += "- " + note.message + " (" + note.url + ")\n";
+        });
+        _report += "\n";
+    }
     _report += "## Детализация ошибок \n";
     data.issues.forEach((item, i) => {
         _report += "### **Issue:** " + i + "\n\n";
         _report += "**Type:** " + item.type + "\n";
         _report += "**Category**" + item.category + "\n"
         _report += "**Message:** " + item.message + "\n";
-        _report += item.selector ? "**Selector:** " + item.selector + "\n" : "";
+        _report += item.ruleId ? "**Rule:** " + item.ruleId + "\n" : "";
+        _report += item.wcag && item.wcag.length ? "**WCAG:** " + item.wcag.join(", ") + (item.level ? " (" + item.level + ")" : "") + "\n" : "";
+        _report += item.confidence !== undefined ? "**Confidence:** " + Math.round(item.confidence * 100) + "%\n" : "";
+        _report += item.accessibleName ? "**Accessible name:** " + (item.accessibleName.name ? "\"" + item.accessibleName.name + "\" (" + item.accessibleName.source + ")" : "(empty)") + "\n" : "";
+        _report += item.selector ? "**Selector:** " + item.selector + (item.selectorApproximate ? " (approximate)" : "") + "\n" : "";
+        _report += item.xpath ? "**XPath:** " + item.xpath + "\n" : "";
+        (item.related || []).forEach(related => {
+            _report += "**" + related.label + ":** " + related.selector + "\n";
+        });
+        _report += item.details && item.details.headerMap ? "**Header map:**\n```\n" + item.details.headerMap.join("\n") + "\n```\n" : "";
+        _report += item.details && item.details.svg ? "**SVG markup:** `" + item.details.svg + "`\n" : "";
+        _report += item.details && item.details.indicator ? "**Focus indicator:** " + item.details.indicator + "\n" : "";
+        _report += item.details && item.details.sequence ? "**Focus path:** " + item.details.sequence + "\n" : "";
+        _report += item.details && item.details.expected ? "**Expected:** " + item.details.expected + "\n**Observed:** " + item.details.observed + "\n" : "";
         _report += item.element ? "**Element code:**\n```\n" + item.element + "\n```\n" : "";
         if (item.category === "contrast"){
             _report += "#### Contrast parameters\n\n";
@@ -344,6 +440,7 @@ document.addEventListener('DOMContentLoaded', function() {
   }
 
   function setLoadingState(isLoading) {
+    checkTabBtn.disabled = isLoading;
     if (isLoading) {
       checkBtn.disabled = true;
       buttonText.textContent = 'Checking...';
@@ -334,6 +334,9 @@ function generateIssue(position, issue){
     const cnt_message = (Object.hasOwn(issue, "message") ? issue.message : "Сообщение отсутсвует");
     const cnt_selector = Object.hasOwn(issue, "selector") ? issue.selector : null;
     const cnt_type = Object.hasOwn(issue, "type") ? issue.type : "Не указано";
+    const cnt_rule_id = Object.hasOwn(issue, "ruleId") ? issue.ruleId : null;
+    const cnt_wcag = issue.wcag && issue.wcag.length ? issue.wcag.join(", ") + (issue.level ? " (" + issue.level + ")" : "") : null;
+    const cnt_accessible_name = issue.accessibleName ? (issue.accessibleName.name ? "\\"" + issue.accessibleName.name + "\\" (" + issue.accessibleName.source + ")" : "(empty)") : null;
 
     let details = document.createElement("details");
     details.setAttribute("data-category", cnt_category);
@@ -366,8 +369,57 @@ function generateIssue(position, issue){
 
     let details_contained = document.createElement("div");
 
+    if (cnt_rule_id){
+        details_contained.appendChild(createPairConstructElement("Rule", cnt_rule_id));
+    }
+
+    if (cnt_wcag){
+        details_contained.appendChild(createPairConstructElement("WCAG", cnt_wcag));
+    }
+
+    if (issue.confidence !== undefined){
+        details_contained.appendChild(createPairConstructElement("Confidence", Math.round(issue.confidence * 100) + "%"));
+    }
+
+    if (cnt_accessible_name){
+        details_contained.appendChild(createPairConstructElement("Accessible name", cnt_accessible_name));
+    }
+
     if (cnt_selector){
-        details_contained.appendChild(createPairConstructElement("Selector", cnt_selector));
+        details_contained.appendChild(createPairConstructElement("Selector", cnt_selector + (issue.selectorApproximate ? " (approximate)" : "")));
+    }
+
+    if (issue.xpath){
+        details_contained.appendChild(createPairConstructElement("XPath", issue.xpath));
+    }
+
+    if (issue.domPath){
+        details_contained.appendChild(createPairConstructElement("DOM path", issue.domPath));
+    }
+
+    (issue.related || []).forEach(related => {
+        details_contained.appendChild(createPairConstructElement(related.label, related.selector));
+    });
+
+    if (issue.details && issue.details.headerMap){
+        details_contained.appendChild(createPairConstructElement("Header map", issue.details.headerMap.join("\\n")));
+    }
+
+    if (issue.details && issue.details.svg){
+        details_contained.appendChild(createPairConstructElement("SVG markup", issue.details.svg));
+    }
+
+    if (issue.details && issue.details.indicator){
+        details_contained.appendChild(createPairConstructElement("Focus indicator", issue.details.indicator));
+    }
+
+    if (issue.details && issue.details.sequence){
+        details_contained.appendChild(createPairConstructElement("Focus path", issue.details.sequence));
+    }
+
+    if (issue.details && issue.details.expected){
+        details_contained.appendChild(createPairConstructElement("Expected", issue.details.expected));
+        details_contained.appendChild(createPairConstructElement("Observed", issue.details.observed));
     }
 
     details_contained.classList.add("issues__list__details__container");
@@ -495,6 +547,65 @@ function checkIsAllExpandedElements(elements){
     return isAllExpanded;     
 }
 
+function showHeadingOutline(outline){
+    /* Выводит структуру заголовков страницы в виде дерева */
+    const container = document.getElementById("heading-outline");
+    if (!container || !outline || outline.length === 0){
+        return;
+    }
+    const lines = outline.map(heading => {
+        const indent = "  ".repeat(Math.max(0, heading.level - 1));
+        const hidden = heading.hidden ? " [hidden from AT]" : "";
+        return indent + "H" + heading.level + " " + (heading.text || "(empty)") + hidden + " (" + heading.selector + ")";
+    });
+    document.getElementById("heading-outline--tree").textContent = lines.join("\\n");
+    container.hidden = false;
+}
+
+
+function showLandmarkMap(landmarks){
+    /* Выводит карту ориентиров страницы в виде дерева */
+    const container = document.getElementById("landmark-map");
+    if (!container || !landmarks || landmarks.length === 0){
+        return;
+    }
+    const lines = landmarks.map(landmark => {
+        const name = landmark.name ? " \\"" + landmark.name + "\\"" : "";
+        return "  ".repeat(landmark.depth) + landmark.role + name + " (" + landmark.selector + ")";
+    });
+    document.getElementById("landmark-map--tree").textContent = lines.join("\\n");
+    container.hidden = false;
+}
+
+
+function showFocusSequence(sequence){
+    /* Выводит пронумерованную последовательность перехода по Tab */
+    const container = document.getElementById("focus-sequence");
+    if (!container || !sequence || sequence.length === 0){
+        return;
+    }
+    const lines = sequence.map(stop => {
+        const name = stop.name ? " \\"" + stop.name + "\\"" : "";
+        const tabIndex = stop.tabIndex > 0 ? " [tabindex=" + stop.tabIndex + "]" : "";
+        return stop.index + ". " + stop.role + name + tabIndex + " (" + stop.selector + ")";
+    });
+    document.getElementById("focus-sequence--list").textContent = lines.join("\\n");
+    container.hidden = false;
+}
+
+
+function showNotes(notes){
+    /* Выводит проверки, которые не удалось выполнить */
+    const container = document.getElementById("scan-notes");
+    if (!container || !notes || notes.length === 0){
+        return;
+    }
+    const lines = notes.map(note => note.message + " (" + note.url + ")");
+    document.getElementById("scan-notes--list").textContent = lines.join("\\n");
+    container.hidden = false;
+}
+
+
 function init(reportData){
     summaryUrl.innerText = reportData.url;
     summaryUrl.setAttribute("href", reportData.url);
@@ -502,6 +613,10 @@ function init(reportData){
     summaryTotalIssues.innerText = reportData.summary.total;
     summaryWarnings.innerText = reportData.summary.warnings;
     summaryErrors.innerText = reportData.summary.errors;
+    showHeadingOutline(reportData.headingOutline);
+    showLandmarkMap(reportData.landmarkMap);
+    showFocusSequence(reportData.focusSequence);
+    showNotes(reportData.notes);
     showDetailsIssues(reportData.issues);
 
     const issuesElements = document.getElementsByClassName("issues__list__details");
@@ -591,6 +706,22 @@ function init(reportData){
             </div>
         </header>
         <main>
+            <section id="heading-outline" hidden>
+                <h2>Структура заголовков</h2>
+                <pre class="issues__list__details__code" id="heading-outline--tree"></pre>
+            </section>
+            <section id="landmark-map" hidden>
+                <h2>Ориентиры</h2>
+                <pre class="issues__list__details__code" id="landmark-map--tree"></pre>
+            </section>
+            <section id="focus-sequence" hidden>
+                <h2>Порядок фокуса</h2>
+                <pre class="issues__list__details__code" id="focus-sequence--list"></pre>
+            </section>
+            <section id="scan-notes" hidden>
+                <h2>Примечания к проверке</h2>
+                <pre class="issues__list__details__code" id="scan-notes--list"></pre>
+            </section>
             <h2>Подробности</h2>
             <div class="issues__controls">
                 <div class="issues__controls__selector">
@@ -670,13 +801,54 @@ function parseReportAsMarkdwon(reportData){
     _report += "**Всего проблем:** " + reportData.summary.total + "\n";
     _report += "**Предупреждений:** " + reportData.summary.warnings + "\n";
     _report += "**Ошибок:** " + reportData.summary.errors + "\n\n";
+    if (reportData.headingOutline && reportData.headingOutline.length > 0){
+        _report += "## Структура заголовков\n\n```\n";
+        reportData.headingOutline.forEach(heading => {
+            _report += "  ".repeat(Math.max(0, heading.level - 1)) + "H" + heading.level + " " + (heading.text || "(empty)") + (heading.hidden ? " [hidden from AT]" : "") + " (" + heading.selector + ")\n";
+        });
+        _report += "```\n\n";
+    }
+    if (reportData.landmarkMap && reportData.landmarkMap.length > 0){
+        _report += "## Ориентиры\n\n```\n";
+        reportData.landmarkMap.forEach(landmark => {
+            _report += "  ".repeat(landmark.depth) + landmark.role + (landmark.name ? " \"" + landmark.name + "\"" : "") + " (" + landmark.selector + ")\n";
+        });
+        _report += "```\n\n";
+    }
+    if (reportData.focusSequence && reportData.focusSequence.length > 0){
+        _report += "## Порядок фокуса\n\n```\n";
+        reportData.focusSequence.forEach(stop => {
+            _report += stop.index + ". " + stop.role + (stop.name ? " \"" + stop.name + "\"" : "") + (stop.tabIndex > 0 ? " [tabindex=" + stop.tabIndex + "]" : "") + " (" + stop.selector + ")\n";
+        });
+        _report += "```\n\n";
+    }
+    if (reportData.notes && reportData.notes.length > 0){
+        _report += "## Примечания к проверке\n\n";
+        reportData.notes.forEach(note => {
+            _report += "- " + note.message + " (" + note.url + ")\n";
+        });
+        _report += "\n";
+    }
     _report += "## Детализация ошибок \n";
     reportData.issues.forEach((item, i) => {
         _report += "### **Issue:** " + i + "\n\n";
         _report += "**Type:** " + item.type + "\n";
         _report += "**Category**" + item.category + "\n"
         _report += "**Message:** " + item.message + "\n";
-        _report += item.selector ? "**Selector:** " + item.selector + "\n" : "";
+        _report += item.ruleId ? "**Rule:** " + item.ruleId + "\n" : "";
+        _report += item.wcag && item.wcag.length ? "**WCAG:** " + item.wcag.join(", ") + (item.level ? " (" + item.level + ")" : "") + "\n" : "";
+        _report += item.confidence !== undefined ? "**Confidence:** " + Math.round(item.confidence * 100) + "%\n" : "";
+        _report += item.accessibleName ? "**Accessible name:** " + (item.accessibleName.name ? "\"" + item.accessibleName.name + "\" (" + item.accessibleName.source + ")" : "(empty)") + "\n" : "";
+        _report += item.selector ? "**Selector:** " + item.selector + (item.selectorApproximate ? " (approximate)" : "") + "\n" : "";
+        _report += item.xpath ? "**XPath:** " + item.xpath + "\n" : "";
+        (item.related || []).forEach(related => {
+            _report += "**" + related.label + ":** " + related.selector + "\n";
+        });
+        _report += item.details && item.details.headerMap ? "**Header map:**\n```\n" + item.details.headerMap.join("\n") + "\n```\n" : "";
+        _report += item.details && item.details.svg ? "**SVG markup:** `" + item.details.svg + "`\n" : "";
+        _report += item.details && item.details.indicator ? "**Focus indicator:** " + item.details.indicator + "\n" : "";
+        _report += item.details && item.details.sequence ? "**Focus path:** " + item.details.sequence + "\n" : "";
+        _report += item.details && item.details.expected ? "**Expected:** " + item.details.expected + "\n**Observed:** " + item.details.observed + "\n" : "";
         _report += item.element ? "**Element code:**\n```\n" + item.element + "\n```\n" : "";
         if (item.category === "contrast"){
             _report += "#### Contrast parameters\n\n";
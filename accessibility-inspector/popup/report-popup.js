@@ -47,6 +47,9 @@ function generateIssue(position, issue){
     const cnt_message = (Object.hasOwn(issue, "message") ? issue.message : "Сообщение отсутсвует");
     const cnt_selector = Object.hasOwn(issue, "selector") ? issue.selector : null;
     const cnt_type = Object.hasOwn(issue, "type") ? issue.type : "Не указано";
+    const cnt_rule_id = Object.hasOwn(issue, "ruleId") ? issue.ruleId : null;
+    const cnt_wcag = issue.wcag && issue.wcag.length ? issue.wcag.join(", ") + (issue.level ? " (" + issue.level + ")" : "") : null;
+    const cnt_accessible_name = issue.accessibleName ? (issue.accessibleName.name ? "\"" + issue.accessibleName.name + "\" (" + issue.accessibleName.source + ")" : "(empty)") : null;
 
     let details = document.createElement("details");
     details.setAttribute("data-category", cnt_category);
@@ -79,8 +82,57 @@ function generateIssue(position, issue){
 
     let details_contained = document.createElement("div");
 
+    if (cnt_rule_id){
+        details_contained.appendChild(createPairConstructElement("Rule", cnt_rule_id));
+    }
+
+    if (cnt_wcag){
+        details_contained.appendChild(createPairConstructElement("WCAG", cnt_wcag));
+    }
+
+    if (issue.confidence !== undefined){
+        details_contained.appendChild(createPairConstructElement("Confidence", Math.round(issue.confidence * 100) + "%"));
+    }
+
+    if (cnt_accessible_name){
+        details_contained.appendChild(createPairConstructElement("Accessible name", cnt_accessible_name));
+    }
+
     if (cnt_selector){
-        details_contained.appendChild(createPairConstructElement("Selector", cnt_selector));
+        details_contained.appendChild(createPairConstructElement("Selector", cnt_selector + (issue.selectorApproximate ? " (approximate)" : "")));
+    }
+
+    if (issue.xpath){
+        details_contained.appendChild(createPairConstructElement("XPath", issue.xpath));
+    }
+
+    if (issue.domPath){
+        details_contained.appendChild(createPairConstructElement("DOM path", issue.domPath));
+    }
+
+    (issue.related || []).forEach(related => {
+        details_contained.appendChild(createPairConstructElement(related.label, related.selector));
+    });
+
+    if (issue.details && issue.details.headerMap){
+        details_contained.appendChild(createPairConstructElement("Header map", issue.details.headerMap.join("\n")));
+    }
+
+    if (issue.details && issue.details.svg){
+        details_contained.appendChild(createPairConstructElement("SVG markup", issue.details.svg));
+    }
+
+    if (issue.details && issue.details.indicator){
+        details_contained.appendChild(createPairConstructElement("Focus indicator", issue.details.indicator));
+    }
+
+    if (issue.details && issue.details.sequence){
+        details_contained.appendChild(createPairConstructElement("Focus path", issue.details.sequence));
+    }
+
+    if (issue.details && issue.details.expected){
+        details_contained.appendChild(createPairConstructElement("Expected", issue.details.expected));
+        details_contained.appendChild(createPairConstructElement("Observed", issue.details.observed));
     }
 
     details_contained.classList.add("issues__list__details__container");
@@ -208,6 +260,65 @@ function checkIsAllExpandedElements(elements){
     return isAllExpanded;     
 }
 
+function showHeadingOutline(outline){
+    /* Выводит структуру заголовков страницы в виде дерева */
+    const container = document.getElementById("heading-outline");
+    if (!container || !outline || outline.length === 0){
+        return;
+    }
+    const lines = outline.map(heading => {
+        const indent = "  ".repeat(Math.max(0, heading.level - 1));
+        const hidden = heading.hidden ? " [hidden from AT]" : "";
+        return indent + "H" + heading.level + " " + (heading.text || "(empty)") + hidden + " (" + heading.selector + ")";
+    });
+    document.getElementById("heading-outline--tree").textContent = lines.join("\n");
+    container.hidden = false;
+}
+
+
+function showLandmarkMap(landmarks){
+    /* Выводит карту ориентиров страницы в виде дерева */
+    const container = document.getElementById("landmark-map");
+    if (!container || !landmarks || landmarks.length === 0){
+        return;
+    }
+    const lines = landmarks.map(landmark => {
+        const name = landmark.name ? " \"" + landmark.name + "\"" : "";
+        return "  ".repeat(landmark.depth) + landmark.role + name + " (" + landmark.selector + ")";
+    });
+    document.getElementById("landmark-map--tree").textContent = lines.join("\n");
+    container.hidden = false;
+}
+
+
+function showFocusSequence(sequence){
+    /* Выводит пронумерованную последовательность перехода по Tab */
+    const container = document.getElementById("focus-sequence");
+    if (!container || !sequence || sequence.length === 0){
+        return;
+    }
+    const lines = sequence.map(stop => {
+        const name = stop.name ? " \"" + stop.name + "\"" : "";
+        const tabIndex = stop.tabIndex > 0 ? " [tabindex=" + stop.tabIndex + "]" : "";
+        return stop.index + ". " + stop.role + name + tabIndex + " (" + stop.selector + ")";
+    });
+    document.getElementById("focus-sequence--list").textContent = lines.join("\n");
+    container.hidden = false;
+}
+
+
+function showNotes(notes){
+    /* Выводит проверки, которые не удалось выполнить */
+    const container = document.getElementById("scan-notes");
+    if (!container || !notes || notes.length === 0){
+        return;
+    }
+    const lines = notes.map(note => note.message + " (" + note.url + ")");
+    document.getElementById("scan-notes--list").textContent = lines.join("\n");
+    container.hidden = false;
+}
+
+
 function init(reportData){
     summaryUrl.innerText = reportData.url;
     summaryUrl.setAttribute("href", reportData.url);
@@ -215,6 +326,10 @@ function init(reportData){
     summaryTotalIssues.innerText = reportData.summary.total;
     summaryWarnings.innerText = reportData.summary.warnings;
     summaryErrors.innerText = reportData.summary.errors;
+    showHeadingOutline(reportData.headingOutline);
+    showLandmarkMap(reportData.landmarkMap);
+    showFocusSequence(reportData.focusSequence);
+    showNotes(reportData.notes);
     showDetailsIssues(reportData.issues);
 
     const issuesElements = document.getElementsByClassName("issues__list__details");
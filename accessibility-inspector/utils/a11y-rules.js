@@ -1,6 +1,27 @@
 /**
  * Accessibility rules definitions and utilities
  * Modular system for defining and applying accessibility checks
+ *
+ * Every rule has a stable `id` that is reported as `ruleId` on each issue,
+ * so reports can be filtered and suppressed without matching message text.
+ * Rules with a `selector` are checked against every matching element,
+ * including elements in open shadow roots. Rules without one are
+ * document-level rules checked once per document; the top document and
+ * every same-origin frame are checked. `topFrameOnly` limits a
+ * document-level rule to the top-level page.
+ *
+ * `tags` follow the WCAG naming used by most audit tools: a conformance
+ * level tag (`wcag2a`, `wcag2aa`, `wcag21aa`, ...) plus one tag per success
+ * criterion (`wcag111` for 1.1.1, `wcag1410` for 1.4.10). Rules that are not
+ * tied to a success criterion are tagged `best-practice`.
+ *
+ * `check` returns a falsy value when the rule passes. Any other value is
+ * turned into issues: `true` reports the rule as defined, an object may
+ * override `message`, `type`, `element`, add `details` and list `related`
+ * elements (`{ label, element }`), and an array reports several issues at once.
+ *
+ * Issues on interactive elements carry `accessibleName`: the name computed
+ * by AccessibleName and the source it came from.
  */
 
 // Main accessibility rules object
@@ -8,18 +29,27 @@ const A11yRules = {
   // Rules for checking images
   images: {
     missingAlt: {
+      id: 'image-alt',
+      selector: 'img',
+      tags: ['wcag2a', 'wcag111'],
       check: (img) => !img.hasAttribute('alt'),
       message: 'Image missing alt attribute',
       type: 'error',
       category: 'images'
     },
     emptyAlt: {
+      id: 'image-alt-empty',
+      selector: 'img',
+      tags: ['wcag2a', 'wcag111'],
       check: (img) => img.getAttribute('alt') === '',
       message: 'Empty alt attribute (decorative image)',
       type: 'warning',
       category: 'images'
     },
     longAlt: {
+      id: 'image-alt-long',
+      selector: 'img',
+      tags: ['best-practice'],
       check: (img) => {
         const alt = img.getAttribute('alt');
         return alt && alt.length > 125;
@@ -27,50 +57,501 @@ const A11yRules = {
       message: 'Alt attribute too long (over 125 characters)',
       type: 'warning',
       category: 'images'
+    },
+    svgName: {
+      id: 'svg-img-alt',
+      selector: 'svg',
+      tags: ['wcag2a', 'wcag111'],
+      check: (svg) => {
+        // Nested svg elements are part of the outer graphic
+        if (svg.parentElement && svg.parentElement.closest('svg')) return false;
+
+        const role = AriaUtils.getExplicitRole(svg);
+        if (role === 'presentation' || role === 'none') return false;
+
+        const details = { svg: A11yRuleUtils.getSvgMarkup(svg) };
+        const name = AccessibleName.compute(svg).name;
+        const isImage = ['img', 'graphics-document', 'graphics-symbol'].includes(role);
+
+        if (isImage) {
+          return name ? false : {
+            message: `SVG with role="${role}" has no <title> or aria-label`,
+            details
+          };
+        }
+
+        // Icons inside a named control are covered by the control's name
+        const control = A11yRuleUtils.getIconControl(svg);
+        if (control && !name && AccessibleName.compute(control).name) {
+          return {
+            message: 'Decorative SVG inside a named control should have aria-hidden="true"',
+            type: 'warning',
+            details
+          };
+        }
+
+        return name ? {
+          message: 'SVG with a text alternative needs role="img" to be announced as an image',
+          type: 'warning',
+          details
+        } : {
+          message: 'SVG without role="img" and a title, or aria-hidden="true" if it is decorative',
+          details
+        };
+      },
+      message: 'SVG without text alternative',
+      type: 'error',
+      category: 'images'
+    },
+    svgFocusable: {
+      id: 'svg-decorative-focusable',
+      selector: 'svg[aria-hidden="true"][focusable="true"]',
+      includeHidden: true,
+      tags: ['best-practice'],
+      check: (svg) => ({ details: { svg: A11yRuleUtils.getSvgMarkup(svg) } }),
+      message: 'Decorative SVG has focusable="true", use focusable="false"',
+      type: 'warning',
+      category: 'images'
+    },
+    svgImageRole: {
+      id: 'svg-img-role',
+      selector: 'img[src*=".svg"], img[src*=".SVG"]',
+      tags: ['best-practice'],
+      check: (img) => {
+        const path = img.getAttribute('src').split(/[?#]/)[0];
+        if (!/\.svg$/i.test(path)) return false;
+
+        // Some screen readers skip or misread SVG images without an explicit role
+        return img.getAttribute('alt') && !AriaUtils.getExplicitRole(img) ? {
+          details: { src: img.getAttribute('src') }
+        } : false;
+      },
+      message: 'SVG image with alt text should have role="img"',
+      type: 'warning',
+      category: 'images'
+    },
+    altFileName: {
+      id: 'image-alt-filename',
+      selector: 'img[alt]',
+      tags: ['wcag2a', 'wcag111'],
+      check: (img) => {
+        const alt = A11yRuleUtils.normalizeText(img.getAttribute('alt'));
+        if (!alt) return false;
+
+        const fileName = A11yRuleUtils.getFileName(img.getAttribute('src'));
+        if (/^[\w\-. ]+\.(jpe?g|png|gif|svg|webp|avif|bmp|tiff?)$/i.test(alt)) {
+          return { confidence: 0.95 };
+        }
+        if (fileName && alt.toLowerCase() === fileName.replace(/\.\w+$/, '').toLowerCase() && /[-_\d]/.test(alt)) {
+          return { confidence: 0.85 };
+        }
+        // Camera and screenshot names such as IMG_1234 or DSC00042
+        return /^(img|dsc|dscn|dcim|pic|photo|image|screenshot|scan)[-_ ]?\d+/i.test(alt) ? { confidence: 0.8 } : false;
+      },
+      message: 'Alt text is a file name',
+      type: 'warning',
+      category: 'images'
+    },
+    altRedundantPrefix: {
+      id: 'image-alt-redundant',
+      selector: 'img[alt]',
+      tags: ['best-practice'],
+      check: (img) => {
+        const alt = A11yRuleUtils.normalizeText(img.getAttribute('alt'));
+        // \b does not work for Cyrillic, so the word end is matched explicitly
+        const match = alt.match(/^((image|picture|photo|graphic|icon) of|изображение|картинка|фотография|фото|иконка)(?=[\s:,.-]|$)/i);
+
+        // Screen readers already announce the element as an image
+        return match && alt.length > match[0].length ? {
+          message: `Alt text starts with "${match[0]}", screen readers already announce it as an image`,
+          confidence: 0.7
+        } : false;
+      },
+      message: 'Alt text starts with "image of"',
+      type: 'warning',
+      category: 'images'
+    },
+    altPlaceholder: {
+      id: 'image-alt-placeholder',
+      selector: 'img[alt]',
+      tags: ['wcag2a', 'wcag111'],
+      check: (img) => {
+        const alt = A11yRuleUtils.normalizeText(img.getAttribute('alt')).toLowerCase();
+        return A11yRuleUtils.PLACEHOLDER_ALT.includes(alt) ? {
+          message: `Placeholder alt text "${img.getAttribute('alt').trim()}"`,
+          confidence: 0.9
+        } : false;
+      },
+      message: 'Placeholder alt text',
+      type: 'warning',
+      category: 'images'
+    },
+    altDuplicatesText: {
+      id: 'image-alt-duplicate',
+      selector: 'img[alt]',
+      tags: ['best-practice'],
+      check: (img) => {
+        const alt = A11yRuleUtils.normalizeText(img.getAttribute('alt')).toLowerCase();
+        if (!alt) return false;
+
+        const figure = img.closest('figure');
+        const caption = figure && figure.querySelector('figcaption');
+        if (caption && A11yRuleUtils.normalizeText(caption.textContent).toLowerCase() === alt) {
+          return {
+            message: 'Alt text repeats the figure caption, screen readers read it twice',
+            confidence: 0.85,
+            related: [{ label: 'Caption', element: caption }]
+          };
+        }
+
+        const control = A11yRuleUtils.getIconControl(img);
+        if (control && A11yRuleUtils.getTextWithoutImages(control).toLowerCase() === alt) {
+          const role = AriaUtils.getRole(control) || 'control';
+          return {
+            message: `Alt text repeats the ${role} text, screen readers read it twice; use alt="" instead`,
+            confidence: 0.85,
+            related: [{ label: role.charAt(0).toUpperCase() + role.slice(1), element: control }]
+          };
+        }
+
+        // Text right next to the image, e.g. a caption paragraph
+        const sibling = img.nextElementSibling || img.previousElementSibling;
+        if (sibling && !sibling.querySelector('img') && A11yRuleUtils.normalizeText(sibling.textContent).toLowerCase() === alt) {
+          return {
+            message: 'Alt text repeats the adjacent text',
+            confidence: 0.6,
+            related: [{ label: 'Adjacent text', element: sibling }]
+          };
+        }
+
+        return false;
+      },
+      message: 'Alt text repeats nearby text',
+      type: 'warning',
+      category: 'images'
+    },
+    linkedImageAlt: {
+      id: 'image-link-alt',
+      selector: 'a[href] img[alt], [role="link"] img[alt]',
+      tags: ['wcag2a', 'wcag244'],
+      check: (img) => {
+        const link = A11yRuleUtils.getIconControl(img);
+        if (!link || A11yRuleUtils.getTextWithoutImages(link)) return false;
+
+        // The alt is the link name: it should name the destination, not the picture
+        const alt = A11yRuleUtils.normalizeText(img.getAttribute('alt')).toLowerCase();
+        if (!alt) return false;
+
+        const visual = /^(arrow|chevron|icon|button|banner|logo|image|photo|picture|стрелка|иконка|кнопка|баннер|логотип)$/i.test(alt);
+        const generic = A11yRuleUtils.isGenericLinkText(alt);
+        return visual || generic ? {
+          message: `Linked image alt "${img.getAttribute('alt').trim()}" does not describe the link destination`,
+          confidence: generic ? 0.8 : 0.6,
+          related: [{ label: 'Link', element: link }]
+        } : false;
+      },
+      message: 'Linked image alt does not describe the destination',
+      type: 'warning',
+      category: 'images'
+    },
+    emptyAltInControl: {
+      id: 'image-alt-empty-control',
+      selector: 'img[alt=""]',
+      tags: ['wcag2a', 'wcag244', 'wcag412'],
+      check: (img) => {
+        const control = A11yRuleUtils.getIconControl(img);
+        if (!control || AccessibleName.compute(control).name) return false;
+
+        // link-name and button-name report these controls with the image as the cause
+        if (A11yRuleUtils.hasNameRule(control)) return false;
+
+        const images = control.querySelectorAll('img');
+        return Array.from(images).every(image => image.getAttribute('alt') === '') ? {
+          message: 'Empty alt on the only content of a link or button leaves the control without a name',
+          confidence: 0.95,
+          related: [{ label: 'Control', element: control }]
+        } : false;
+      },
+      message: 'Empty alt on the only content of a control',
+      type: 'warning',
+      category: 'images'
+    },
+    iconFontName: {
+      id: 'icon-font-name',
+      selector: 'a[href], button, [role="button"], [role="link"], [role="menuitem"], [role="tab"], summary',
+      tags: ['wcag2a', 'wcag111', 'wcag412'],
+      check: (control) => {
+        const icon = control.querySelector(A11yRuleUtils.ICON_FONT_SELECTOR);
+        const name = AccessibleName.compute(control).name;
+        const hasGlyph = A11yRuleUtils.PRIVATE_USE_PATTERN.test(name);
+
+        // link-name and button-name report controls without a name, with the icon as the cause
+        if (!name && A11yRuleUtils.hasNameRule(control)) return false;
+
+        // Glyphs from the private use area mean nothing to screen readers
+        const readableName = name.replace(A11yRuleUtils.PRIVATE_USE_GLOBAL_PATTERN, '').trim();
+        if (readableName || (!icon && !hasGlyph)) return false;
+
+        return {
+          message: hasGlyph
+            ? 'Control name consists only of icon font glyphs'
+            : 'Control with an icon font has no accessible name',
+          details: { icon: (icon || control).outerHTML.slice(0, 200) }
+        };
+      },
+      message: 'Icon font control without accessible name',
+      type: 'error',
+      category: 'images'
+    }
+  },
+
+  // Rules for audio, video and embedded content
+  media: {
+    videoCaptions: {
+      id: 'video-caption',
+      selector: 'video',
+      tags: ['wcag2a', 'wcag122'],
+      check: (video) => {
+        // A muted video without controls has no audio the user can hear
+        if ((video.muted || video.hasAttribute('muted')) && !video.hasAttribute('controls')) return false;
+
+        const kinds = Array.from(video.querySelectorAll('track')).map(track => (track.getAttribute('kind') || 'subtitles').toLowerCase());
+        if (kinds.includes('captions')) return false;
+
+        return kinds.includes('subtitles') ? {
+          message: 'Video has subtitles but no <track kind="captions">, subtitles do not describe sounds',
+          type: 'warning'
+        } : true;
+      },
+      message: 'Video without <track kind="captions">',
+      type: 'error',
+      category: 'media'
+    },
+    autoplay: {
+      id: 'media-autoplay',
+      selector: 'audio[autoplay], video[autoplay]',
+      // audio without controls is not rendered but still plays
+      includeHidden: true,
+      tags: ['wcag2a', 'wcag142', 'wcag222'],
+      check: (media) => {
+        const muted = media.muted || media.hasAttribute('muted');
+        const controls = media.hasAttribute('controls');
+        if (muted && controls) return false;
+
+        if (!muted) {
+          return {
+            message: controls
+              ? `<${media.localName}> plays sound automatically`
+              : `<${media.localName}> plays sound automatically and has no controls to stop it`
+          };
+        }
+
+        return {
+          message: `<${media.localName}> plays automatically without controls to pause it`,
+          type: 'warning'
+        };
+      },
+      message: 'Media plays automatically',
+      type: 'error',
+      category: 'media'
+    },
+    canvasFallback: {
+      id: 'canvas-fallback',
+      selector: 'canvas',
+      tags: ['wcag2a', 'wcag111'],
+      check: (canvas) => {
+        const role = AriaUtils.getExplicitRole(canvas);
+        if (role === 'presentation' || role === 'none') return false;
+
+        return !AccessibleName.compute(canvas).name && !canvas.textContent.trim() && canvas.children.length === 0;
+      },
+      message: 'Canvas without fallback content or accessible name',
+      type: 'error',
+      category: 'media'
+    },
+    objectAlt: {
+      id: 'object-alt',
+      selector: 'object, embed',
+      tags: ['wcag2a', 'wcag111'],
+      check: (element) => {
+        const role = AriaUtils.getExplicitRole(element);
+        if (role === 'presentation' || role === 'none') return false;
+        if (AccessibleName.compute(element).name) return false;
+
+        // Fallback content of object is shown when the plugin cannot be loaded
+        return element.localName !== 'object' || !AccessibleName.getContentText(element);
+      },
+      message: 'Embedded object without text alternative',
+      type: 'error',
+      category: 'media'
+    },
+    frameTitle: {
+      id: 'frame-title',
+      selector: 'iframe, frame',
+      tags: ['wcag2a', 'wcag412'],
+      check: (frame) => {
+        const role = AriaUtils.getExplicitRole(frame);
+        if (role === 'presentation' || role === 'none') return false;
+
+        return !AccessibleName.compute(frame).name;
+      },
+      message: 'Frame without title',
+      type: 'error',
+      category: 'media'
+    },
+    areaAlt: {
+      id: 'area-alt',
+      selector: 'area[href]',
+      // area elements have no box of their own
+      includeHidden: true,
+      tags: ['wcag2a', 'wcag111', 'wcag244'],
+      check: (area) => {
+        const map = area.closest('map');
+        const image = map && map.name
+          ? area.ownerDocument.querySelector(`img[usemap="#${SelectorUtils.escapeAttributeValue(map.name)}"]`)
+          : null;
+        if (image && !A11yRuleUtils.isElementVisible(image)) return false;
+
+        return !AccessibleName.compute(area).name;
+      },
+      message: 'Image map area without alt text',
+      type: 'error',
+      category: 'media'
+    },
+    embeddedPlayer: {
+      id: 'embedded-player-captions',
+      selector: 'iframe[src]',
+      tags: ['wcag2a', 'wcag122'],
+      check: (frame) => {
+        const player = A11yRuleUtils.getEmbeddedPlayer(frame);
+        return player ? {
+          message: `${player} player: captions need manual review`,
+          details: { player, src: frame.getAttribute('src') }
+        } : false;
+      },
+      message: 'Embedded video player: captions need manual review',
+      type: 'warning',
+      category: 'media'
     }
   },
 
   // Rules for forms
   forms: {
     missingLabel: {
+      id: 'label',
+      selector: 'input, select, textarea',
+      tags: ['wcag2a', 'wcag131', 'wcag412'],
       check: (input) => {
-        // Skip hidden inputs
-        if (input.type === 'hidden') return false;
-        
-        // If input is inside label, it's acceptable
-        if (input.closest('label')) return false;
-        
-        // Check for associated label
-        if (input.id) {
-          const label = document.querySelector(`label[for="${input.id}"]`);
-          if (label) return false;
-        }
-        
-        // Check for aria-label or aria-labelledby
-        if (input.hasAttribute('aria-label') || input.hasAttribute('aria-labelledby')) {
-          return false;
-        }
-        
-        // Check for title attribute as fallback
-        if (input.hasAttribute('title')) {
-          return false;
-        }
-        
-        return true;
+        // Buttons are named by their value, hidden inputs are not shown
+        if (A11yRuleUtils.isButtonInput(input) || input.type === 'hidden') return false;
+
+        const { name, source } = AccessibleName.compute(input);
+        if (!name) return true;
+
+        // A tooltip is not a visible label
+        return source === 'title' ? {
+          message: 'Form field is labelled only by its title attribute',
+          type: 'warning'
+        } : false;
       },
       message: 'Form field without associated label',
       type: 'error',
       category: 'forms'
     },
-    missingFormLabel: {
-      check: (form) => {
-        const id = form.getAttribute('id');
-        if (!id) return true;
-        
-        const label = document.querySelector(`label[for="${id}"]`);
-        return !label;
+    placeholderLabel: {
+      id: 'label-placeholder-only',
+      selector: 'input[placeholder], textarea[placeholder]',
+      tags: ['wcag2a', 'wcag131', 'wcag332'],
+      check: (input) => AccessibleName.compute(input).source === 'placeholder',
+      message: 'Placeholder is the only label, it disappears as soon as the user types',
+      type: 'warning',
+      category: 'forms'
+    },
+    groupLabel: {
+      id: 'group-label',
+      tags: ['wcag2a', 'wcag131'],
+      check: (context) => A11yRuleUtils.getUngroupedChoices(context),
+      message: 'Radio buttons or checkboxes are not grouped with a name',
+      type: 'warning',
+      category: 'forms'
+    },
+    autocompleteValid: {
+      id: 'autocomplete-valid',
+      selector: 'input[autocomplete], select[autocomplete], textarea[autocomplete]',
+      tags: ['wcag21aa', 'wcag135'],
+      check: (field) => {
+        const value = field.getAttribute('autocomplete');
+        const error = A11yRuleUtils.validateAutocomplete(value);
+
+        return error ? { message: `Invalid autocomplete value "${value.trim()}": ${error}` } : false;
+      },
+      message: 'Invalid autocomplete value',
+      type: 'error',
+      category: 'forms'
+    },
+    requiredNotProgrammatic: {
+      id: 'required-attr',
+      selector: 'input, select, textarea',
+      tags: ['wcag2a', 'wcag131', 'wcag332'],
+      check: (field) => {
+        if (A11yRuleUtils.isButtonInput(field) || field.type === 'hidden') return false;
+        if (field.required || field.getAttribute('aria-required') === 'true') return false;
+
+        // Visible markers of required fields: an asterisk or the word itself
+        const labelText = [
+          ...Array.from(field.labels || []).map(label => label.textContent),
+          AccessibleName.compute(field).name
+        ].join(' ');
+
+        return /\*|\brequired\b|обязательн/i.test(labelText) ? {
+          message: 'Field is marked as required in its label but has no required or aria-required="true"',
+          confidence: /\*/.test(labelText) ? 0.8 : 0.9
+        } : false;
+      },
+      message: 'Required field is not marked as required programmatically',
+      type: 'warning',
+      category: 'forms'
+    },
+    invalidWithoutMessage: {
+      id: 'aria-invalid-message',
+      selector: '[aria-invalid]',
+      tags: ['wcag2a', 'wcag131', 'wcag331'],
+      check: (field) => {
+        const invalid = (field.getAttribute('aria-invalid') || '').trim().toLowerCase();
+        if (invalid === '' || invalid === 'false') return false;
+
+        const messages = [
+          ...DomUtils.getReferencedElements(field, 'aria-errormessage'),
+          ...DomUtils.getReferencedElements(field, 'aria-describedby')
+        ];
+        const connected = messages.some(message => A11yRuleUtils.normalizeText(message.textContent));
+
+        return connected ? false : {
+          message: field.hasAttribute('aria-errormessage') || field.hasAttribute('aria-describedby')
+            ? 'Invalid field references an error message that is empty or missing'
+            : 'Invalid field has no error message connected with aria-describedby or aria-errormessage'
+        };
+      },
+      message: 'Invalid field without connected error message',
+      type: 'error',
+      category: 'forms'
+    },
+    passwordPaste: {
+      id: 'password-paste',
+      selector: 'input[type="password"]',
+      tags: ['wcag22aa', 'wcag338'],
+      check: (input) => {
+        // Listeners added from scripts only show up by cancelling a synthetic paste
+        if (!A11yRuleUtils.isPasteBlocked(input)) return false;
+
+        // Handlers may treat a synthetic event differently from a real paste
+        const handler = input.getAttribute('onpaste');
+        return {
+          confidence: handler ? 0.7 : 0.5,
+          details: handler ? { onpaste: handler.slice(0, 100) } : undefined
+        };
       },
-      message: 'Form without label',
+      message: 'Password field appears to block pasting, which breaks password managers',
       type: 'warning',
       category: 'forms'
     }
@@ -79,248 +560,2399 @@ const A11yRules = {
   // Rules for navigation
   navigation: {
     missingSkipLinks: {
-      check: () => {
-        const skipLinks = document.querySelectorAll(
+      id: 'skip-link',
+      topFrameOnly: true,
+      tags: ['wcag2a', 'wcag241'],
+      check: (context) => {
+        const skipLinks = DomUtils.querySelectorAllDeep(
           'a[href^="#main"], a[href^="#content"], a[href^="#navigation"], ' +
-          'a[href*="skip"], a[href*="Skip"], .skip-link, [class*="skip"]'
+          'a[href*="skip"], a[href*="Skip"], .skip-link, [class*="skip"]',
+          context.document,
+          A11yRuleUtils.getShadowRoots(context)
         );
-        return skipLinks.length === 0;
+        // Class matches may be wrappers or unrelated elements, only links count
+        const links = skipLinks
+          .map(link => link.closest('a[href]') || link.querySelector('a[href]'))
+          .filter((link, index, all) => link && all.indexOf(link) === index);
+        if (links.length === 0) return true;
+
+        // A skip link only helps if focus can move to its target
+        return links
+          .map(link => A11yRuleUtils.checkSkipLinkTarget(link))
+          .filter(Boolean);
       },
       message: 'Missing skip navigation links',
       type: 'warning',
       category: 'navigation'
     },
     missingLandmarks: {
-      check: () => {
-        const landmarks = document.querySelectorAll(
-          'main, nav, aside, header, footer, section[aria-label], section[aria-labelledby], ' +
-          '[role="main"], [role="navigation"], [role="complementary"], ' +
-          '[role="banner"], [role="contentinfo"]'
-        );
-        return landmarks.length === 0;
-      },
+      id: 'landmarks',
+      topFrameOnly: true,
+      tags: ['best-practice'],
+      check: (context) => A11yRuleUtils.getLandmarks(context).length === 0,
       message: 'Missing semantic landmarks (main, nav, aside, etc.)',
       type: 'warning',
       category: 'navigation'
+    },
+    uniqueTopLandmarks: {
+      id: 'landmark-no-duplicate',
+      topFrameOnly: true,
+      tags: ['best-practice'],
+      check: (context) => {
+        const results = [];
+
+        ['main', 'banner', 'contentinfo'].forEach(role => {
+          const landmarks = A11yRuleUtils.getLandmarks(context)
+            .filter(landmark => landmark.role === role && !landmark.parent);
+
+          landmarks.slice(1).forEach(landmark => {
+            results.push({
+              element: landmark.element,
+              message: `Page has ${landmarks.length} top-level ${role} landmarks, only one is allowed`,
+              related: [{ label: `First ${role}`, element: landmarks[0].element }]
+            });
+          });
+        });
+
+        return results;
+      },
+      message: 'Duplicate top-level landmark',
+      type: 'warning',
+      category: 'navigation'
+    },
+    uniqueLandmarkLabels: {
+      id: 'landmark-unique',
+      topFrameOnly: true,
+      tags: ['best-practice'],
+      check: (context) => {
+        const groups = new Map();
+
+        A11yRuleUtils.getLandmarks(context)
+          .filter(landmark => !['main', 'banner', 'contentinfo'].includes(landmark.role))
+          .forEach(landmark => {
+            const key = `${landmark.role}|${A11yRuleUtils.normalizeText(landmark.name).toLowerCase()}`;
+            if (!groups.has(key)) {
+              groups.set(key, []);
+            }
+            groups.get(key).push(landmark);
+          });
+
+        const results = [];
+        groups.forEach(landmarks => {
+          if (landmarks.length < 2) return;
+
+          const { role, name } = landmarks[0];
+          results.push({
+            element: landmarks[0].element,
+            message: name
+              ? `${landmarks.length} ${role} landmarks share the label "${name}"`
+              : `${landmarks.length} ${role} landmarks have no label to tell them apart`,
+            related: landmarks.slice(1, 6).map(landmark => ({ label: `Same ${role}`, element: landmark.element }))
+          });
+        });
+
+        return results;
+      },
+      message: 'Landmarks of the same type without distinct labels',
+      type: 'warning',
+      category: 'navigation'
+    },
+    landmarkNesting: {
+      id: 'landmark-top-level',
+      topFrameOnly: true,
+      tags: ['best-practice'],
+      check: (context) => {
+        return A11yRuleUtils.getLandmarks(context)
+          .filter(landmark => landmark.parent && ['main', 'banner', 'contentinfo', 'complementary'].includes(landmark.role))
+          .map(landmark => ({
+            element: landmark.element,
+            message: `${landmark.role} landmark should not be inside a ${landmark.parent.role} landmark`,
+            related: [{ label: 'Inside', element: landmark.parent.element }]
+          }));
+      },
+      message: 'Landmark nested inside another landmark',
+      type: 'warning',
+      category: 'navigation'
+    },
+    contentOutsideLandmarks: {
+      id: 'region',
+      topFrameOnly: true,
+      tags: ['best-practice'],
+      check: (context) => A11yRuleUtils.getTextOutsideLandmarks(context),
+      message: 'Text content outside landmarks',
+      type: 'warning',
+      category: 'navigation'
     }
   },
 
   // Rules for links
   links: {
     emptyLink: {
-      check: (link) => {
-        const text = link.textContent.trim();
-        const ariaLabel = link.getAttribute('aria-label');
-        const title = link.getAttribute('title');
-        
-        return !text && !ariaLabel && !title;
-      },
-      message: 'Link without text content',
+      id: 'link-name',
+      selector: 'a[href]',
+      tags: ['wcag2a', 'wcag244', 'wcag412'],
+      check: (link) => !AccessibleName.compute(link).name && A11yRuleUtils.explainMissingName(link, 'Link'),
+      message: 'Link without accessible name',
       type: 'error',
       category: 'links'
     },
     genericLinkText: {
+      id: 'link-text-generic',
+      selector: 'a[href]',
+      tags: ['wcag2a', 'wcag244'],
       check: (link) => {
-        const text = link.textContent.trim().toLowerCase();
-        const genericTexts = ['click here', 'read more', 'here', 'link', 'learn more'];
-        return genericTexts.includes(text);
+        const name = AccessibleName.compute(link).name;
+        if (!A11yRuleUtils.isGenericLinkText(name)) return false;
+
+        // aria-describedby or title can give the purpose from context
+        if (AccessibleName.computeDescription(link).description) return false;
+
+        return { message: `Link with non-informative text "${name}"` };
       },
       message: 'Link with non-informative text',
       type: 'warning',
       category: 'links'
+    },
+    ambiguousLinks: {
+      id: 'link-name-ambiguous',
+      tags: ['wcag2a', 'wcag244'],
+      check: (context) => A11yRuleUtils.getAmbiguousLinks(context),
+      message: 'Links with the same name lead to different destinations',
+      type: 'warning',
+      category: 'links'
+    },
+    newWindow: {
+      id: 'link-new-window',
+      selector: 'a[href][target="_blank"], area[href][target="_blank"]',
+      tags: ['wcag2aaa', 'wcag325'],
+      check: (link) => {
+        const text = [
+          AccessibleName.compute(link).name,
+          AccessibleName.computeDescription(link).description,
+          link.getAttribute('title')
+        ].join(' ');
+
+        return !A11yRuleUtils.NEW_WINDOW_PATTERN.test(text);
+      },
+      message: 'Link opens a new window without warning the user',
+      type: 'warning',
+      category: 'links'
+    },
+    linkAsButton: {
+      id: 'link-as-button',
+      selector: 'a[href]',
+      tags: ['wcag2a', 'wcag412'],
+      check: (link) => {
+        if (AriaUtils.getExplicitRole(link) === 'button') return false;
+
+        const href = link.getAttribute('href').trim();
+        if (href === '#') {
+          return { message: 'Link with href="#" acts as a button, use <button>' };
+        }
+        if (/^javascript:/i.test(href)) {
+          return { message: 'Link with a javascript: URL acts as a button, use <button>' };
+        }
+        return false;
+      },
+      message: 'Link acts as a button',
+      type: 'warning',
+      category: 'links'
+    },
+    urlAsText: {
+      id: 'link-text-url',
+      selector: 'a[href]',
+      tags: ['best-practice'],
+      check: (link) => {
+        const name = A11yRuleUtils.normalizeText(AccessibleName.compute(link).name);
+
+        // Screen readers spell out URLs character by character
+        return /^(https?:\/\/|www\.)\S+$/i.test(name) ? {
+          message: `Link text is a raw URL "${name.length > 60 ? `${name.slice(0, 59)}…` : name}"`
+        } : false;
+      },
+      message: 'Link text is a raw URL',
+      type: 'warning',
+      category: 'links'
     }
   },
 
   // Rules for headings
   headings: {
     missingH1: {
-      check: () => document.querySelectorAll('h1').length === 0,
+      id: 'page-has-h1',
+      topFrameOnly: true,
+      tags: ['best-practice'],
+      check: (context) => !A11yRuleUtils.getHeadings(context).some(heading => heading.level === 1 && !heading.hidden),
       message: 'Missing H1 heading',
-      type: 'error',
+      type: 'warning',
+      category: 'headings'
+    },
+    multipleH1: {
+      id: 'page-has-one-h1',
+      topFrameOnly: true,
+      tags: ['best-practice'],
+      check: (context) => {
+        const h1s = A11yRuleUtils.getHeadings(context).filter(heading => heading.level === 1 && !heading.hidden);
+
+        return h1s.slice(1).map(heading => ({
+          element: heading.element,
+          message: `Page has ${h1s.length} H1 headings, the main heading should be unique`,
+          related: [{ label: 'First H1', element: h1s[0].element }]
+        }));
+      },
+      message: 'Multiple H1 headings',
+      type: 'warning',
       category: 'headings'
     },
     headingOrder: {
-      check: () => {
-        const headings = Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6'));
-        let lastLevel = 0;
-        
-        for (const heading of headings) {
-          const level = parseInt(heading.tagName.substring(1));
-          
-          if (level > lastLevel + 1) {
-            return true; // Hierarchy violation
-          }
-          
-          lastLevel = level;
-        }
-        
-        return false;
+      id: 'heading-order',
+      topFrameOnly: true,
+      tags: ['best-practice'],
+      check: (context) => {
+        const results = [];
+        let previous = null;
+
+        A11yRuleUtils.getHeadings(context)
+          .filter(heading => !heading.hidden && A11yRuleUtils.isElementVisible(heading.element, context.options))
+          .forEach(heading => {
+            const lastLevel = previous ? previous.level : 0;
+
+            if (heading.level > lastLevel + 1) {
+              results.push({
+                element: heading.element,
+                message: previous
+                  ? `Heading level skipped: H${lastLevel} is followed by H${heading.level}`
+                  : `First heading is H${heading.level}, expected H1`,
+                related: previous ? [{ label: 'Previous heading', element: previous.element }] : []
+              });
+            }
+
+            previous = heading;
+          });
+
+        return results;
       },
       message: 'Heading hierarchy violation',
       type: 'warning',
       category: 'headings'
+    },
+    emptyHeading: {
+      id: 'empty-heading',
+      selector: 'h1, h2, h3, h4, h5, h6, [role="heading"]',
+      tags: ['wcag2a', 'wcag131'],
+      check: (heading) => AriaUtils.getRole(heading) === 'heading' && !AccessibleName.compute(heading).name,
+      message: 'Empty heading',
+      type: 'error',
+      category: 'headings'
+    },
+    hiddenHeading: {
+      id: 'heading-hidden',
+      selector: 'h1, h2, h3, h4, h5, h6, [role="heading"]',
+      includeHidden: true,
+      tags: ['wcag2a', 'wcag131'],
+      check: (heading) => {
+        if (AriaUtils.getRole(heading) !== 'heading') return false;
+
+        // Shown on screen, but missing from the screen reader heading list
+        if (!DomUtils.isRendered(heading) || !DomUtils.isHiddenFromAT(heading)) return false;
+
+        const hiddenBy = DomUtils.closestDeep(heading, '[aria-hidden="true"]');
+        return {
+          related: hiddenBy && hiddenBy !== heading ? [{ label: 'Hidden by', element: hiddenBy }] : []
+        };
+      },
+      message: 'Visible heading is hidden from assistive technology',
+      type: 'warning',
+      category: 'headings'
+    },
+    visualHeading: {
+      id: 'heading-like-text',
+      tags: ['wcag2a', 'wcag131'],
+      check: (context) => A11yRuleUtils.getVisualHeadings(context),
+      message: 'Text looks like a heading but is not marked up as one',
+      type: 'warning',
+      category: 'headings'
     }
   },
 
-  // Rules for interactive elements
-  interactive: {
-    buttonWithoutLabel: {
-      check: (button) => {
-        const text = button.textContent.trim();
-        const ariaLabel = button.getAttribute('aria-label');
-        const title = button.getAttribute('title');
-        const imgAlt = button.querySelector('img[alt]');
-        
-        return !text && !ariaLabel && !title && !imgAlt;
+  // Rules for WAI-ARIA roles, states and properties (ARIA 1.2)
+  aria: {
+    invalidRole: {
+      id: 'aria-valid-role',
+      selector: '[role]',
+      tags: ['wcag2a', 'wcag412'],
+      check: (element) => {
+        const tokens = AriaUtils.getRoleTokens(element);
+        if (tokens.length === 0) return false;
+
+        const abstractRoles = tokens.filter(role => AriaUtils.isAbstractRole(role));
+        if (abstractRoles.length > 0) {
+          return { message: `Abstract ARIA role must not be used: ${abstractRoles.join(', ')}` };
+        }
+
+        // Later tokens are fallbacks, one known role is enough
+        if (!AriaUtils.getExplicitRole(element)) {
+          return { message: `Invalid ARIA role: ${tokens.join(' ')}` };
+        }
+
+        return false;
       },
-      message: 'Button without text label',
+      message: 'Invalid ARIA role',
       type: 'error',
-      category: 'interactive'
+      category: 'aria'
     },
-    focusableWithoutIndicator: {
+    deprecatedRole: {
+      id: 'aria-deprecated-role',
+      selector: '[role]',
+      tags: ['best-practice'],
       check: (element) => {
-        const style = window.getComputedStyle(element);
-        return style.outline === 'none' && style.outlineOffset === '0px';
+        const role = AriaUtils.getExplicitRole(element);
+        return AriaUtils.isDeprecatedRole(role) ? { message: `Deprecated ARIA role: ${role}` } : false;
       },
-      message: 'Focusable element without visual focus indicator',
+      message: 'Deprecated ARIA role',
       type: 'warning',
-      category: 'interactive'
-    }
-  }
-};
+      category: 'aria'
+    },
+    requiredAttr: {
+      id: 'aria-required-attr',
+      selector: '[role]',
+      tags: ['wcag2a', 'wcag412'],
+      check: (element) => {
+        const role = AriaUtils.getExplicitRole(element);
+        if (!role) return false;
 
-// Utility functions for working with accessibility rules
-const A11yRuleUtils = {
-  /**
-   * Apply rule to a set of elements
-   * @param {Object} rule - Rule definition
-   * @param {Array} elements - DOM elements to check
-   * @param {boolean} filterVisible - Filter only visible elements
-   */
-  applyRuleToElements: function(rule, elements, filterVisible = true) {
-    const issues = [];
-    
-    elements.forEach(element => {
-      if (filterVisible && !this.isElementVisible(element)) return;
-      
-      if (rule.check(element)) {
-        issues.push({
-          type: rule.type,
-          category: rule.category,
-          message: rule.message,
-          element: element.outerHTML.slice(0, 100),
-          selector: this.getElementSelector(element)
+        const missing = AriaUtils.getRequiredAttributes(role).filter(attribute => {
+          return !element.hasAttribute(attribute) && !AriaUtils.hasNativeState(element, attribute);
         });
-      }
-    });
-    
-    return issues;
-  },
-
-  /**
-   * Apply global rule (without specific element)
-   * @param {Object} rule - Rule definition
-   */
-  applyGlobalRule: function(rule) {
-    if (rule.check()) {
-      return [{
-        type: rule.type,
-        category: rule.category,
-        message: rule.message,
-        element: null,
-        selector: null
-      }];
-    }
-    return [];
-  },
+
+        return missing.length > 0 ? {
+          message: `Role "${role}" requires ${missing.join(', ')}`,
+          details: { role, missing }
+        } : false;
+      },
+      message: 'Required ARIA attribute missing',
+      type: 'error',
+      category: 'aria'
+    },
+    requiredChildren: {
+      id: 'aria-required-children',
+      selector: '[role]',
+      tags: ['wcag2a', 'wcag131'],
+      check: (element) => {
+        const role = AriaUtils.getExplicitRole(element);
+        const expected = AriaUtils.getRequiredOwned(role);
+        if (expected.length === 0) return false;
+
+        const owned = AriaUtils.getOwnedElements(element);
+        const ownedRoles = owned.map(child => AriaUtils.getRole(child));
+
+        if (owned.length === 0) {
+          // Containers that are still being populated may be empty
+          if (element.getAttribute('aria-busy') === 'true') return false;
+
+          return {
+            message: `Role "${role}" must own elements with role ${expected.join(' or ')}`,
+            details: { role, expected, owned: [] }
+          };
+        }
+
+        const unexpected = [...new Set(ownedRoles.filter(ownedRole => !expected.includes(ownedRole)))];
+        return unexpected.length > 0 ? {
+          message: `Role "${role}" owns elements with role ${unexpected.join(', ')}, expected ${expected.join(' or ')}`,
+          details: { role, expected, owned: ownedRoles }
+        } : false;
+      },
+      message: 'ARIA role is missing required owned elements',
+      type: 'error',
+      category: 'aria'
+    },
+    requiredParent: {
+      id: 'aria-required-parent',
+      selector: '[role]',
+      tags: ['wcag2a', 'wcag131'],
+      check: (element) => {
+        const role = AriaUtils.getExplicitRole(element);
+        const expected = AriaUtils.getRequiredContext(role);
+        if (expected.length === 0) return false;
+
+        const context = AriaUtils.getContextElement(element);
+        const contextRole = context ? AriaUtils.getRole(context) : '';
+        if (expected.includes(contextRole)) return false;
+
+        return {
+          message: `Role "${role}" must be owned by an element with role ${expected.join(' or ')}`,
+          details: { role, expected, context: contextRole || null }
+        };
+      },
+      message: 'ARIA role is outside its required context',
+      type: 'error',
+      category: 'aria'
+    },
+    unknownAttr: {
+      id: 'aria-valid-attr',
+      tags: ['wcag2a', 'wcag412'],
+      check: (context) => A11yRuleUtils.getAriaElements(context).map(element => {
+        const unknown = AriaUtils.getAriaAttributes(element)
+          .map(attribute => attribute.name)
+          .filter(name => !AriaUtils.ATTRIBUTES[name]);
+
+        return unknown.length > 0 ? {
+          element,
+          message: `Unknown ARIA attribute: ${unknown.join(', ')}`
+        } : null;
+      }).filter(Boolean),
+      message: 'Unknown ARIA attribute',
+      type: 'error',
+      category: 'aria'
+    },
+    allowedAttr: {
+      id: 'aria-allowed-attr',
+      tags: ['wcag2a', 'wcag412'],
+      check: (context) => A11yRuleUtils.getAriaElements(context).flatMap(element => {
+        const role = AriaUtils.getRole(element);
+        if (!role) return [];
+
+        const supported = AriaUtils.getSupportedAttributes(role);
+        const prohibited = AriaUtils.getProhibitedAttributes(role);
+        const names = AriaUtils.getAriaAttributes(element)
+          .map(attribute => attribute.name)
+          .filter(name => AriaUtils.ATTRIBUTES[name]);
+
+        const issues = [];
+        const notSupported = names.filter(name => !supported.includes(name) && !prohibited.includes(name));
+        const notPermitted = names.filter(name => prohibited.includes(name));
+
+        if (notSupported.length > 0) {
+          issues.push({
+            element,
+            message: `ARIA attribute not allowed on role "${role}": ${notSupported.join(', ')}`,
+            details: { role, attributes: notSupported }
+          });
+        }
+
+        // Names on these roles are ignored by browsers
+        if (notPermitted.length > 0) {
+          issues.push({
+            element,
+            type: 'warning',
+            message: `ARIA attribute prohibited on role "${role}": ${notPermitted.join(', ')}`,
+            details: { role, attributes: notPermitted }
+          });
+        }
+
+        return issues;
+      }),
+      message: 'ARIA attribute not allowed on this role',
+      type: 'error',
+      category: 'aria'
+    },
+    attrValue: {
+      id: 'aria-valid-attr-value',
+      tags: ['wcag2a', 'wcag412'],
+      check: (context) => A11yRuleUtils.getAriaElements(context).flatMap(element => {
+        return AriaUtils.getAriaAttributes(element)
+          .filter(attribute => !AriaUtils.isValidValue(attribute.name, attribute.value))
+          .map(attribute => ({
+            element,
+            message: `Invalid value "${attribute.value}" for ${attribute.name}, expected ${AriaUtils.describeType(attribute.name)}`,
+            details: { attribute: attribute.name, value: attribute.value }
+          }));
+      }),
+      message: 'Invalid ARIA attribute value',
+      type: 'error',
+      category: 'aria'
+    },
+    hiddenFocusable: {
+      id: 'aria-hidden-focus',
+      selector: 'a[href], area[href], button, input, select, textarea, summary, iframe, audio[controls], video[controls], [tabindex], [contenteditable]',
+      includeHidden: true,
+      tags: ['wcag2a', 'wcag131', 'wcag412'],
+      check: (element, context) => {
+        const hiddenBy = DomUtils.closestDeep(element, '[aria-hidden="true"]');
+        if (!hiddenBy || !DomUtils.isTabbable(element) || !DomUtils.isRendered(element)) return false;
+        if (context.options && context.options.aboveTheFoldOnly && !DomUtils.isAboveTheFold(element)) return false;
+
+        return {
+          message: hiddenBy === element
+            ? 'Focusable element has aria-hidden="true"'
+            : 'Focusable element inside an aria-hidden="true" subtree',
+          related: hiddenBy === element ? [] : [{ label: 'Hidden by', element: hiddenBy }]
+        };
+      },
+      message: 'Focusable element hidden from assistive technology',
+      type: 'error',
+      category: 'aria'
+    },
+    presentationConflict: {
+      id: 'presentation-role-conflict',
+      selector: '[role]',
+      tags: ['wcag2a', 'wcag412'],
+      check: (element) => {
+        const role = AriaUtils.getExplicitRole(element);
+        if (role !== 'presentation' && role !== 'none') return false;
+
+        // Browsers ignore the role on focusable elements and expose the native one
+        return DomUtils.isFocusable(element)
+          ? { message: `role="${role}" is ignored on a focusable element` }
+          : false;
+      },
+      message: 'Presentational role on a focusable element',
+      type: 'error',
+      category: 'aria'
+    },
+    expandedState: {
+      id: 'aria-expanded-state',
+      selector: '[aria-expanded][aria-controls]',
+      tags: ['wcag2a', 'wcag412'],
+      check: (element) => {
+        // Disclosure, accordion and menu buttons; comboboxes and tree items have their own patterns
+        if (!['button', 'link', 'menuitem'].includes(AriaUtils.getRole(element))) return false;
+
+        const expanded = element.getAttribute('aria-expanded').trim().toLowerCase();
+        if (expanded !== 'true' && expanded !== 'false') return false;
+
+        const controlled = DomUtils.getReferencedElements(element, 'aria-controls');
+        if (controlled.length === 0) return false;
+
+        const visible = controlled.filter(target => !DomUtils.isHidden(target));
+        if (expanded === 'true' && visible.length === 0) {
+          return {
+            message: 'aria-expanded="true", but the controlled element is hidden',
+            related: controlled.slice(0, 3).map(target => ({ label: 'Controlled element', element: target }))
+          };
+        }
+        if (expanded === 'false' && visible.length > 0) {
+          return {
+            message: 'aria-expanded="false", but the controlled element is visible',
+            related: visible.slice(0, 3).map(target => ({ label: 'Controlled element', element: target }))
+          };
+        }
+        return false;
+      },
+      message: 'aria-expanded does not match the state of the controlled element',
+      type: 'error',
+      category: 'aria'
+    },
+    deprecatedAttr: {
+      id: 'aria-deprecated-attr',
+      tags: ['best-practice'],
+      check: (context) => A11yRuleUtils.getAriaElements(context).flatMap(element => {
+        const names = AriaUtils.getAriaAttributes(element).map(attribute => attribute.name);
+        const deprecated = names.filter(name => AriaUtils.ATTRIBUTES[name] && AriaUtils.ATTRIBUTES[name].deprecated);
+        const issues = [];
+
+        if (deprecated.length > 0) {
+          issues.push({
+            element,
+            message: `Deprecated ARIA attribute: ${deprecated.join(', ')}`
+          });
+        }
+
+        const role = AriaUtils.getRole(element);
+        const onRole = role ? names.filter(name => AriaUtils.getDeprecatedAttributes(role).includes(name)) : [];
+        if (onRole.length > 0) {
+          issues.push({
+            element,
+            message: `ARIA attribute deprecated on role "${role}": ${onRole.join(', ')}`,
+            details: { role, attributes: onRole }
+          });
+        }
+
+        return issues;
+      }),
+      message: 'Deprecated ARIA attribute',
+      type: 'warning',
+      category: 'aria'
+    }
+  },
+
+  // Rules for data tables
+  tables: {
+    thScope: {
+      id: 'th-scope-valid',
+      selector: 'th, td[scope]',
+      tags: ['wcag2a', 'wcag131'],
+      check: (cell, context) => {
+        const table = TableUtils.getTable(cell);
+        if (!table || !TableUtils.isDataTable(table)) return false;
+
+        const scope = cell.getAttribute('scope');
+        const details = A11yRuleUtils.getTableDetails(context, table);
+
+        if (cell.localName === 'td') {
+          return { type: 'warning', message: 'scope attribute on a td cell is obsolete, use th', details };
+        }
+
+        if (scope !== null) {
+          return TableUtils.SCOPE_VALUES.includes(scope.trim().toLowerCase())
+            ? false
+            : { message: `Invalid scope value "${scope}", expected row, col, rowgroup or colgroup`, details };
+        }
+
+        // Header cells in the first row or column are assigned reliably without scope
+        const position = TableUtils.getGrid(table).positions.get(cell);
+        return position && position.row > 0 && position.column > 0
+          ? { type: 'warning', message: 'Header cell without scope inside the table body', details }
+          : false;
+      },
+      message: 'Table header cell with invalid scope',
+      type: 'error',
+      category: 'tables'
+    },
+    headersCells: {
+      id: 'td-headers-cell',
+      selector: 'td[headers], th[headers]',
+      tags: ['wcag2a', 'wcag131'],
+      check: (cell, context) => {
+        const table = TableUtils.getTable(cell);
+        if (!table) return false;
+
+        // Missing IDs are reported by headers-valid-idref
+        const invalid = DomUtils.getReferencedElements(cell, 'headers').filter(header => {
+          return header === cell || !['th', 'td'].includes(header.localName) || TableUtils.getTable(header) !== table;
+        });
+
+        return invalid.length > 0 ? {
+          message: `headers attribute points at elements that are not other cells of this table: ${invalid.map(header => header.id).join(', ')}`,
+          details: A11yRuleUtils.getTableDetails(context, table)
+        } : false;
+      },
+      message: 'headers attribute points at an element that is not a cell of the same table',
+      type: 'error',
+      category: 'tables'
+    },
+    missingName: {
+      id: 'table-name',
+      selector: 'table',
+      tags: ['best-practice'],
+      check: (table, context) => {
+        if (!TableUtils.isDataTable(table) || AccessibleName.compute(table).name) return false;
+        return { details: A11yRuleUtils.getTableDetails(context, table) };
+      },
+      message: 'Data table without caption or accessible name',
+      type: 'warning',
+      category: 'tables'
+    },
+    complexHeaders: {
+      id: 'table-complex-headers',
+      selector: 'table',
+      tags: ['wcag2a', 'wcag131'],
+      check: (table, context) => {
+        if (!TableUtils.isDataTable(table) || !TableUtils.isComplex(table)) return false;
+
+        const dataCells = TableUtils.getCells(table).filter(cell => cell.localName === 'td' && cell.textContent.trim());
+        const unassociated = dataCells.filter(cell => !cell.hasAttribute('headers'));
+        if (unassociated.length === 0) return false;
+
+        return {
+          message: `Table with multi-level headers: ${unassociated.length} of ${dataCells.length} data cells have no headers attribute`,
+          details: A11yRuleUtils.getTableDetails(context, table)
+        };
+      },
+      message: 'Complex table headers without headers associations',
+      type: 'warning',
+      category: 'tables'
+    },
+    layoutWithDataMarkup: {
+      id: 'layout-table-data-markup',
+      selector: 'table[role]',
+      tags: ['wcag2a', 'wcag131'],
+      check: (table, context) => {
+        const role = AriaUtils.getExplicitRole(table);
+        if (role !== 'presentation' && role !== 'none') return false;
+
+        const markup = TableUtils.getDataMarkup(table);
+        return markup.length > 0 ? {
+          message: `Layout table (role="${role}") uses data table markup: ${markup.join(', ')}`,
+          details: A11yRuleUtils.getTableDetails(context, table)
+        } : false;
+      },
+      message: 'Layout table uses data table markup',
+      type: 'error',
+      category: 'tables'
+    }
+  },
+
+  // Rules for ID references and unique IDs
+  ids: {
+    brokenAriaReference: {
+      id: 'aria-valid-idref',
+      tags: ['wcag2a', 'wcag412'],
+      check: (context) => A11yRuleUtils.getBrokenReferences(context, IdIndex.ARIA_REFERENCE_ATTRIBUTES),
+      message: 'ARIA attribute references a missing ID',
+      type: 'error',
+      category: 'ids'
+    },
+    brokenLabelFor: {
+      id: 'label-for-valid',
+      tags: ['wcag2a', 'wcag131'],
+      check: (context) => A11yRuleUtils.getBrokenReferences(context, ['for']),
+      message: 'Label references a missing form field',
+      type: 'error',
+      category: 'ids'
+    },
+    brokenHeaders: {
+      id: 'headers-valid-idref',
+      tags: ['wcag2a', 'wcag131'],
+      check: (context) => A11yRuleUtils.getBrokenReferences(context, ['headers']),
+      message: 'Table cell headers attribute references a missing ID',
+      type: 'error',
+      category: 'ids'
+    },
+    duplicateId: {
+      id: 'duplicate-id',
+      tags: ['best-practice'],
+      check: (context) => A11yRuleUtils.getDuplicateIds(context, false),
+      message: 'Duplicate ID',
+      type: 'warning',
+      category: 'ids'
+    },
+    duplicateReferencedId: {
+      id: 'duplicate-id-referenced',
+      tags: ['wcag2a', 'wcag131', 'wcag412'],
+      check: (context) => A11yRuleUtils.getDuplicateIds(context, true),
+      message: 'Duplicate ID used in an ARIA or label reference',
+      type: 'error',
+      category: 'ids'
+    }
+  },
+
+  // Rules for the document as a whole
+  document: {
+    documentTitle: {
+      id: 'document-title',
+      topFrameOnly: true,
+      tags: ['wcag2a', 'wcag242'],
+      check: (context) => {
+        const title = context.document.querySelector('title');
+        if (!title) return true;
+
+        const text = title.textContent.replace(/\s+/g, ' ').trim();
+        if (!text) {
+          return { message: 'Document title is empty', element: title };
+        }
+        if (A11yRuleUtils.isPlaceholderTitle(text)) {
+          return { message: `Document title "${text}" does not describe the page`, element: title };
+        }
+        return false;
+      },
+      message: 'Document has no <title> element',
+      type: 'error',
+      category: 'document'
+    },
+    viewportZoom: {
+      id: 'meta-viewport',
+      selector: 'meta[name="viewport"]',
+      includeHidden: true,
+      tags: ['wcag2aa', 'wcag144'],
+      check: (meta) => {
+        const properties = A11yRuleUtils.parseMetaContent(meta.getAttribute('content'));
+        const problems = [];
+
+        const userScalable = properties['user-scalable'];
+        if (userScalable === 'no' || userScalable === '0') {
+          problems.push(`user-scalable=${userScalable}`);
+        }
+
+        const maximumScale = parseFloat(properties['maximum-scale']);
+        if (!isNaN(maximumScale) && maximumScale < 2) {
+          problems.push(`maximum-scale=${properties['maximum-scale']}`);
+        }
+
+        return problems.length > 0 ? {
+          message: `Viewport disables zoom: ${problems.join(', ')}`,
+          details: { content: meta.getAttribute('content') }
+        } : false;
+      },
+      message: 'Viewport disables zoom',
+      type: 'error',
+      category: 'document'
+    },
+    metaRefresh: {
+      id: 'meta-refresh',
+      selector: 'meta[http-equiv]',
+      includeHidden: true,
+      tags: ['wcag2a', 'wcag221'],
+      check: (meta) => {
+        if (meta.getAttribute('http-equiv').trim().toLowerCase() !== 'refresh') return false;
+
+        const match = (meta.getAttribute('content') || '').match(/^\s*(\d+(?:\.\d*)?)\s*(?:[;,]\s*(?:url\s*=\s*)?['"]?([^'"]*))?/i);
+        if (!match) return false;
+
+        // Instant redirects are fine, the user does not lose anything
+        const delay = parseFloat(match[1]);
+        if (delay === 0) return false;
+
+        const url = (match[2] || '').trim();
+        return {
+          message: url
+            ? `Page redirects to ${url} after ${delay} s without user control`
+            : `Page reloads every ${delay} s without user control`,
+          details: { content: meta.getAttribute('content') }
+        };
+      },
+      message: 'Timed page refresh',
+      type: 'error',
+      category: 'document'
+    }
+  },
+
+  // Rules for language of the page and its parts
+  language: {
+    htmlLangValid: {
+      id: 'html-lang-valid',
+      tags: ['wcag2a', 'wcag311'],
+      check: (context) => {
+        const html = context.document.documentElement;
+        const invalid = ['lang', 'xml:lang']
+          .filter(attribute => html.getAttribute(attribute) && !LangUtils.isValid(html.getAttribute(attribute)));
+
+        return invalid.length > 0 ? {
+          message: invalid.map(attribute => `Invalid ${attribute} value "${html.getAttribute(attribute)}" on html element`).join(', '),
+          element: html
+        } : false;
+      },
+      message: 'Invalid lang value on html element',
+      type: 'error',
+      category: 'language'
+    },
+    validLang: {
+      id: 'valid-lang',
+      selector: '[lang]:not(html), [xml\\:lang]:not(html)',
+      tags: ['wcag2aa', 'wcag312'],
+      check: (element) => {
+        // An empty value marks the language as unknown, which is allowed
+        const invalid = ['lang', 'xml:lang']
+          .filter(attribute => element.getAttribute(attribute) && !LangUtils.isValid(element.getAttribute(attribute)));
+
+        return invalid.length > 0 ? {
+          message: invalid.map(attribute => `Invalid ${attribute} value "${element.getAttribute(attribute)}"`).join(', ')
+        } : false;
+      },
+      message: 'Invalid lang value',
+      type: 'error',
+      category: 'language'
+    },
+    langMismatch: {
+      id: 'html-xml-lang-mismatch',
+      selector: '[lang][xml\\:lang]',
+      includeHidden: true,
+      tags: ['wcag2a', 'wcag311'],
+      check: (element) => {
+        const lang = element.getAttribute('lang');
+        const xmlLang = element.getAttribute('xml:lang');
+        if (!lang || !xmlLang) return false;
+
+        return LangUtils.getPrimaryLanguage(lang) !== LangUtils.getPrimaryLanguage(xmlLang) ? {
+          message: `lang="${lang}" and xml:lang="${xmlLang}" specify different languages`
+        } : false;
+      },
+      message: 'lang and xml:lang specify different languages',
+      type: 'error',
+      category: 'language'
+    }
+  },
+
+  // Rules for dialogs
+  dialog: {
+    dialogName: {
+      id: 'dialog-name',
+      selector: 'dialog[open], [role="dialog"], [role="alertdialog"]',
+      tags: ['wcag2a', 'wcag412'],
+      check: (dialog) => A11yRuleUtils.isDialog(dialog) && !AccessibleName.compute(dialog).name,
+      message: 'Dialog without accessible name, add aria-labelledby pointing to its title',
+      type: 'error',
+      category: 'dialog'
+    },
+    dialogModal: {
+      id: 'dialog-modal',
+      selector: 'dialog[open], [role="dialog"], [role="alertdialog"]',
+      tags: ['wcag2a', 'wcag131'],
+      check: (dialog) => {
+        if (!A11yRuleUtils.isDialog(dialog) || A11yRuleUtils.getDialogModality(dialog)) return false;
+
+        return {
+          message: dialog.localName === 'dialog'
+            ? 'Dialog is opened with show() or the open attribute, use showModal() for a modal dialog'
+            : 'Dialog has no aria-modal="true", screen readers let users leave it without noticing',
+          // Non-modal dialogs are valid, this is only likely to be wrong
+          confidence: 0.6
+        };
+      },
+      message: 'Dialog is not modal',
+      type: 'warning',
+      category: 'dialog'
+    },
+    dialogInertBackground: {
+      id: 'dialog-inert-background',
+      selector: 'dialog[open], [role="dialog"], [role="alertdialog"]',
+      tags: ['wcag2a', 'wcag131', 'wcag243'],
+      check: (dialog, context) => {
+        // showModal() makes the rest of the page inert by itself
+        if (!A11yRuleUtils.isDialog(dialog) || A11yRuleUtils.getDialogModality(dialog) !== 'aria') return false;
+
+        const exposed = A11yRuleUtils.getContentBehindDialog(dialog);
+        if (exposed.length === 0) return false;
+
+        const shadowRoots = A11yRuleUtils.getShadowRoots(context);
+        const focusable = exposed.filter(element => DomUtils.isTabbable(element) ||
+          DomUtils.querySelectorAllDeep(DomUtils.FOCUSABLE_SELECTOR, element, shadowRoots).some(child => DomUtils.isTabbable(child)));
+
+        return {
+          message: focusable.length > 0
+            ? `Content behind the modal dialog is not inert: ${focusable.length} of ${exposed.length} exposed elements contain controls Tab can reach`
+            : `Content behind the modal dialog is not inert or aria-hidden (${exposed.length} elements)`,
+          type: focusable.length > 0 ? 'error' : 'warning',
+          related: exposed.slice(0, 5).map(element => ({ label: 'Not inert', element }))
+        };
+      },
+      message: 'Content behind the modal dialog is not inert',
+      type: 'warning',
+      category: 'dialog'
+    },
+    dialogFocus: {
+      id: 'dialog-focus',
+      selector: 'dialog[open], [role="dialog"], [role="alertdialog"]',
+      tags: ['wcag2a', 'wcag243'],
+      check: (dialog) => {
+        if (!A11yRuleUtils.isDialog(dialog) || !A11yRuleUtils.getDialogModality(dialog)) return false;
+
+        const active = FocusUtils.getActiveElement(dialog.ownerDocument);
+        if (active && DomUtils.containsDeep(dialog, active)) return false;
+
+        // With stacked dialogs only the one that has focus needs it
+        const focusedDialog = active ? DomUtils.closestDeep(active, 'dialog[open], [role="dialog"], [role="alertdialog"]') : null;
+        if (focusedDialog && A11yRuleUtils.getDialogModality(focusedDialog)) return false;
+
+        return {
+          message: !active || active === dialog.ownerDocument.body
+            ? 'Focus was not moved into the open dialog'
+            : 'Focus stayed outside the open dialog',
+          related: active && active !== dialog.ownerDocument.body ? [{ label: 'Focused element', element: active }] : []
+        };
+      },
+      message: 'Focus is outside the open modal dialog',
+      type: 'error',
+      category: 'dialog'
+    },
+    dialogClose: {
+      id: 'dialog-close',
+      selector: 'dialog[open], [role="dialog"], [role="alertdialog"]',
+      tags: ['best-practice'],
+      check: (dialog) => A11yRuleUtils.isDialog(dialog) && !A11yRuleUtils.getDialogCloseControl(dialog),
+      message: 'Dialog has no visible close button',
+      type: 'warning',
+      category: 'dialog'
+    }
+  },
+
+  // Rules for keyboard access and focus order
+  keyboard: {
+    positiveTabindex: {
+      id: 'tabindex-positive',
+      selector: '[tabindex]',
+      tags: ['wcag2a', 'wcag243'],
+      check: (element, context) => {
+        const tabIndex = DomUtils.getTabIndex(element);
+        if (tabIndex === null || tabIndex <= 0) return false;
+
+        const position = A11yRuleUtils.getTabSequence(context).findIndex(entry => entry.element === element);
+        return {
+          message: position >= 0
+            ? `tabindex="${tabIndex}" moves the element to position ${position + 1} of the tab sequence, ahead of the page order`
+            : `tabindex="${tabIndex}" changes the tab sequence`,
+          details: { tabindex: tabIndex }
+        };
+      },
+      message: 'Positive tabindex changes the focus order',
+      type: 'warning',
+      category: 'keyboard'
+    },
+    clickNotFocusable: {
+      id: 'click-events-focusable',
+      selector: '[onclick]',
+      tags: ['wcag2a', 'wcag211'],
+      check: (element, context) => {
+        // Handlers on the page root are event delegation, not controls
+        if (element.localName === 'html' || element.localName === 'body') return false;
+        if (element.matches(':disabled') || DomUtils.isTabbable(element)) return false;
+
+        // The click is reachable through a control inside or around the element
+        const control = DomUtils.querySelectorAllDeep(DomUtils.FOCUSABLE_SELECTOR, element, A11yRuleUtils.getShadowRoots(context))
+          .find(descendant => DomUtils.isTabbable(descendant));
+        if (control || A11yRuleUtils.getTabbableAncestor(element)) return false;
+
+        return {
+          message: DomUtils.isFocusable(element)
+            ? 'Element with a click handler has tabindex="-1" and cannot be reached with Tab'
+            : `<${element.localName}> with a click handler cannot receive keyboard focus`
+        };
+      },
+      message: 'Clickable element is not keyboard focusable',
+      type: 'error',
+      category: 'keyboard'
+    },
+    visualFocusOrder: {
+      id: 'focus-order-visual',
+      tags: ['wcag2a', 'wcag243'],
+      check: (context) => {
+        const sequence = A11yRuleUtils.getTabSequence(context);
+        const directions = { left: 'left along the line', right: 'right along the line', up: 'back up the column' };
+
+        return FocusUtils.getVisualOrderJumps(sequence)
+          .filter(jump => A11yRuleUtils.isElementVisible(jump.to, context.options))
+          .map(jump => ({
+            element: jump.to,
+            message: `Focus moves ${directions[jump.direction]} from stop ${jump.fromIndex} to stop ${jump.toIndex} of the tab sequence`,
+            related: [{ label: 'Previous focus stop', element: jump.from }],
+            // A positive tabindex on either side is a deliberate reorder, not a layout quirk
+            confidence: DomUtils.getTabIndex(jump.from) > 0 || DomUtils.getTabIndex(jump.to) > 0 ? 0.9 : 0.7
+          }));
+      },
+      message: 'Focus order does not match the visual reading order',
+      type: 'warning',
+      category: 'keyboard'
+    },
+    keyboardTrap: {
+      id: 'keyboard-trap',
+      tags: ['wcag2a', 'wcag212'],
+      check: (context) => A11yRuleUtils.getKeyboardWalk(context).traps
+        .filter(trap => A11yRuleUtils.isElementVisible(trap.elements[0], context.options))
+        .map(trap => ({
+          element: trap.elements[0],
+          message: trap.elements.length === 1
+            ? `${trap.key} does not move focus away from this element, and Escape does not release it`
+            : `${trap.key} keeps focus inside ${trap.elements.length} elements, and Escape does not release it`,
+          related: trap.elements.slice(1, 6).map(element => ({ label: 'Part of the trap', element })),
+          details: { sequence: A11yRuleUtils.describeFocusPath(trap.path, trap.key) }
+        })),
+      message: 'Keyboard focus is trapped',
+      type: 'error',
+      category: 'keyboard'
+    },
+    focusLost: {
+      id: 'focus-lost',
+      tags: ['wcag2a', 'wcag243'],
+      check: (context) => {
+        const reasons = {
+          body: 'focus falls back to the page body',
+          removed: 'the focused element is removed and focus falls back to the page body',
+          hidden: 'focus moves to a hidden element'
+        };
+
+        return A11yRuleUtils.getKeyboardWalk(context).losses
+          .filter(loss => !loss.from.isConnected || A11yRuleUtils.isElementVisible(loss.from, context.options))
+          .map(loss => ({
+            element: loss.from.isConnected ? loss.from : null,
+            message: `After ${loss.key} ${reasons[loss.reason]}`,
+            related: loss.reason === 'hidden' ? [{ label: 'Focused element', element: loss.to }] : [],
+            details: { sequence: A11yRuleUtils.describeFocusPath([...loss.path, loss.to], loss.key) }
+          }));
+      },
+      message: 'Keyboard focus is lost',
+      type: 'error',
+      category: 'keyboard'
+    },
+    widgetTabStop: {
+      id: 'widget-tab-stop',
+      selector: '[role~="tablist"], [role~="menu"], [role~="menubar"], [role~="listbox"], [role~="tree"], [role~="radiogroup"], [role~="grid"]',
+      tags: ['wcag2a', 'wcag211'],
+      check: (widget, context) => {
+        const role = WidgetUtils.getWidgetRole(widget);
+        const items = role ? WidgetUtils.getItems(widget) : [];
+        if (items.length === 0 || WidgetUtils.isNative(widget, items)) return false;
+
+        const stops = A11yRuleUtils.getTabSequence(context)
+          .map(entry => entry.element)
+          .filter(element => DomUtils.containsDeep(widget, element));
+
+        if (stops.length === 0) {
+          // Popups and nested composites receive focus from the element that opens them
+          if (WidgetUtils.isPopup(widget)) return false;
+          return {
+            message: `No element of the ${role} is in the tab sequence, expected one tab stop`,
+            details: { expected: 'one element in the tab sequence', observed: 'no element in the tab sequence' }
+          };
+        }
+        if (stops.length === 1) return false;
+
+        return {
+          message: `${stops.length} elements of the ${role} are in the tab sequence, expected one tab stop with arrow keys moving between the items`,
+          type: 'warning',
+          related: stops.slice(0, 5).map(element => ({ label: 'Tab stop', element })),
+          details: { expected: 'one element in the tab sequence', observed: `${stops.length} elements in the tab sequence` }
+        };
+      },
+      message: 'Composite widget does not have exactly one tab stop',
+      type: 'error',
+      category: 'keyboard'
+    },
+    widgetKeyboard: {
+      id: 'widget-keyboard',
+      selector: '[role~="tablist"], [role~="menu"], [role~="menubar"], [role~="listbox"], [role~="tree"], [role~="radiogroup"], [role~="grid"], [role~="combobox"], [role~="slider"]',
+      tags: ['wcag2a', 'wcag211'],
+      check: (widget, context) => {
+        const failures = context.widgetTests && context.widgetTests.get(widget);
+        if (!failures) return false;
+
+        return failures.map(failure => ({
+          message: `${failure.key}: expected ${failure.expected}, observed: ${failure.observed}`,
+          type: failure.type,
+          details: { key: failure.key, expected: failure.expected, observed: failure.observed }
+        }));
+      },
+      message: 'Widget does not respond to the keys of its keyboard pattern',
+      type: 'error',
+      category: 'keyboard'
+    }
+  },
+
+  // Rules for interactive elements
+  interactive: {
+    buttonWithoutLabel: {
+      id: 'button-name',
+      selector: 'button, [role="button"]',
+      tags: ['wcag2a', 'wcag412'],
+      check: (button) => !AccessibleName.compute(button).name && A11yRuleUtils.explainMissingName(button, 'Button'),
+      message: 'Button without accessible name',
+      type: 'error',
+      category: 'interactive'
+    },
+    nestedInteractive: {
+      id: 'nested-interactive',
+      selector: 'a[href], button, input, select, textarea, summary, iframe, [tabindex], [contenteditable], [role]',
+      tags: ['wcag2a', 'wcag412'],
+      check: (element) => {
+        if (!A11yRuleUtils.isInteractiveElement(element)) return false;
+
+        // Controls inside links, buttons and other roles with presentational children
+        let ancestor = DomUtils.getComposedParent(element);
+        while (ancestor) {
+          const role = AriaUtils.getRole(ancestor);
+          if (role === 'link' || AriaUtils.hasPresentationalChildren(role)) {
+            return {
+              message: `Interactive element nested inside ${role} "${AccessibleName.compute(ancestor).name}"`,
+              related: [{ label: 'Inside', element: ancestor }]
+            };
+          }
+          ancestor = DomUtils.getComposedParent(ancestor);
+        }
+
+        return false;
+      },
+      message: 'Interactive element nested inside another interactive element',
+      type: 'error',
+      category: 'interactive'
+    },
+    focusableWithoutIndicator: {
+      id: 'focus-indicator',
+      tags: ['wcag2aa', 'wcag247'],
+      check: (context) => {
+        // Unmeasured documents are reported as scan notes by runAllChecks
+        const { indicators } = A11yRuleUtils.getFocusIndicators(context);
+
+        const results = [];
+        indicators.forEach((indicator, element) => {
+          const visible = indicator.parts.some(part => part.contrast === null || part.contrast >= FocusUtils.MIN_VISIBLE_CONTRAST);
+          if (visible) return;
+
+          results.push({
+            element,
+            message: indicator.changes.length > 0
+              ? 'Styles change on focus, but the change is not visible'
+              : 'Element looks the same with and without focus',
+            details: indicator.changes.length > 0 ? { indicator: A11yRuleUtils.describeFocusChanges(indicator) } : undefined,
+            // :focus-visible styles may not apply to focus moved by script
+            confidence: indicator.focusVisible ? undefined : 0.6
+          });
+        });
+        return results;
+      },
+      message: 'Focusable element without visual focus indicator',
+      type: 'error',
+      category: 'interactive'
+    },
+    focusAppearance: {
+      id: 'focus-appearance',
+      tags: ['wcag2aaa', 'wcag2413'],
+      check: (context) => {
+        const results = [];
+
+        A11yRuleUtils.getFocusIndicators(context).indicators.forEach((indicator, element) => {
+          const visible = indicator.parts.filter(part => part.contrast === null || part.contrast >= FocusUtils.MIN_VISIBLE_CONTRAST);
+
+          // Gradients and generated content cannot be measured
+          if (visible.length === 0 || visible.some(part => part.area === null || part.contrast === null)) return;
+          if (indicator.area >= indicator.requiredArea) return;
+
+          const contrast = Math.max(...visible.map(part => part.contrast));
+          results.push({
+            element,
+            message: contrast < FocusUtils.MIN_INDICATOR_CONTRAST
+              ? `Focus indicator contrast ${contrast}:1 with the unfocused state is below ${FocusUtils.MIN_INDICATOR_CONTRAST}:1`
+              : `Focus indicator covers ${indicator.area}px², less than a ${FocusUtils.MIN_INDICATOR_THICKNESS}px perimeter (${indicator.requiredArea}px²)`,
+            details: {
+              indicator: A11yRuleUtils.describeFocusChanges(indicator),
+              area: indicator.area,
+              requiredArea: indicator.requiredArea,
+              contrast
+            }
+          });
+        });
+        return results;
+      },
+      message: 'Focus indicator is too small or has low contrast',
+      type: 'warning',
+      category: 'interactive'
+    },
+    focusObscured: {
+      id: 'focus-not-obscured',
+      tags: ['wcag22aa', 'wcag2411'],
+      check: (context) => {
+        const results = [];
+
+        A11yRuleUtils.getFocusIndicators(context).indicators.forEach((indicator, element) => {
+          if (!indicator.obscuredBy) return;
+
+          results.push({
+            element,
+            related: [{ label: 'Covered by', element: indicator.obscuredBy }]
+          });
+        });
+        return results;
+      },
+      message: 'Focused element is completely hidden by sticky or fixed content',
+      type: 'error',
+      category: 'interactive'
+    }
+  }
+};
+
+/**
+ * Register a rule in the registry
+ * Registering a rule under an existing category and name replaces it,
+ * so scripts that are injected more than once do not duplicate rules.
+ * @param {string} category - Rule category (group in A11yRules and issue category)
+ * @param {string} name - Rule name inside the category
+ * @param {Object} rule - Rule definition (id, selector, tags, check, message, type)
+ * @returns {Object} Registered rule
+ */
+Object.defineProperty(A11yRules, 'register', {
+  enumerable: false,
+  value: function(category, name, rule) {
+    if (!category || !name) {
+      throw new Error('Rule category and name are required');
+    }
+    if (!rule || !rule.id || typeof rule.check !== 'function') {
+      throw new Error(`Rule ${category}.${name} must have an id and a check function`);
+    }
+
+    const existing = A11yRuleUtils.getRuleById(rule.id);
+    if (existing && existing !== (this[category] && this[category][name])) {
+      throw new Error(`Rule id "${rule.id}" is already registered`);
+    }
+
+    if (!this[category]) {
+      this[category] = {};
+    }
+
+    this[category][name] = {
+      tags: [],
+      type: 'warning',
+      ...rule,
+      category: rule.category || category
+    };
+
+    return this[category][name];
+  }
+});
+
+// Utility functions for working with accessibility rules
+const A11yRuleUtils = {
+  // Autofill field names from the HTML specification (input purposes of WCAG 1.3.5)
+  AUTOCOMPLETE_FIELDS: [
+    'name', 'honorific-prefix', 'given-name', 'additional-name', 'family-name', 'honorific-suffix',
+    'nickname', 'username', 'new-password', 'current-password', 'one-time-code', 'organization-title',
+    'organization', 'street-address', 'address-line1', 'address-line2', 'address-line3',
+    'address-level4', 'address-level3', 'address-level2', 'address-level1', 'country',
+    'country-name', 'postal-code', 'cc-name', 'cc-given-name', 'cc-additional-name',
+    'cc-family-name', 'cc-number', 'cc-exp', 'cc-exp-month', 'cc-exp-year', 'cc-csc', 'cc-type',
+    'transaction-currency', 'transaction-amount', 'language', 'bday', 'bday-day', 'bday-month',
+    'bday-year', 'sex', 'url', 'photo'
+  ],
+
+  // Names of buttons that close a dialog
+  CLOSE_CONTROL_TEXT: [
+    'close', 'dismiss', 'cancel', 'done', 'ok', 'got it', 'no thanks', 'x', '×', '✕', '✖', '╳',
+    'закрыть', 'отмена', 'отменить', 'готово', 'ок', 'понятно', 'нет, спасибо'
+  ],
+
+  // Autofill field names that may follow home, work, mobile, fax or pager
+  AUTOCOMPLETE_CONTACT_FIELDS: [
+    'tel', 'tel-country-code', 'tel-national', 'tel-area-code', 'tel-local', 'tel-local-prefix',
+    'tel-local-suffix', 'tel-extension', 'email', 'impp'
+  ],
+
+  // Alt texts that say nothing about the image
+  PLACEHOLDER_ALT: [
+    'image', 'img', 'photo', 'picture', 'graphic', 'spacer', 'blank', 'placeholder', 'alt',
+    'untitled', 'none', 'null', 'undefined', 'изображение', 'картинка', 'фото', 'рисунок'
+  ],
+
+  // Link texts that do not say where the link goes, by language
+  // All languages are checked, since bilingual pages mix them
+  GENERIC_LINK_TEXT: {
+    en: [
+      'click here', 'click', 'here', 'more', 'read more', 'learn more', 'more info',
+      'more information', 'details', 'continue', 'continue reading', 'link', 'this link',
+      'go', 'go here', 'see more', 'view more', 'find out more', 'this page', 'start'
+    ],
+    ru: [
+      'подробнее', 'здесь', 'тут', 'сюда', 'далее', 'дальше', 'читать далее', 'читать дальше',
+      'читать полностью', 'узнать больше', 'узнать подробнее', 'ещё', 'еще', 'больше',
+      'ссылка', 'по ссылке', 'перейти', 'нажмите здесь', 'жмите сюда', 'смотреть', 'смотреть все'
+    ]
+  },
+
+  // Words in a link name or description that warn about a new window
+  NEW_WINDOW_PATTERN: /new (window|tab)|opens? in|external|в нов(ом|ой|ое|ую) (окне|вкладке)|откро(ется|ет)/i,
+
+  // Unicode private use areas, where icon fonts put their glyphs
+  PRIVATE_USE_PATTERN: /[\uE000-\uF8FF]|[\uDB80-\uDBFF][\uDC00-\uDFFF]/,
+  PRIVATE_USE_GLOBAL_PATTERN: /[\uE000-\uF8FF]|[\uDB80-\uDBFF][\uDC00-\uDFFF]/g,
+
+  // Elements that usually render an icon font glyph
+  ICON_FONT_SELECTOR: 'i[class], span[class*="icon"], [class*="fa-"], [class*="glyphicon"], [class*="material-icons"], [class*="material-symbols"]',
+
+  /**
+   * Get all registered rules
+   * @returns {Array} Rule definitions
+   */
+  getAllRules: function() {
+    const rules = [];
+
+    Object.values(A11yRules).forEach(group => {
+      Object.values(group).forEach(rule => rules.push(rule));
+    });
+
+    return rules;
+  },
+
+  /**
+   * Find a rule by its stable ID
+   * @param {string} id - Rule ID (e.g. 'image-alt')
+   * @returns {Object|null} Rule definition
+   */
+  getRuleById: function(id) {
+    return this.getAllRules().find(rule => rule.id === id) || null;
+  },
+
+  /**
+   * Get WCAG success criteria and conformance level from rule tags
+   * @param {Object} rule - Rule definition
+   * @returns {Object} Success criteria (e.g. ['1.4.10']) and level (A, AA, AAA or null)
+   */
+  getWcagReferences: function(rule) {
+    const criteria = [];
+    let level = null;
+
+    (rule.tags || []).forEach(tag => {
+      const levelMatch = tag.match(/^wcag2\d?(a{1,3})$/);
+      if (levelMatch) {
+        level = levelMatch[1].toUpperCase();
+        return;
+      }
+
+      // Principle and guideline are single digits, the rest is the criterion
+      const criterionMatch = tag.match(/^wcag(\d)(\d)(\d+)$/);
+      if (criterionMatch) {
+        criteria.push(`${criterionMatch[1]}.${criterionMatch[2]}.${criterionMatch[3]}`);
+      }
+    });
+
+    return { criteria, level };
+  },
+
+  /**
+   * Build an issue object for a rule
+   * @param {Object} rule - Rule definition
+   * @param {Element|null} element - Element the issue refers to
+   * @param {Object} overrides - Values returned by the rule check
+   */
+  createIssue: function(rule, element, overrides = {}) {
+    const target = overrides.element !== undefined ? overrides.element : element;
+    const wcag = this.getWcagReferences(rule);
+
+    const issue = {
+      ruleId: rule.id,
+      type: overrides.type || rule.type,
+      category: rule.category,
+      message: overrides.message || rule.message,
+      wcag: wcag.criteria,
+      level: wcag.level,
+      tags: rule.tags || [],
+      element: target ? target.outerHTML.slice(0, 100) : null,
+      selector: target ? this.getElementSelector(target) : null,
+      xpath: target ? SelectorUtils.getXPath(target) : null,
+      domPath: target ? SelectorUtils.getDomPath(target) : null
+    };
+
+    if (overrides.details) {
+      issue.details = overrides.details;
+    }
+
+    // Heuristic rules report how likely the issue is real, from 0 to 1
+    if (overrides.confidence !== undefined) {
+      issue.confidence = overrides.confidence;
+    }
+
+    // Other elements involved in the issue, e.g. the ancestor that hides it
+    if (overrides.related && overrides.related.length > 0) {
+      issue.related = overrides.related.map(related => ({
+        label: related.label,
+        element: related.element.outerHTML.slice(0, 100),
+        selector: this.getElementSelector(related.element),
+        xpath: SelectorUtils.getXPath(related.element)
+      }));
+    }
+
+    // Show how assistive technology announces the element
+    if (target && this.isInteractiveElement(target)) {
+      issue.accessibleName = AccessibleName.compute(target);
+    }
+
+    return issue;
+  },
+
+  /**
+   * Check if element is focusable or has a widget role
+   * @param {Element} element - DOM element
+   */
+  isInteractiveElement: function(element) {
+    const widgetRoles = [
+      'button', 'checkbox', 'combobox', 'link', 'listbox', 'menuitem', 'menuitemcheckbox',
+      'menuitemradio', 'option', 'radio', 'searchbox', 'slider', 'spinbutton', 'switch',
+      'tab', 'textbox', 'treeitem'
+    ];
+
+    return DomUtils.isFocusable(element) || widgetRoles.includes(AccessibleName.getRole(element));
+  },
+
+  /**
+   * Convert the value returned by a rule check into issues
+   * @param {Object} rule - Rule definition
+   * @param {Element|null} element - Checked element
+   * @param {*} result - Check result
+   */
+  resultToIssues: function(rule, element, result) {
+    if (!result) return [];
+    if (result === true) return [this.createIssue(rule, element)];
+    if (Array.isArray(result)) {
+      return result.flatMap(item => this.resultToIssues(rule, element, item));
+    }
+    return [this.createIssue(rule, element, result)];
+  },
+
+  /**
+   * Apply rule to a set of elements
+   * @param {Object} rule - Rule definition
+   * @param {Array} elements - DOM elements to check
+   * @param {Object} context - Scan context passed to the rule check
+   */
+  applyRuleToElements: function(rule, elements, context = {}) {
+    const issues = [];
+    
+    elements.forEach(element => {
+      if (!rule.includeHidden && !this.isElementVisible(element, context.options)) return;
+      
+      issues.push(...this.resultToIssues(rule, element, rule.check(element, context)));
+    });
+    
+    return issues;
+  },
+
+  /**
+   * Apply global rule (without specific element)
+   * @param {Object} rule - Rule definition
+   * @param {Object} context - Scan context passed to the rule check
+   */
+  applyGlobalRule: function(rule, context = {}) {
+    return this.resultToIssues(rule, null, rule.check(context));
+  },
+
+  /**
+   * Get the open shadow roots of the scanned document, collecting them on first use
+   * Passed to DomUtils.querySelectorAllDeep() so each query does not walk the DOM again
+   * @param {Object} context - Scan context
+   * @returns {Array} Shadow roots from DomUtils.getShadowRoots
+   */
+  getShadowRoots: function(context) {
+    if (!context.shadowRoots) {
+      context.shadowRoots = DomUtils.getShadowRoots(context.document);
+    }
+    return context.shadowRoots;
+  },
+
+  /**
+   * Run a single rule against the document in the context
+   * @param {Object} rule - Rule definition
+   * @param {Object} context - Scan context
+   */
+  runRule: function(rule, context) {
+    if (rule.selector) {
+      const elements = DomUtils.querySelectorAllDeep(rule.selector, context.document, this.getShadowRoots(context));
+      return this.applyRuleToElements(rule, elements, context);
+    }
+    return this.applyGlobalRule(rule, context);
+  },
+
+  /**
+   * Check if element is visible for the scan
+   * Offscreen elements are included unless options.aboveTheFoldOnly is set
+   * @param {Element} element - DOM element
+   * @param {Object} options - Scan options
+   */
+  isElementVisible: function(element, options = {}) {
+    return DomUtils.isElementVisible(element, options);
+  },
+
+  /**
+   * Get elements that have aria-* attributes and are visible for the scan
+   * Used by document-level ARIA rules, since no CSS selector matches
+   * attribute name prefixes
+   * @param {Object} context - Scan context
+   * @returns {Array} DOM elements
+   */
+  getAriaElements: function(context) {
+    return DomUtils.getAllElementsDeep(context.document).filter(element => {
+      return AriaUtils.getAriaAttributes(element).length > 0 &&
+             this.isElementVisible(element, context.options);
+    });
+  },
+
+  /**
+   * Get the control an icon belongs to
+   * @param {Element} element - Icon element (svg, i, ...)
+   * @returns {Element|null} Closest link, button or similar control
+   */
+  getIconControl: function(element) {
+    return DomUtils.closestDeep(element, 'a[href], button, [role="button"], [role="link"], [role="menuitem"], [role="tab"], summary');
+  },
+
+  /**
+   * Check if link-name or button-name covers a control
+   * @param {Element} control - Link, button or similar control
+   * @returns {boolean} True if a missing name is reported by one of those rules
+   */
+  hasNameRule: function(control) {
+    return ['link-name', 'button-name'].some(id => control.matches(this.getRuleById(id).selector));
+  },
+
+  /**
+   * Explain a missing control name with its usual causes: images with alt="" and icon fonts
+   * @param {Element} control - Link or button without an accessible name
+   * @param {string} label - Control type for the message, e.g. 'Link'
+   * @returns {Object|boolean} Issue with the cause, true if no cause was found
+   */
+  explainMissingName: function(control, label) {
+    const images = Array.from(control.querySelectorAll('img'));
+    if (images.length > 0 && images.every(image => image.getAttribute('alt') === '')) {
+      return {
+        message: `${label} without accessible name: its only content is an image with alt=""`,
+        related: images.slice(0, 3).map(element => ({ label: 'Image', element }))
+      };
+    }
+
+    const icon = control.querySelector(this.ICON_FONT_SELECTOR);
+    if (icon) {
+      return {
+        message: `${label} without accessible name: its icon font is not read by screen readers`,
+        details: { icon: icon.outerHTML.slice(0, 200) }
+      };
+    }
+
+    return true;
+  },
+
+  /**
+   * Check if a link text does not describe the link purpose
+   * Ignores case, trailing punctuation and arrows ("Read more »", "Подробнее...")
+   * @param {string} text - Link text or accessible name
+   * @returns {boolean} True if the text is in a generic link text dictionary
+   */
+  isGenericLinkText: function(text) {
+    const normalized = this.normalizeLinkName(text);
+
+    return Object.values(this.GENERIC_LINK_TEXT).some(texts => {
+      return texts.some(generic => generic.replace(/ё/g, 'е') === normalized);
+    });
+  },
+
+  /**
+   * Normalize a link name for comparisons
+   * @param {string} name - Link text or accessible name
+   * @returns {string} Lowercase name without trailing punctuation and arrows
+   */
+  normalizeLinkName: function(name) {
+    return this.normalizeText(name).toLowerCase()
+      .replace(/[\s.,:;!?…»›→>]+$/u, '')
+      .replace(/ё/g, 'е');
+  },
+
+  /**
+   * Normalize a link target for comparisons: absolute URL without trailing slash
+   * @param {Element} link - Link element
+   * @returns {string} Normalized href
+   */
+  getLinkTarget: function(link) {
+    const href = link.getAttribute('href') || '';
+    try {
+      const url = new URL(href, link.ownerDocument.baseURI);
+      return url.href.replace(/\/(?=$|[?#])/, '');
+    } catch (e) {
+      return href.trim();
+    }
+  },
+
+  /**
+   * Find links with the same accessible name that lead to different places
+   * @param {Object} context - Scan context
+   * @returns {Array} Rule results, one per ambiguous name
+   */
+  getAmbiguousLinks: function(context) {
+    const groups = new Map();
+
+    DomUtils.querySelectorAllDeep('a[href], area[href]', context.document, this.getShadowRoots(context)).forEach(link => {
+      if (!this.isElementVisible(link, context.options)) return;
+
+      const name = this.normalizeLinkName(AccessibleName.compute(link).name);
+      if (!name) return;
+
+      if (!groups.has(name)) {
+        groups.set(name, []);
+      }
+      groups.get(name).push(link);
+    });
+
+    const results = [];
+    groups.forEach(links => {
+      const targets = [...new Set(links.map(link => this.getLinkTarget(link)))];
+      if (targets.length < 2) return;
+
+      const name = AccessibleName.compute(links[0]).name;
+      results.push({
+        element: links[0],
+        message: `${links.length} links named "${name}" lead to ${targets.length} different destinations`,
+        details: { name, hrefs: targets.slice(0, 10) },
+        related: links.slice(1, 6).map(link => ({ label: 'Same name', element: link }))
+      });
+    });
+
+    return results;
+  },
+
+  /**
+   * Collapse whitespace and trim text for comparisons
+   * @param {string} text - Text
+   * @returns {string} Normalized text
+   */
+  normalizeText: function(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  },
+
+  /**
+   * Get the file name of a URL without query and fragment
+   * @param {string} src - Image URL
+   * @returns {string} File name, e.g. 'hero-banner.png'
+   */
+  getFileName: function(src) {
+    const path = (src || '').split(/[?#]/)[0];
+    try {
+      return decodeURIComponent(path.split('/').pop());
+    } catch (e) {
+      return path.split('/').pop();
+    }
+  },
 
   /**
-   * Check if element is visible
+   * Get the text content of an element, ignoring its images
    * @param {Element} element - DOM element
+   * @returns {string} Normalized text
    */
-  isElementVisible: function(element) {
-    if (!element || !element.getBoundingClientRect) return false;
-    
-    const rect = element.getBoundingClientRect();
-    const style = window.getComputedStyle(element);
-    
-    return !(rect.width === 0 && rect.height === 0) &&
-           style.display !== 'none' &&
-           style.visibility !== 'hidden' &&
-           style.opacity !== '0' &&
-           rect.top < window.innerHeight &&
-           rect.bottom > 0 &&
-           rect.left < window.innerWidth &&
-           rect.right > 0;
+  getTextWithoutImages: function(element) {
+    const clone = element.cloneNode(true);
+    clone.querySelectorAll('img, svg').forEach(image => image.remove());
+    return this.normalizeText(clone.textContent);
+  },
+
+  /**
+   * Serialize SVG markup small enough to show in a report
+   * Path data and other long attribute values are shortened
+   * @param {Element} svg - SVG element
+   * @returns {string} Shortened markup, at most 300 characters
+   */
+  getSvgMarkup: function(svg) {
+    const clone = svg.cloneNode(true);
+
+    [clone, ...clone.querySelectorAll('*')].forEach(element => {
+      Array.from(element.attributes).forEach(attribute => {
+        if (attribute.value.length > 40) {
+          element.setAttribute(attribute.name, `${attribute.value.slice(0, 20)}…`);
+        }
+      });
+    });
+
+    const markup = clone.outerHTML.replace(/>\s+</g, '><').replace(/\s+/g, ' ').trim();
+    return markup.length > 300 ? `${markup.slice(0, 299)}…` : markup;
+  },
+
+  /**
+   * Recognize known video players embedded through an iframe
+   * A relative src is resolved against the frame's own document, which may be a nested frame
+   * @param {Element} frame - Frame element
+   * @returns {string|null} Player name, null for other frames
+   */
+  getEmbeddedPlayer: function(frame) {
+    let host;
+    try {
+      host = new URL(frame.getAttribute('src'), frame.ownerDocument.baseURI).hostname.toLowerCase();
+    } catch (e) {
+      return null;
+    }
+
+    const players = {
+      YouTube: ['youtube.com', 'youtube-nocookie.com', 'youtu.be'],
+      Vimeo: ['vimeo.com']
+    };
+
+    return Object.keys(players).find(player => {
+      return players[player].some(domain => host === domain || host.endsWith(`.${domain}`));
+    }) || null;
+  },
+
+  /**
+   * Check if a document title is a placeholder left by an editor or template
+   * @param {string} title - Normalized title text
+   * @returns {boolean} True for titles such as "Untitled" or "New Page"
+   */
+  isPlaceholderTitle: function(title) {
+    return /^(untitled(\s+(document|page))?(\s*-?\s*\d+)?|new\s+(page|document|tab)|page\s+title|title|document|index(\.html?)?|default|без\s+названия|новая\s+страница|новый\s+документ|заголовок|документ)$/i.test(title);
+  },
+
+  /**
+   * Parse the content of a meta element, e.g. "width=device-width, user-scalable=no"
+   * @param {string} content - Value of the content attribute
+   * @returns {Object} Lowercase property names and values
+   */
+  parseMetaContent: function(content) {
+    const properties = {};
+
+    (content || '').split(/[,;]/).forEach(part => {
+      const [name, value = ''] = part.split('=');
+      if (name && name.trim()) {
+        properties[name.trim().toLowerCase()] = value.trim().toLowerCase();
+      }
+    });
+
+    return properties;
+  },
+
+  /**
+   * Get the headings of the scanned document, collecting them on first use
+   * @param {Object} context - Scan context
+   * @returns {Array} Headings ({ element, level, text, hidden }) shared by all heading rules
+   */
+  getHeadings: function(context) {
+    if (!context.headings) {
+      context.headings = OutlineUtils.getHeadings(context.document, this.getShadowRoots(context));
+    }
+    return context.headings;
+  },
+
+  /**
+   * Find short standalone text that is styled like a heading
+   * Bold text noticeably larger than the body text, or very large text,
+   * that fills a whole paragraph or block and is not inside a heading
+   * @param {Object} context - Scan context
+   * @returns {Array} Rule results with a confidence score
+   */
+  getVisualHeadings: function(context) {
+    const results = [];
+    const doc = context.document;
+    const body = doc.body;
+    if (!body) return results;
+
+    const baseSize = parseFloat(DomUtils.getComputedStyle(body).fontSize) || 16;
+    const excluded = 'h1, h2, h3, h4, h5, h6, [role="heading"], a, button, label, legend, caption, th, dt, summary, figcaption, li, nav, [role="button"], [role="link"]';
+
+    DomUtils.querySelectorAllDeep('p, div', doc, this.getShadowRoots(context)).slice(0, 2000).forEach(block => {
+      const text = this.normalizeText(block.textContent);
+      if (text.length < 3 || text.length > 80 || text.split(' ').length > 10) return;
+      // Sentences end with punctuation, headings usually do not
+      if (/[.,;:!?]$/.test(text)) return;
+
+      // Descend through wrappers to the element that holds all the text
+      let styled = block;
+      while (styled.children.length === 1 &&
+             Array.from(styled.childNodes).every(node => node.nodeType !== Node.TEXT_NODE || !node.textContent.trim())) {
+        styled = styled.children[0];
+        // The inner block is checked on its own
+        if (styled.matches('p, div')) return;
+      }
+      if (styled.querySelector('p, div, h1, h2, h3, h4, h5, h6, ul, ol, table, img, input, button, select, textarea')) return;
+      if (DomUtils.closestDeep(block, excluded) || styled.closest(excluded)) return;
+      if (!this.isElementVisible(block, context.options)) return;
+
+      const style = DomUtils.getComputedStyle(styled);
+      const ratio = (parseFloat(style.fontSize) || baseSize) / baseSize;
+      const bold = parseInt(style.fontWeight, 10) >= 600 || style.fontWeight === 'bold' || style.fontWeight === 'bolder';
+
+      let confidence = 0;
+      if (bold && ratio >= 1.2) confidence = 0.8;
+      else if (ratio >= 1.5) confidence = 0.7;
+      if (!confidence) return;
+
+      results.push({
+        element: block,
+        message: `"${text}" is styled like a heading (${bold ? 'bold, ' : ''}${style.fontSize}) but is not marked up as one`,
+        confidence
+      });
+    });
+
+    return results;
+  },
+
+  /**
+   * Get the landmarks of the scanned document, collecting them on first use
+   * @param {Object} context - Scan context
+   * @returns {Array} Landmarks ({ element, role, name, parent, depth }) shared by all landmark rules
+   */
+  getLandmarks: function(context) {
+    if (!context.landmarks) {
+      context.landmarks = OutlineUtils.getLandmarks(context.document, this.getShadowRoots(context));
+    }
+    return context.landmarks;
+  },
+
+  /**
+   * Check if an element is an open dialog
+   * @param {Element} element - Element matched by a dialog rule selector
+   * @returns {boolean} True for dialog and alertdialog roles
+   */
+  isDialog: function(element) {
+    return ['dialog', 'alertdialog'].includes(AriaUtils.getRole(element));
+  },
+
+  /**
+   * Get how a dialog is made modal
+   * @param {Element} dialog - Dialog element
+   * @returns {string|null} 'native' for showModal(), 'aria' for aria-modal="true", null if not modal
+   */
+  getDialogModality: function(dialog) {
+    try {
+      if (dialog.localName === 'dialog' && dialog.matches(':modal')) return 'native';
+    } catch (e) {
+      // :modal is not supported, fall back to aria-modal
+    }
+    return dialog.getAttribute('aria-modal') === 'true' ? 'aria' : null;
+  },
+
+  /**
+   * Get the page content a modal dialog does not hide from assistive technology
+   * Walks up from the dialog and collects siblings of every ancestor that are
+   * rendered, have content and are neither inert nor aria-hidden
+   * @param {Element} dialog - Modal dialog
+   * @returns {Array} Exposed elements
+   */
+  getContentBehindDialog: function(dialog) {
+    const exposed = [];
+    const skipped = ['script', 'style', 'template', 'link', 'meta', 'noscript'];
+
+    for (let current = dialog; current && current.parentElement && current.localName !== 'body'; current = current.parentElement) {
+      Array.from(current.parentElement.children).forEach(sibling => {
+        if (sibling === current || skipped.includes(sibling.localName)) return;
+        if (DomUtils.closestDeep(sibling, '[inert]') || DomUtils.isHiddenFromAT(sibling) || !DomUtils.isRendered(sibling)) return;
+
+        // Empty overlays and backdrops are not content
+        const hasContent = this.normalizeText(sibling.textContent) || sibling.matches(DomUtils.FOCUSABLE_SELECTOR) ||
+          sibling.querySelector(`img, svg, ${DomUtils.FOCUSABLE_SELECTOR}`);
+        if (hasContent) exposed.push(sibling);
+      });
+    }
+
+    return exposed;
+  },
+
+  /**
+   * Find the control that closes a dialog
+   * @param {Element} dialog - Dialog element
+   * @returns {Element|null} Close button, a button of a method="dialog" form or, in an alertdialog, any button
+   */
+  getDialogCloseControl: function(dialog) {
+    const controls = DomUtils.querySelectorAllDeep('button, [role="button"], a[href], input[type="button"], input[type="submit"]', dialog)
+      .filter(control => !DomUtils.isHidden(control));
+
+    return controls.find(control => {
+      if (AriaUtils.getRole(dialog) === 'alertdialog') return true;
+      if (control.closest('form[method="dialog"]') || control.getAttribute('formmethod') === 'dialog') return true;
+      if (control.getAttribute('command') === 'close' || control.hasAttribute('data-dismiss') || control.hasAttribute('data-bs-dismiss')) return true;
+
+      const name = this.normalizeLinkName(AccessibleName.compute(control).name);
+      return this.CLOSE_CONTROL_TEXT.some(text => name === text || name.startsWith(`${text} `));
+    }) || null;
+  },
+
+  /**
+   * Check if page handlers cancel pasting into a field
+   * A synthetic paste event runs the handlers but never inserts text, so a handler
+   * that cancels it and inserts the text itself still changes the value. The field
+   * value is restored afterwards
+   * @param {Element} input - Text field
+   * @returns {boolean} True if a handler called preventDefault() or returned false and left the value unchanged
+   */
+  isPasteBlocked: function(input) {
+    const view = input.ownerDocument.defaultView || window;
+    const init = { bubbles: true, cancelable: true, composed: true };
+    const value = input.value;
+    let event;
+
+    try {
+      if (typeof view.DataTransfer === 'function') {
+        init.clipboardData = new view.DataTransfer();
+        init.clipboardData.setData('text/plain', 'a11y-paste-test');
+      }
+      event = new view.ClipboardEvent('paste', init);
+    } catch (error) {
+      event = new view.Event('paste', init);
+    }
+
+    input.dispatchEvent(event);
+    const changed = input.value !== value;
+    if (changed) input.value = value;
+
+    return event.defaultPrevented && !changed;
+  },
+
+  /**
+   * Get the tab sequence of the scanned document, building it on first use
+   * @param {Object} context - Scan context
+   * @returns {Array} Entries ({ element, tabIndex }) from FocusUtils.getTabSequence
+   */
+  getTabSequence: function(context) {
+    if (!context.tabSequence) {
+      context.tabSequence = FocusUtils.getTabSequence(context.document);
+    }
+    return context.tabSequence;
+  },
+
+  /**
+   * Get the result of the keyboard walk run before the rules
+   * @param {Object} context - Scan context
+   * @returns {Object} { traps, losses, escaped } from FocusUtils.getKeyboardWalk
+   */
+  getKeyboardWalk: function(context) {
+    return context.keyboardWalk || { traps: [], losses: [], escaped: false };
+  },
+
+  /**
+   * Press keys on the page before the rules run
+   * Pages update focus and ARIA state asynchronously after a key press, so these
+   * tests wait for each update; rules then read the results from the context
+   * @param {Object} context - Scan context, receives keyboardWalk and widgetTests (widget → failures)
+   * @param {Array} notes - Receives notes on side effects of the key presses ({ message, url })
+   */
+  runKeyboardTests: async function(context, notes) {
+    try {
+      context.keyboardWalk = await FocusUtils.getKeyboardWalk(context.document);
+    } catch (error) {
+      console.error('Error walking the page with the keyboard:', error);
+    }
+
+    context.widgetTests = new Map();
+    const widgets = DomUtils.querySelectorAllDeep(this.getRuleById('widget-keyboard').selector, context.document, this.getShadowRoots(context))
+      .filter(widget => WidgetUtils.getWidgetRole(widget) && this.isElementVisible(widget, context.options));
+
+    for (const widget of widgets) {
+      context.widgetTests.set(widget, await WidgetUtils.testWidget(widget));
+    }
+
+    if (context.keyboardWalk && context.keyboardWalk.escaped) {
+      notes.push({
+        message: 'Escape was pressed to leave focus loops: dialogs and menus open before the scan may have been closed',
+        url: context.document.URL
+      });
+    }
+  },
+
+  /**
+   * Describe the elements focus went through for the report
+   * @param {Array} path - Focused elements, null or body when focus was lost
+   * @param {string} key - Key that was pressed, Tab or Shift+Tab
+   * @returns {string} Path such as 'Tab: #search → #menu → #search'
+   */
+  describeFocusPath: function(path, key) {
+    const steps = path.map(element => {
+      if (!element || element.localName === 'body') return 'body';
+      return element.isConnected ? SelectorUtils.getSelector(element) : `${element.localName} (removed)`;
+    });
+    return `${key}: ${steps.join(' → ')}`;
+  },
+
+  /**
+   * Measure the focus indicators of the tab sequence, focusing each element once per scan
+   * @param {Object} context - Scan context
+   * @returns {Object} { measured, indicators } from FocusUtils.getFocusIndicators
+   */
+  getFocusIndicators: function(context) {
+    if (!context.focusIndicators) {
+      const elements = this.getTabSequence(context)
+        .map(entry => entry.element)
+        .filter(element => this.isElementVisible(element, context.options));
+
+      context.focusIndicators = FocusUtils.getFocusIndicators(elements);
+    }
+    return context.focusIndicators;
+  },
+
+  /**
+   * Describe the style changes of a focus indicator for the report
+   * @param {Object} indicator - Result of FocusUtils.getFocusIndicator
+   * @returns {string} Changes such as 'outline-style: none → solid; outline-color: ...'
+   */
+  describeFocusChanges: function(indicator) {
+    return indicator.changes
+      .map(change => `${change.property}: ${change.before} → ${change.after}`)
+      .join('; ');
   },
 
   /**
-   * Generate CSS selector for element
+   * Get the closest ancestor that Tab can reach
    * @param {Element} element - DOM element
+   * @returns {Element|null} Tabbable ancestor
    */
-  getElementSelector: function(element) {
-    if (!element || !element.tagName) return 'unknown';
-    
+  getTabbableAncestor: function(element) {
+    for (let current = DomUtils.getComposedParent(element); current; current = DomUtils.getComposedParent(current)) {
+      if (current.nodeType === 1 && DomUtils.isTabbable(current)) return current;
+    }
+    return null;
+  },
+
+  /**
+   * Check that a skip link points to an element that exists and can take focus
+   * @param {HTMLAnchorElement} link - Skip link
+   * @returns {Object|null} Rule result, null if the target is fine or the link is not in-page
+   */
+  checkSkipLinkTarget: function(link) {
+    const href = link.getAttribute('href') || '';
+    if (!href.startsWith('#') || href.length < 2) return null;
+
+    let id = href.slice(1);
     try {
-      if (element.id) {
-        return `#${element.id}`;
+      id = decodeURIComponent(id);
+    } catch (e) {
+      // Keep the raw fragment
+    }
+
+    // Fragments also scroll to <a name="...">
+    const target = SelectorUtils.getQueryRoot(link).getElementById(id) ||
+      link.ownerDocument.querySelector(`a[name="${SelectorUtils.escapeAttributeValue(id)}"]`);
+
+    if (!target) {
+      return {
+        element: link,
+        message: `Skip link target "${href}" does not exist`,
+        type: 'error'
+      };
+    }
+
+    // Current browsers continue Tab from a non-focusable target, older ones and some screen readers do not
+    if (!DomUtils.isFocusable(target)) {
+      return {
+        element: link,
+        message: `Skip link target "${href}" is not focusable; consider tabindex="-1" so focus moves to it in every browser`,
+        confidence: 0.3,
+        related: [{ label: 'Target', element: target }]
+      };
+    }
+
+    return null;
+  },
+
+  /**
+   * Measure visible text that is not inside any landmark
+   * Text of in-page links (skip links) is not counted
+   * @param {Object} context - Scan context
+   * @returns {Object|null} Rule result with the share of text outside landmarks
+   */
+  getTextOutsideLandmarks: function(context) {
+    const doc = context.document;
+    const landmarks = new Set(this.getLandmarks(context).map(landmark => landmark.element));
+    if (!doc.body || landmarks.size === 0) return null;
+
+    const visibility = new Map();
+    const isVisible = (element) => {
+      if (!visibility.has(element)) {
+        visibility.set(element, this.isElementVisible(element, context.options));
       }
-      if (element.className && typeof element.className === 'string') {
-        const firstClass = element.className.split(' ')[0];
-        if (firstClass) {
-          return `${element.tagName.toLowerCase()}.${firstClass}`;
+      return visibility.get(element);
+    };
+
+    let total = 0;
+    let outside = 0;
+    const outsideElements = [];
+
+    const shadowRoots = this.getShadowRoots(context).filter(root => DomUtils.containsDeep(doc.body, root.host));
+    [doc.body, ...shadowRoots].forEach(root => {
+      const walker = doc.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+
+      for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        const parent = node.parentElement || (node.parentNode && node.parentNode.host);
+        const length = node.textContent.replace(/\s+/g, '').length;
+        if (!parent || length === 0 || parent.closest('script, style, noscript, template')) continue;
+        if (parent.closest('a[href^="#"]') || !isVisible(parent)) continue;
+
+        total += length;
+
+        let current = parent;
+        while (current && !landmarks.has(current)) {
+          current = DomUtils.getComposedParent(current);
+        }
+
+        if (!current) {
+          outside += length;
+          if (outsideElements.length < 5 && !outsideElements.some(element => element.contains(parent))) {
+            outsideElements.push(parent);
+          }
         }
       }
-      return element.tagName.toLowerCase();
-    } catch (e) {
-      return element.tagName ? element.tagName.toLowerCase() : 'unknown';
+    });
+
+    if (outside === 0 || total === 0) return null;
+
+    const percent = Math.round((outside / total) * 1000) / 10;
+    return {
+      element: outsideElements[0],
+      message: `${percent}% of visible text (${outside} of ${total} characters) is outside landmarks`,
+      details: { outsidePercent: percent, outsideCharacters: outside, totalCharacters: total },
+      related: outsideElements.slice(1).map(element => ({ label: 'Outside landmarks', element }))
+    };
+  },
+
+  /**
+   * Check if an input is a button (named by its value, not by a label)
+   * @param {Element} input - Form field
+   */
+  isButtonInput: function(input) {
+    return input.localName === 'input' && ['submit', 'reset', 'button', 'image'].includes(input.type);
+  },
+
+  /**
+   * Validate an autocomplete attribute value
+   * Grammar: [section-*] [shipping|billing] [home|work|mobile|fax|pager] field [webauthn]
+   * @param {string} value - Attribute value
+   * @returns {string|null} Problem description, null if the value is valid
+   */
+  validateAutocomplete: function(value) {
+    const tokens = (value || '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+    if (tokens.length === 0) return 'the value is empty';
+    if (tokens.length === 1 && (tokens[0] === 'on' || tokens[0] === 'off')) return null;
+
+    if (tokens[tokens.length - 1] === 'webauthn') tokens.pop();
+    if (tokens[0] && tokens[0].startsWith('section-')) tokens.shift();
+    if (tokens[0] === 'shipping' || tokens[0] === 'billing') tokens.shift();
+
+    const contact = ['home', 'work', 'mobile', 'fax', 'pager'].includes(tokens[0]) ? tokens.shift() : null;
+    if (tokens.length !== 1) {
+      return tokens.length === 0 ? 'no field name' : `unexpected tokens "${tokens.join(' ')}"`;
+    }
+
+    const field = tokens[0];
+    if (this.AUTOCOMPLETE_CONTACT_FIELDS.includes(field)) return null;
+    if (this.AUTOCOMPLETE_FIELDS.includes(field)) {
+      return contact ? `"${contact}" can only be used with phone, email and impp fields` : null;
+    }
+    return `"${field}" is not an autofill field name`;
+  },
+
+  /**
+   * Find groups of radio buttons or checkboxes that are not grouped with a name
+   * Fields sharing a name form a group; it needs a fieldset with a legend
+   * or a group/radiogroup with an accessible name around all of its fields
+   * @param {Object} context - Scan context
+   * @returns {Array} Rule results, one per group
+   */
+  getUngroupedChoices: function(context) {
+    const groups = new Map();
+
+    DomUtils.querySelectorAllDeep('input[type="radio"][name], input[type="checkbox"][name]', context.document, this.getShadowRoots(context)).forEach(input => {
+      if (!this.isElementVisible(input, context.options)) return;
+
+      const key = `${input.type}|${input.form ? SelectorUtils.getXPath(input.form) : ''}|${input.name}`;
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(input);
+    });
+
+    const results = [];
+    groups.forEach(inputs => {
+      if (inputs.length < 2) return;
+
+      const container = this.getChoiceGroupContainer(inputs[0]);
+      if (container && inputs.every(input => container.contains(input))) return;
+
+      const kind = inputs[0].type === 'radio' ? 'radio buttons' : 'checkboxes';
+      results.push({
+        element: inputs[0],
+        message: container
+          ? `${inputs.length} ${kind} named "${inputs[0].name}" are split across groups`
+          : `${inputs.length} ${kind} named "${inputs[0].name}" need a fieldset with a legend or role="group" with a name`,
+        related: inputs.slice(1, 6).map(input => ({ label: 'Same group', element: input }))
+      });
+    });
+
+    return results;
+  },
+
+  /**
+   * Get the named grouping element around a radio button or checkbox
+   * @param {Element} input - Radio button or checkbox
+   * @returns {Element|null} fieldset with a legend, or group/radiogroup with a name
+   */
+  getChoiceGroupContainer: function(input) {
+    for (let current = input.parentElement; current; current = current.parentElement) {
+      const role = AriaUtils.getRole(current);
+      if ((role === 'group' || role === 'radiogroup') && AccessibleName.compute(current).name) {
+        return current;
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Get the ID index of the scanned document, building it on first use
+   * @param {Object} context - Scan context
+   * @returns {IdIndex} ID index shared by all rules of the scan
+   */
+  getIdIndex: function(context) {
+    if (!context.idIndex) {
+      context.idIndex = new IdIndex(context.document);
+    }
+    return context.idIndex;
+  },
+
+  /**
+   * Get details shared by all issues of a table, computed once per table and scan
+   * @param {Object} context - Scan context
+   * @param {HTMLTableElement} table - Table element
+   * @returns {Object} Table selector and the header map of its data cells
+   */
+  getTableDetails: function(context, table) {
+    if (!context.tableDetails) {
+      context.tableDetails = new Map();
+    }
+
+    if (!context.tableDetails.has(table)) {
+      context.tableDetails.set(table, {
+        table: this.getElementSelector(table),
+        headerMap: TableUtils.getHeaderMap(table)
+      });
     }
+
+    return context.tableDetails.get(table);
+  },
+
+  /**
+   * Find ID references that point to missing elements
+   * @param {Object} context - Scan context
+   * @param {Array} attributes - Reference attributes to check
+   * @returns {Array} Rule results, one per referencing attribute
+   */
+  getBrokenReferences: function(context, attributes) {
+    const index = this.getIdIndex(context);
+
+    return index.getReferences(attributes)
+      .filter(reference => this.isElementVisible(reference.element, context.options))
+      .map(reference => {
+        const missing = index.getMissingIds(reference);
+        return missing.length > 0 ? {
+          element: reference.element,
+          message: `${reference.attribute} references missing ID: ${missing.join(', ')}`,
+          details: { attribute: reference.attribute, missing }
+        } : null;
+      })
+      .filter(Boolean);
+  },
+
+  /**
+   * Find duplicate IDs
+   * @param {Object} context - Scan context
+   * @param {boolean} referenced - Only IDs that are targets of a reference,
+   *   or only IDs that are not
+   * @returns {Array} Rule results, one per duplicated ID
+   */
+  getDuplicateIds: function(context, referenced) {
+    const index = this.getIdIndex(context);
+
+    return index.getDuplicates()
+      .map(duplicate => ({ ...duplicate, references: index.getReferencesTo(duplicate.elements[0], duplicate.id) }))
+      .filter(duplicate => (duplicate.references.length > 0) === referenced)
+      .map(duplicate => ({
+        element: duplicate.elements[0],
+        message: referenced
+          ? `ID "${duplicate.id}" is used by ${duplicate.elements.length} elements and referenced by ${[...new Set(duplicate.references.map(reference => reference.attribute))].join(', ')}`
+          : `ID "${duplicate.id}" is used by ${duplicate.elements.length} elements`,
+        details: {
+          id: duplicate.id,
+          elements: duplicate.elements.map(element => this.getElementSelector(element))
+        }
+      }));
+  },
+
+  /**
+   * Generate unique CSS selector for element
+   * @param {Element} element - DOM element
+   */
+  getElementSelector: function(element) {
+    return SelectorUtils.getSelector(element);
   },
 
   /**
-   * Run all accessibility checks
+   * Run all registered accessibility checks
+   * Rules cover the whole document unless options.aboveTheFoldOnly is set
+   * @param {Object} options - Scan options passed to rules in the context
+   * @param {Array} notes - Receives notes on checks that could not run or changed the page ({ message, url })
+   * @returns {Promise<Array>} Issues found
    */
-  runAllChecks: function() {
+  runAllChecks: async function(options = {}, notes = []) {
     const issues = [];
+    const rules = this.getAllRules();
     
-    try {
-      // Image checks
-      const images = document.querySelectorAll('img');
-      issues.push(...this.applyRuleToElements(A11yRules.images.missingAlt, images));
-      issues.push(...this.applyRuleToElements(A11yRules.images.emptyAlt, images));
-      issues.push(...this.applyRuleToElements(A11yRules.images.longAlt, images));
-      
-      // Form checks
-      const formInputs = document.querySelectorAll('input, select, textarea');
-      issues.push(...this.applyRuleToElements(A11yRules.forms.missingLabel, formInputs));
-      
-      const forms = document.querySelectorAll('form');
-      issues.push(...this.applyRuleToElements(A11yRules.forms.missingFormLabel, forms));
-      
-      // Navigation checks (global rules)
-      issues.push(...this.applyGlobalRule(A11yRules.navigation.missingSkipLinks));
-      issues.push(...this.applyGlobalRule(A11yRules.navigation.missingLandmarks));
-      
-      // Link checks
-      const links = document.querySelectorAll('a[href]');
-      issues.push(...this.applyRuleToElements(A11yRules.links.emptyLink, links));
-      issues.push(...this.applyRuleToElements(A11yRules.links.genericLinkText, links));
-      
-      // Heading checks (global rules)
-      issues.push(...this.applyGlobalRule(A11yRules.headings.missingH1));
-      issues.push(...this.applyGlobalRule(A11yRules.headings.headingOrder));
-      
-      // Interactive element checks
-      const buttons = document.querySelectorAll('button, [role="button"]');
-      issues.push(...this.applyRuleToElements(A11yRules.interactive.buttonWithoutLabel, buttons));
-      
-      const focusableElements = document.querySelectorAll(
-        'button, [role="button"], a[href], input, select, textarea, [tabindex]'
-      );
-      issues.push(...this.applyRuleToElements(A11yRules.interactive.focusableWithoutIndicator, focusableElements));
-      
-    } catch (error) {
-      console.error('Error running accessibility checks:', error);
+    for (const doc of DomUtils.getDocuments(document)) {
+      const context = {
+        document: doc,
+        isTopFrame: doc === document && window === window.top,
+        options
+      };
+
+      await this.runKeyboardTests(context, notes);
+
+      rules.forEach(rule => {
+        if (rule.topFrameOnly && !context.isTopFrame) return;
+
+        try {
+          issues.push(...this.runRule(rule, context));
+        } catch (error) {
+          console.error(`Error running accessibility rule ${rule.id}:`, error);
+        }
+      });
+
+      if (context.focusIndicators && !context.focusIndicators.measured) {
+        notes.push({
+          message: 'Focus indicators were not checked: the page did not have focus during the scan. Turn on focus emulation in the extension popup to check them',
+          url: doc.URL
+        });
+      }
     }
     
     return issues;
@@ -0,0 +1,408 @@
+/**
+ * Accessible name and description computation
+ * Implements the W3C "Accessible Name and Description Computation 1.2"
+ * algorithm together with the HTML-AAM and SVG-AAM native naming rules.
+ * Every result reports the source the name came from, so issues can show
+ * why a control is named the way it is.
+ */
+
+class AccessibleName {
+  // Roles that take their name from their content (accname 1.2, section 4.3.2 step 2F)
+  static NAME_FROM_CONTENT_ROLES = new Set([
+    'button', 'cell', 'checkbox', 'columnheader', 'gridcell', 'heading', 'link',
+    'menuitem', 'menuitemcheckbox', 'menuitemradio', 'option', 'radio', 'row',
+    'rowheader', 'sectionhead', 'switch', 'tab', 'tooltip', 'treeitem'
+  ]);
+
+  // Roles whose value is used when they are embedded in another element's label
+  static RANGE_ROLES = new Set(['slider', 'spinbutton', 'progressbar', 'scrollbar', 'meter']);
+
+  /**
+   * Compute the accessible name of an element
+   * @param {Element} element - DOM element
+   * @returns {Object} Name and its source (aria-labelledby, aria-label, label, alt,
+   *   value, default, legend, caption, figcaption, svg-title, contents, title, placeholder or null)
+   */
+  static compute(element) {
+    if (!element || element.nodeType !== Node.ELEMENT_NODE) {
+      return { name: '', source: null };
+    }
+
+    const result = this.computeTextAlternative(element, {
+      rootElement: element,
+      visited: new Set(),
+      inLabelledBy: false,
+      isReferenced: false,
+      isRecursion: false,
+      includeHidden: false
+    });
+
+    const name = this.normalize(result.text);
+    return { name, source: name || result.source === 'alt' ? result.source : null };
+  }
+
+  /**
+   * Compute the accessible description of an element
+   * @param {Element} element - DOM element
+   * @returns {Object} Description and its source (aria-describedby, aria-description, title or null)
+   */
+  static computeDescription(element) {
+    if (!element || element.nodeType !== Node.ELEMENT_NODE) {
+      return { description: '', source: null };
+    }
+
+    const described = DomUtils.getReferencedElements(element, 'aria-describedby');
+    if (described.length > 0) {
+      const description = this.normalize(described.map(target => this.computeTextAlternative(target, {
+        rootElement: target,
+        visited: new Set([element]),
+        inLabelledBy: true,
+        isReferenced: true,
+        isRecursion: true,
+        includeHidden: false
+      }).text).join(' '));
+
+      if (description) return { description, source: 'aria-describedby' };
+    }
+
+    const ariaDescription = this.normalize(element.getAttribute('aria-description'));
+    if (ariaDescription) return { description: ariaDescription, source: 'aria-description' };
+
+    // title describes the element only when it was not used as its name
+    const title = this.normalize(element.getAttribute('title'));
+    if (title && this.compute(element).source !== 'title') {
+      return { description: title, source: 'title' };
+    }
+
+    return { description: '', source: null };
+  }
+
+  /**
+   * Get the text an element exposes through its content
+   * Includes text alternatives of images, SVG titles and CSS generated content
+   * @param {Element} element - DOM element
+   * @returns {string} Normalized content text
+   */
+  static getContentText(element) {
+    return this.normalize(this.getTextFromContent(element, {
+      rootElement: element,
+      visited: new Set([element]),
+      inLabelledBy: false,
+      isReferenced: false,
+      isRecursion: true,
+      includeHidden: false
+    }));
+  }
+
+  /**
+   * Compute the text alternative of a node (accname 1.2, section 4.3.2)
+   * @param {Node} node - Current node
+   * @param {Object} state - Traversal state
+   * @returns {Object} Text and the step it came from
+   */
+  static computeTextAlternative(node, state) {
+    const empty = { text: '', source: null };
+
+    // Step 2G: text nodes
+    if (node.nodeType === Node.TEXT_NODE) {
+      return { text: node.textContent, source: 'contents' };
+    }
+
+    if (node.nodeType !== Node.ELEMENT_NODE || state.visited.has(node)) {
+      return empty;
+    }
+    state.visited.add(node);
+
+    const element = node;
+
+    // Step 2A: hidden nodes are skipped unless directly referenced
+    if (!state.includeHidden && DomUtils.isHiddenFromAT(element)) {
+      if (!state.isReferenced || element !== state.rootElement) return empty;
+      state = { ...state, includeHidden: true };
+    }
+
+    // Step 2B: aria-labelledby
+    // Each target starts a new traversal, so an element that references itself
+    // contributes its own text through steps 2C-2I
+    if (!state.inLabelledBy) {
+      const labelledBy = DomUtils.getReferencedElements(element, 'aria-labelledby');
+      if (labelledBy.length > 0) {
+        const text = labelledBy.map(target => this.computeTextAlternative(target, {
+          ...state,
+          rootElement: target,
+          visited: new Set(),
+          inLabelledBy: true,
+          isReferenced: true,
+          isRecursion: true,
+          includeHidden: false
+        }).text).join(' ');
+
+        if (this.normalize(text)) return { text, source: 'aria-labelledby' };
+      }
+    }
+
+    const role = this.getRole(element);
+
+    // Step 2C: controls embedded in the label of another element use their value
+    if (state.isRecursion && element !== state.rootElement && this.isEmbeddedControl(element, role)) {
+      return { text: this.getEmbeddedControlValue(element, role), source: 'value' };
+    }
+
+    // Step 2D: aria-label
+    const ariaLabel = this.normalize(element.getAttribute('aria-label'));
+    if (ariaLabel) {
+      return { text: ariaLabel, source: 'aria-label' };
+    }
+
+    // Step 2E: native host language labels
+    if (role !== 'presentation' && role !== 'none') {
+      const native = this.getNativeTextAlternative(element, state);
+      if (native.final || this.normalize(native.text)) return native;
+    }
+
+    // Step 2F: name from content
+    if (state.isRecursion || this.NAME_FROM_CONTENT_ROLES.has(role)) {
+      const text = this.getTextFromContent(element, state);
+      if (this.normalize(text)) return { text, source: 'contents' };
+    }
+
+    // Step 2I: tooltip attribute, then placeholder for text fields
+    const title = this.normalize(element.getAttribute('title'));
+    if (title) return { text: title, source: 'title' };
+
+    const placeholder = this.normalize(element.getAttribute('placeholder') || element.getAttribute('aria-placeholder'));
+    if (placeholder && (role === 'textbox' || role === 'searchbox' || role === 'combobox')) {
+      return { text: placeholder, source: 'placeholder' };
+    }
+
+    return empty;
+  }
+
+  /**
+   * Native text alternative rules from HTML-AAM and SVG-AAM
+   * @param {Element} element - DOM element
+   * @param {Object} state - Traversal state
+   * @returns {Object} Text, source and `final` when an empty result must stop the computation
+   */
+  static getNativeTextAlternative(element, state) {
+    const empty = { text: '', source: null };
+    const tag = element.localName;
+    const labelState = { ...state, isRecursion: true, inLabelledBy: false };
+
+    if (tag === 'input') {
+      const type = (element.getAttribute('type') || 'text').toLowerCase();
+
+      if (type === 'image') {
+        const alt = element.getAttribute('alt');
+        if (alt !== null && this.normalize(alt)) return { text: alt, source: 'alt' };
+        const value = element.getAttribute('value');
+        if (value && this.normalize(value)) return { text: value, source: 'value' };
+        if (this.normalize(element.getAttribute('title'))) return empty;
+        return { text: 'Submit Query', source: 'default' };
+      }
+
+      const labelText = this.getLabelsText(element, labelState);
+      if (labelText) return { text: labelText, source: 'label' };
+
+      if (type === 'button' || type === 'submit' || type === 'reset') {
+        const value = element.getAttribute('value');
+        if (value && this.normalize(value)) return { text: value, source: 'value' };
+        if (type === 'submit') return { text: 'Submit', source: 'default' };
+        if (type === 'reset') return { text: 'Reset', source: 'default' };
+      }
+
+      return empty;
+    }
+
+    if (['button', 'select', 'textarea', 'meter', 'output', 'progress'].includes(tag)) {
+      const labelText = this.getLabelsText(element, labelState);
+      if (labelText) return { text: labelText, source: 'label' };
+      return empty;
+    }
+
+    if (tag === 'img' || tag === 'area') {
+      const alt = element.getAttribute('alt');
+      if (alt !== null) return { text: alt, source: 'alt', final: !this.normalize(alt) && tag === 'img' };
+      return empty;
+    }
+
+    if (tag === 'fieldset') {
+      const legend = Array.from(element.children).find(child => child.localName === 'legend');
+      return legend ? { text: this.getTextFromContent(legend, labelState), source: 'legend' } : empty;
+    }
+
+    if (tag === 'table') {
+      const caption = element.caption || Array.from(element.children).find(child => child.localName === 'caption');
+      return caption ? { text: this.getTextFromContent(caption, labelState), source: 'caption' } : empty;
+    }
+
+    if (tag === 'figure') {
+      const figcaption = Array.from(element.children).find(child => child.localName === 'figcaption');
+      return figcaption ? { text: this.getTextFromContent(figcaption, labelState), source: 'figcaption' } : empty;
+    }
+
+    if (element.namespaceURI === 'http://www.w3.org/2000/svg') {
+      const title = Array.from(element.children).find(child => child.localName === 'title');
+      return title ? { text: title.textContent, source: 'svg-title' } : empty;
+    }
+
+    return empty;
+  }
+
+  /**
+   * Concatenate the text of all <label> elements associated with a control
+   * @param {Element} element - Labelable element
+   * @param {Object} state - Traversal state
+   * @returns {string} Normalized label text
+   */
+  static getLabelsText(element, state) {
+    const labels = element.labels ? Array.from(element.labels) : [];
+
+    return this.normalize(labels.map(label => this.computeTextAlternative(label, {
+      ...state,
+      rootElement: element
+    }).text).join(' '));
+  }
+
+  /**
+   * Compute text from the content of an element (step 2F)
+   * Walks child nodes, slotted nodes and open shadow roots and adds
+   * CSS ::before and ::after content
+   * @param {Element} element - DOM element
+   * @param {Object} state - Traversal state
+   * @returns {string} Text (not normalized)
+   */
+  static getTextFromContent(element, state) {
+    const childState = { ...state, isRecursion: true };
+    const parts = [this.getGeneratedContent(element, '::before')];
+
+    this.getChildNodes(element).forEach(child => {
+      let text = this.computeTextAlternative(child, childState).text;
+
+      // Block-level children are separated from their neighbours
+      if (text && child.nodeType === Node.ELEMENT_NODE && !this.isInline(child)) {
+        text = ` ${text} `;
+      }
+      parts.push(text);
+    });
+
+    parts.push(this.getGeneratedContent(element, '::after'));
+    return parts.join('');
+  }
+
+  /**
+   * Get child nodes in the flat tree (shadow root content, slotted nodes)
+   * @param {Element} element - DOM element
+   * @returns {Array} Child nodes
+   */
+  static getChildNodes(element) {
+    if (element.shadowRoot) {
+      return Array.from(element.shadowRoot.childNodes);
+    }
+
+    if (element.localName === 'slot' && typeof element.assignedNodes === 'function') {
+      const assigned = element.assignedNodes({ flatten: true });
+      if (assigned.length > 0) return assigned;
+    }
+
+    return Array.from(element.childNodes);
+  }
+
+  /**
+   * Get text from CSS generated content, honouring the "content / alt" syntax
+   * @param {Element} element - DOM element
+   * @param {string} pseudo - Pseudo element (::before or ::after)
+   * @returns {string} Generated text
+   */
+  static getGeneratedContent(element, pseudo) {
+    try {
+      const view = element.ownerDocument.defaultView || window;
+      const content = view.getComputedStyle(element, pseudo).content;
+      if (!content || content === 'none' || content === 'normal') return '';
+
+      const altIndex = content.lastIndexOf(' / ');
+      const value = altIndex !== -1 ? content.slice(altIndex + 3) : content;
+      const strings = value.match(/"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'/g) || [];
+
+      return strings.map(str => str.slice(1, -1).replace(/\\(.)/g, '$1')).join('');
+    } catch (e) {
+      return '';
+    }
+  }
+
+  /**
+   * Check if an element is rendered inline
+   * @param {Element} element - DOM element
+   */
+  static isInline(element) {
+    try {
+      const display = DomUtils.getComputedStyle(element).display;
+      return display.startsWith('inline') || display === 'contents';
+    } catch (e) {
+      return true;
+    }
+  }
+
+  /**
+   * Check if an element is a control whose value is used when embedded in a label
+   * @param {Element} element - DOM element
+   * @param {string} role - Element role
+   */
+  static isEmbeddedControl(element, role) {
+    return role === 'textbox' || role === 'searchbox' || role === 'combobox' ||
+           role === 'listbox' || this.RANGE_ROLES.has(role);
+  }
+
+  /**
+   * Get the value of an embedded control (step 2C)
+   * @param {Element} element - DOM element
+   * @param {string} role - Element role
+   * @returns {string} Control value
+   */
+  static getEmbeddedControlValue(element, role) {
+    if (this.RANGE_ROLES.has(role)) {
+      return element.getAttribute('aria-valuetext') ||
+             element.getAttribute('aria-valuenow') ||
+             (element.value !== undefined ? String(element.value) : '');
+    }
+
+    if (element.localName === 'select') {
+      return Array.from(element.selectedOptions || []).map(option => option.textContent).join(' ');
+    }
+
+    if (role === 'listbox' || (role === 'combobox' && element.value === undefined)) {
+      const selected = element.querySelectorAll('[aria-selected="true"]');
+      return Array.from(selected).map(option => option.textContent).join(' ');
+    }
+
+    if (element.value !== undefined) {
+      return String(element.value);
+    }
+
+    return element.textContent || '';
+  }
+
+  /**
+   * Get the role of an element (explicit role with fallbacks, or implicit role)
+   * @param {Element} element - DOM element
+   * @returns {string} Role name, empty if the element has no role
+   */
+  static getRole(element) {
+    return AriaUtils.getRole(element);
+  }
+
+  /**
+   * Collapse whitespace and trim
+   * @param {string} text - Text to normalize
+   */
+  static normalize(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AccessibleName;
+} else {
+  window.AccessibleName = AccessibleName;
+}
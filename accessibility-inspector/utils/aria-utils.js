@@ -0,0 +1,811 @@
+/**
+ * WAI-ARIA 1.2 roles, states and properties
+ * Holds the role taxonomy and the attribute definitions from the ARIA 1.2
+ * specification (plus the Graphics and DPUB role modules) and resolves the
+ * role of an element, including fallback role lists and implicit HTML roles.
+ *
+ * Role definitions list only what a role adds to its superclasses:
+ * supported and required attributes are inherited along `superclass`,
+ * ownership (`requiredContext`, `requiredOwned`) and `prohibited` are not.
+ */
+
+class AriaUtils {
+  // ARIA 1.2 states and properties. `global` attributes are allowed on every role;
+  // `deprecatedGlobal` ones are too, but are deprecated on roles that do not list them
+  static ATTRIBUTES = {
+    'aria-activedescendant': { type: 'idref' },
+    'aria-atomic': { type: 'true/false', global: true },
+    'aria-autocomplete': { type: 'token', values: ['inline', 'list', 'both', 'none'] },
+    'aria-busy': { type: 'true/false', global: true },
+    'aria-checked': { type: 'tristate' },
+    'aria-colcount': { type: 'integer' },
+    'aria-colindex': { type: 'integer' },
+    'aria-colspan': { type: 'integer' },
+    'aria-controls': { type: 'idrefs', global: true },
+    'aria-current': { type: 'token', values: ['page', 'step', 'location', 'date', 'time', 'true', 'false'], global: true },
+    'aria-describedby': { type: 'idrefs', global: true },
+    'aria-description': { type: 'string', global: true },
+    'aria-details': { type: 'idref', global: true },
+    'aria-disabled': { type: 'true/false', global: true, deprecatedGlobal: true },
+    'aria-dropeffect': { type: 'tokens', values: ['copy', 'execute', 'link', 'move', 'none', 'popup'], global: true, deprecated: true },
+    'aria-errormessage': { type: 'idref', global: true, deprecatedGlobal: true },
+    'aria-expanded': { type: 'true/false/undefined' },
+    'aria-flowto': { type: 'idrefs', global: true },
+    'aria-grabbed': { type: 'true/false/undefined', global: true, deprecated: true },
+    'aria-haspopup': { type: 'token', values: ['false', 'true', 'menu', 'listbox', 'tree', 'grid', 'dialog'], global: true, deprecatedGlobal: true },
+    'aria-hidden': { type: 'true/false/undefined', global: true },
+    'aria-invalid': { type: 'token', values: ['grammar', 'false', 'spelling', 'true'], global: true, deprecatedGlobal: true },
+    'aria-keyshortcuts': { type: 'string', global: true },
+    'aria-label': { type: 'string', global: true },
+    'aria-labelledby': { type: 'idrefs', global: true },
+    'aria-level': { type: 'integer' },
+    'aria-live': { type: 'token', values: ['assertive', 'off', 'polite'], global: true },
+    'aria-modal': { type: 'true/false' },
+    'aria-multiline': { type: 'true/false' },
+    'aria-multiselectable': { type: 'true/false' },
+    'aria-orientation': { type: 'token', values: ['horizontal', 'undefined', 'vertical'] },
+    'aria-owns': { type: 'idrefs', global: true },
+    'aria-placeholder': { type: 'string' },
+    'aria-posinset': { type: 'integer' },
+    'aria-pressed': { type: 'tristate' },
+    'aria-readonly': { type: 'true/false' },
+    'aria-relevant': { type: 'tokens', values: ['additions', 'all', 'removals', 'text'], global: true },
+    'aria-required': { type: 'true/false' },
+    'aria-roledescription': { type: 'string', global: true },
+    'aria-rowcount': { type: 'integer' },
+    'aria-rowindex': { type: 'integer' },
+    'aria-rowspan': { type: 'integer' },
+    'aria-selected': { type: 'true/false/undefined' },
+    'aria-setsize': { type: 'integer' },
+    'aria-sort': { type: 'token', values: ['ascending', 'descending', 'none', 'other'] },
+    'aria-valuemax': { type: 'number' },
+    'aria-valuemin': { type: 'number' },
+    'aria-valuenow': { type: 'number' },
+    'aria-valuetext': { type: 'string' }
+  };
+
+  // ARIA 1.2 role taxonomy
+  static ROLES = {
+    // Abstract roles, never used in content
+    roletype: { abstract: true },
+    structure: { abstract: true, superclass: ['roletype'] },
+    widget: { abstract: true, superclass: ['roletype'] },
+    window: { abstract: true, superclass: ['roletype'] },
+    command: { abstract: true, superclass: ['widget'] },
+    composite: { abstract: true, superclass: ['widget'], supported: ['aria-activedescendant', 'aria-disabled'] },
+    input: { abstract: true, superclass: ['widget'], supported: ['aria-disabled'] },
+    landmark: { abstract: true, superclass: ['section'] },
+    range: { abstract: true, superclass: ['structure'], supported: ['aria-valuemax', 'aria-valuemin', 'aria-valuenow', 'aria-valuetext'] },
+    section: { abstract: true, superclass: ['structure'] },
+    sectionhead: { abstract: true, superclass: ['structure'] },
+    select: { abstract: true, superclass: ['composite', 'group'], supported: ['aria-orientation'] },
+
+    // Document structure
+    alert: { superclass: ['section'] },
+    alertdialog: { superclass: ['alert', 'dialog'] },
+    application: {
+      superclass: ['structure'],
+      supported: ['aria-activedescendant', 'aria-disabled', 'aria-errormessage', 'aria-expanded', 'aria-haspopup', 'aria-invalid']
+    },
+    article: { superclass: ['document'], supported: ['aria-posinset', 'aria-setsize'] },
+    blockquote: { superclass: ['section'] },
+    caption: { superclass: ['section'], prohibited: ['aria-label', 'aria-labelledby'], requiredContext: ['figure', 'grid', 'table', 'treegrid'] },
+    cell: { superclass: ['section'], supported: ['aria-colindex', 'aria-colspan', 'aria-rowindex', 'aria-rowspan'], requiredContext: ['row'] },
+    code: { superclass: ['section'], prohibited: ['aria-label', 'aria-labelledby'] },
+    columnheader: { superclass: ['cell', 'gridcell', 'sectionhead'], supported: ['aria-sort'], requiredContext: ['row'] },
+    definition: { superclass: ['section'] },
+    deletion: { superclass: ['section'], prohibited: ['aria-label', 'aria-labelledby'] },
+    dialog: { superclass: ['window'], supported: ['aria-modal'] },
+    directory: { superclass: ['list'], deprecated: true },
+    document: { superclass: ['structure'] },
+    emphasis: { superclass: ['section'], prohibited: ['aria-label', 'aria-labelledby'] },
+    feed: { superclass: ['list'], requiredOwned: ['article'] },
+    figure: { superclass: ['section'] },
+    generic: { superclass: ['structure'], prohibited: ['aria-label', 'aria-labelledby'] },
+    group: { superclass: ['section'], supported: ['aria-activedescendant', 'aria-disabled'] },
+    heading: { superclass: ['sectionhead'], required: ['aria-level'] },
+    img: { superclass: ['section'], childrenPresentational: true },
+    insertion: { superclass: ['section'], prohibited: ['aria-label', 'aria-labelledby'] },
+    list: { superclass: ['section'], requiredOwned: ['listitem'] },
+    listitem: { superclass: ['section'], supported: ['aria-level', 'aria-posinset', 'aria-setsize'], requiredContext: ['directory', 'list'] },
+    log: { superclass: ['section'] },
+    marquee: { superclass: ['section'] },
+    math: { superclass: ['section'] },
+    meter: { superclass: ['range'], required: ['aria-valuenow'], childrenPresentational: true },
+    none: { superclass: ['structure'], prohibited: ['aria-label', 'aria-labelledby'] },
+    note: { superclass: ['section'] },
+    paragraph: { superclass: ['section'], prohibited: ['aria-label', 'aria-labelledby'] },
+    presentation: { superclass: ['structure'], prohibited: ['aria-label', 'aria-labelledby'] },
+    row: {
+      superclass: ['group', 'widget'],
+      supported: ['aria-colindex', 'aria-expanded', 'aria-level', 'aria-posinset', 'aria-rowindex', 'aria-selected', 'aria-setsize'],
+      requiredContext: ['grid', 'rowgroup', 'table', 'treegrid'],
+      requiredOwned: ['cell', 'columnheader', 'gridcell', 'rowheader']
+    },
+    rowgroup: { superclass: ['structure'], requiredContext: ['grid', 'table', 'treegrid'], requiredOwned: ['row'] },
+    rowheader: { superclass: ['cell', 'gridcell', 'sectionhead'], supported: ['aria-sort'], requiredContext: ['row'] },
+    separator: { superclass: ['structure'], supported: ['aria-disabled', 'aria-orientation', 'aria-valuemax', 'aria-valuemin', 'aria-valuenow', 'aria-valuetext'] },
+    status: { superclass: ['section'] },
+    strong: { superclass: ['section'], prohibited: ['aria-label', 'aria-labelledby'] },
+    subscript: { superclass: ['section'], prohibited: ['aria-label', 'aria-labelledby'] },
+    superscript: { superclass: ['section'], prohibited: ['aria-label', 'aria-labelledby'] },
+    table: { superclass: ['section'], supported: ['aria-colcount', 'aria-rowcount'], requiredOwned: ['row', 'rowgroup'] },
+    tabpanel: { superclass: ['section'] },
+    term: { superclass: ['section'] },
+    time: { superclass: ['section'] },
+    timer: { superclass: ['status'] },
+    toolbar: { superclass: ['group'], supported: ['aria-orientation'] },
+    tooltip: { superclass: ['section'] },
+
+    // Landmarks
+    banner: { superclass: ['landmark'] },
+    complementary: { superclass: ['landmark'] },
+    contentinfo: { superclass: ['landmark'] },
+    form: { superclass: ['landmark'] },
+    main: { superclass: ['landmark'] },
+    navigation: { superclass: ['landmark'] },
+    region: { superclass: ['landmark'] },
+    search: { superclass: ['landmark'] },
+
+    // Widgets
+    button: { superclass: ['command'], supported: ['aria-disabled', 'aria-expanded', 'aria-haspopup', 'aria-pressed'], childrenPresentational: true },
+    checkbox: {
+      superclass: ['input'],
+      required: ['aria-checked'],
+      supported: ['aria-errormessage', 'aria-expanded', 'aria-invalid', 'aria-readonly', 'aria-required'],
+      childrenPresentational: true
+    },
+    combobox: {
+      superclass: ['input'],
+      required: ['aria-expanded'],
+      supported: ['aria-activedescendant', 'aria-autocomplete', 'aria-errormessage', 'aria-haspopup', 'aria-invalid', 'aria-readonly', 'aria-required']
+    },
+    grid: { superclass: ['composite', 'table'], supported: ['aria-multiselectable', 'aria-readonly'], requiredOwned: ['row', 'rowgroup'] },
+    gridcell: {
+      superclass: ['cell', 'widget'],
+      supported: ['aria-disabled', 'aria-errormessage', 'aria-expanded', 'aria-haspopup', 'aria-invalid', 'aria-readonly', 'aria-required', 'aria-selected'],
+      requiredContext: ['row']
+    },
+    link: { superclass: ['command'], supported: ['aria-disabled', 'aria-expanded', 'aria-haspopup'] },
+    listbox: {
+      superclass: ['select'],
+      supported: ['aria-errormessage', 'aria-expanded', 'aria-invalid', 'aria-multiselectable', 'aria-readonly', 'aria-required'],
+      requiredOwned: ['group', 'option']
+    },
+    menu: { superclass: ['select'], requiredOwned: ['group', 'menuitem', 'menuitemcheckbox', 'menuitemradio'] },
+    menubar: { superclass: ['menu'], requiredOwned: ['group', 'menuitem', 'menuitemcheckbox', 'menuitemradio'] },
+    menuitem: {
+      superclass: ['command'],
+      supported: ['aria-disabled', 'aria-expanded', 'aria-haspopup', 'aria-posinset', 'aria-setsize'],
+      requiredContext: ['group', 'menu', 'menubar']
+    },
+    menuitemcheckbox: { superclass: ['checkbox', 'menuitem'], requiredContext: ['group', 'menu', 'menubar'] },
+    menuitemradio: { superclass: ['menuitemcheckbox', 'radio'], requiredContext: ['group', 'menu', 'menubar'] },
+    option: {
+      superclass: ['input'],
+      supported: ['aria-checked', 'aria-posinset', 'aria-selected', 'aria-setsize'],
+      requiredContext: ['group', 'listbox'],
+      childrenPresentational: true
+    },
+    progressbar: { superclass: ['range', 'widget'], childrenPresentational: true },
+    radio: { superclass: ['input'], required: ['aria-checked'], supported: ['aria-posinset', 'aria-setsize'], childrenPresentational: true },
+    radiogroup: { superclass: ['select'], supported: ['aria-errormessage', 'aria-invalid', 'aria-readonly', 'aria-required'], requiredOwned: ['radio'] },
+    scrollbar: {
+      superclass: ['range', 'widget'],
+      required: ['aria-controls', 'aria-valuenow'],
+      supported: ['aria-disabled', 'aria-orientation'],
+      childrenPresentational: true
+    },
+    searchbox: { superclass: ['textbox'] },
+    slider: {
+      superclass: ['input', 'range'],
+      required: ['aria-valuenow'],
+      supported: ['aria-errormessage', 'aria-haspopup', 'aria-invalid', 'aria-orientation', 'aria-readonly'],
+      childrenPresentational: true
+    },
+    spinbutton: { superclass: ['composite', 'input', 'range'], supported: ['aria-errormessage', 'aria-invalid', 'aria-readonly', 'aria-required'] },
+    switch: { superclass: ['checkbox'], required: ['aria-checked'], childrenPresentational: true },
+    tab: {
+      superclass: ['sectionhead', 'widget'],
+      supported: ['aria-disabled', 'aria-expanded', 'aria-haspopup', 'aria-posinset', 'aria-selected', 'aria-setsize'],
+      requiredContext: ['tablist'],
+      childrenPresentational: true
+    },
+    tablist: { superclass: ['composite'], supported: ['aria-multiselectable', 'aria-orientation'], requiredOwned: ['tab'] },
+    textbox: {
+      superclass: ['input'],
+      supported: [
+        'aria-activedescendant', 'aria-autocomplete', 'aria-errormessage', 'aria-haspopup', 'aria-invalid',
+        'aria-multiline', 'aria-placeholder', 'aria-readonly', 'aria-required'
+      ]
+    },
+    tree: {
+      superclass: ['select'],
+      supported: ['aria-errormessage', 'aria-invalid', 'aria-multiselectable', 'aria-required'],
+      requiredOwned: ['group', 'treeitem']
+    },
+    treegrid: { superclass: ['grid', 'tree'], requiredOwned: ['row', 'rowgroup'] },
+    treeitem: { superclass: ['listitem', 'option'], supported: ['aria-expanded', 'aria-haspopup'], requiredContext: ['group', 'tree'] },
+
+    // Graphics module
+    'graphics-document': { superclass: ['document'] },
+    'graphics-object': { superclass: ['group'] },
+    'graphics-symbol': { superclass: ['img'] }
+  };
+
+  // Digital Publishing module roles and their superclass
+  static DPUB_ROLES = {
+    'doc-abstract': 'section', 'doc-acknowledgments': 'landmark', 'doc-afterword': 'landmark',
+    'doc-appendix': 'landmark', 'doc-backlink': 'link', 'doc-biblioentry': 'listitem',
+    'doc-bibliography': 'landmark', 'doc-biblioref': 'link', 'doc-chapter': 'landmark',
+    'doc-colophon': 'section', 'doc-conclusion': 'landmark', 'doc-cover': 'img',
+    'doc-credit': 'section', 'doc-credits': 'landmark', 'doc-dedication': 'section',
+    'doc-endnote': 'listitem', 'doc-endnotes': 'landmark', 'doc-epigraph': 'section',
+    'doc-epilogue': 'landmark', 'doc-errata': 'landmark', 'doc-example': 'section',
+    'doc-footnote': 'section', 'doc-foreword': 'landmark', 'doc-glossary': 'landmark',
+    'doc-glossref': 'link', 'doc-index': 'navigation', 'doc-introduction': 'landmark',
+    'doc-noteref': 'link', 'doc-notice': 'note', 'doc-pagebreak': 'separator',
+    'doc-pagelist': 'navigation', 'doc-part': 'landmark', 'doc-preface': 'landmark',
+    'doc-prologue': 'landmark', 'doc-pullquote': 'none', 'doc-qna': 'section',
+    'doc-subtitle': 'sectionhead', 'doc-tip': 'note', 'doc-toc': 'navigation'
+  };
+
+  // States that native elements expose without an ARIA attribute
+  static NATIVE_STATES = {
+    'aria-checked': 'input[type="checkbox"], input[type="radio"]',
+    'aria-level': 'h1, h2, h3, h4, h5, h6',
+    'aria-valuenow': 'input[type="range"], input[type="number"], progress, meter'
+  };
+
+  /**
+   * Get the definition of a role
+   * @param {string} role - Role name
+   * @returns {Object|null} Role definition
+   */
+  static getRoleDefinition(role) {
+    if (Object.hasOwn(this.ROLES, role)) return this.ROLES[role];
+    if (Object.hasOwn(this.DPUB_ROLES, role)) {
+      return { superclass: [this.DPUB_ROLES[role]], deprecated: role === 'doc-biblioentry' || role === 'doc-endnote' };
+    }
+    return null;
+  }
+
+  /**
+   * Check if a role exists in ARIA 1.2 (abstract roles included)
+   * @param {string} role - Role name
+   */
+  static isKnownRole(role) {
+    return this.getRoleDefinition(role) !== null;
+  }
+
+  /**
+   * Check if a role is abstract and must not be used in content
+   * @param {string} role - Role name
+   */
+  static isAbstractRole(role) {
+    const definition = this.getRoleDefinition(role);
+    return !!(definition && definition.abstract);
+  }
+
+  /**
+   * Split the role attribute into its tokens (a fallback role list)
+   * @param {Element} element - DOM element
+   * @returns {Array} Lowercase role tokens
+   */
+  static getRoleTokens(element) {
+    const value = (element.getAttribute('role') || '').trim().toLowerCase();
+    return value ? value.split(/\s+/) : [];
+  }
+
+  /**
+   * Get the explicit role of an element
+   * The first token that is a concrete ARIA role wins, later tokens are fallbacks
+   * @param {Element} element - DOM element
+   * @returns {string} Role name, empty if no token is a usable role
+   */
+  static getExplicitRole(element) {
+    return this.getRoleTokens(element).find(role => this.isKnownRole(role) && !this.isAbstractRole(role)) || '';
+  }
+
+  /**
+   * Get the role of an element: the explicit role, or the implicit one
+   * @param {Element} element - DOM element
+   * @returns {string} Role name, empty if the element has no role
+   */
+  static getRole(element) {
+    return this.getExplicitRole(element) || this.getImplicitRole(element);
+  }
+
+  /**
+   * Get the implicit ARIA role of an HTML element (HTML-AAM)
+   * @param {Element} element - DOM element
+   * @returns {string} Role name, empty if the element has no implicit role
+   */
+  static getImplicitRole(element) {
+    const tag = element.localName;
+
+    switch (tag) {
+      case 'a':
+      case 'area':
+        return element.hasAttribute('href') ? 'link' : 'generic';
+      case 'button':
+      case 'summary':
+        return 'button';
+      case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6':
+        return 'heading';
+      case 'img':
+        return element.getAttribute('alt') === '' ? 'presentation' : 'img';
+      case 'input':
+        return this.getInputRole(element);
+      case 'select':
+        return element.multiple || element.size > 1 ? 'listbox' : 'combobox';
+      case 'textarea':
+        return 'textbox';
+      case 'option':
+        return 'option';
+      case 'optgroup':
+      case 'fieldset':
+      case 'details':
+      case 'address':
+      case 'hgroup':
+        return 'group';
+      case 'datalist':
+        return 'listbox';
+      case 'td':
+        return 'cell';
+      case 'th':
+        return element.getAttribute('scope') === 'row' ? 'rowheader' : 'columnheader';
+      case 'tr':
+        return 'row';
+      case 'thead':
+      case 'tbody':
+      case 'tfoot':
+        return 'rowgroup';
+      case 'table':
+        return 'table';
+      case 'caption':
+        return 'caption';
+      case 'ul':
+      case 'ol':
+      case 'menu':
+        return 'list';
+      case 'li':
+        return element.parentElement && ['list', 'directory'].includes(this.getRole(element.parentElement)) ? 'listitem' : 'generic';
+      case 'dd':
+        return 'definition';
+      case 'dt':
+        return 'term';
+      case 'nav':
+        return 'navigation';
+      case 'main':
+        return 'main';
+      case 'aside':
+        return 'complementary';
+      case 'search':
+        return 'search';
+      case 'header':
+        return this.isScopedToSection(element) ? 'generic' : 'banner';
+      case 'footer':
+        return this.isScopedToSection(element) ? 'generic' : 'contentinfo';
+      case 'section':
+        return this.hasLabelAttribute(element) ? 'region' : 'generic';
+      case 'form':
+        return 'form';
+      case 'article':
+        return 'article';
+      case 'blockquote':
+        return 'blockquote';
+      case 'p':
+        return 'paragraph';
+      case 'hr':
+        return 'separator';
+      case 'dialog':
+        return 'dialog';
+      case 'figure':
+        return 'figure';
+      case 'progress':
+        return 'progressbar';
+      case 'meter':
+        return 'meter';
+      case 'output':
+        return 'status';
+      case 'code':
+        return 'code';
+      case 'del':
+        return 'deletion';
+      case 'ins':
+        return 'insertion';
+      case 'em':
+        return 'emphasis';
+      case 'strong':
+        return 'strong';
+      case 'sub':
+        return 'subscript';
+      case 'sup':
+        return 'superscript';
+      case 'time':
+        return 'time';
+      case 'math':
+        return 'math';
+      case 'svg':
+        return 'graphics-document';
+      case 'div':
+      case 'span':
+      case 'b':
+      case 'i':
+      case 'u':
+      case 'small':
+      case 'bdi':
+      case 'bdo':
+      case 'data':
+      case 'samp':
+      case 'pre':
+      case 'q':
+        return 'generic';
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Get the implicit role of an input element from its type
+   * @param {HTMLInputElement} input - Input element
+   * @returns {string} Role name
+   */
+  static getInputRole(input) {
+    const type = (input.getAttribute('type') || 'text').toLowerCase();
+
+    switch (type) {
+      case 'button':
+      case 'submit':
+      case 'reset':
+      case 'image':
+        return 'button';
+      case 'checkbox':
+        return 'checkbox';
+      case 'radio':
+        return 'radio';
+      case 'range':
+        return 'slider';
+      case 'number':
+        return 'spinbutton';
+      case 'search':
+        return input.hasAttribute('list') ? 'combobox' : 'searchbox';
+      case 'hidden':
+      case 'file':
+      case 'color':
+      case 'date':
+      case 'datetime-local':
+      case 'month':
+      case 'time':
+      case 'week':
+        return '';
+      default:
+        return input.hasAttribute('list') ? 'combobox' : 'textbox';
+    }
+  }
+
+  /**
+   * Check if header/footer is inside sectioning content (then it is not a landmark)
+   * @param {Element} element - header or footer element
+   */
+  static isScopedToSection(element) {
+    const parent = DomUtils.getComposedParent(element);
+    return !!(parent && DomUtils.closestDeep(parent, 'article, aside, main, nav, section'));
+  }
+
+  /**
+   * Check if element has an author-provided label
+   * @param {Element} element - DOM element
+   */
+  static hasLabelAttribute(element) {
+    return ['aria-label', 'aria-labelledby', 'title'].some(attribute => {
+      return (element.getAttribute(attribute) || '').trim() !== '';
+    });
+  }
+
+  /**
+   * Get a role and all of its superclasses
+   * @param {string} role - Role name
+   * @returns {Array} Role names, the role itself first
+   */
+  static getRoleChain(role) {
+    const chain = [];
+    const pending = [role];
+
+    while (pending.length > 0) {
+      const current = pending.shift();
+      const definition = this.getRoleDefinition(current);
+      if (!definition || chain.includes(current)) continue;
+
+      chain.push(current);
+      pending.push(...(definition.superclass || []));
+    }
+
+    return chain;
+  }
+
+  /**
+   * Get the attributes a role requires, including inherited ones
+   * @param {string} role - Role name
+   * @returns {Array} Attribute names
+   */
+  static getRequiredAttributes(role) {
+    const required = new Set();
+    this.getRoleChain(role).forEach(name => {
+      (this.getRoleDefinition(name).required || []).forEach(attribute => required.add(attribute));
+    });
+    return Array.from(required);
+  }
+
+  /**
+   * Get the attributes a role supports: global, inherited, own and required ones
+   * @param {string} role - Role name
+   * @returns {Array} Attribute names
+   */
+  static getSupportedAttributes(role) {
+    const supported = new Set(Object.keys(this.ATTRIBUTES).filter(name => this.ATTRIBUTES[name].global));
+
+    this.getRoleChain(role).forEach(name => {
+      const definition = this.getRoleDefinition(name);
+      (definition.supported || []).forEach(attribute => supported.add(attribute));
+      (definition.required || []).forEach(attribute => supported.add(attribute));
+    });
+
+    this.getProhibitedAttributes(role).forEach(attribute => supported.delete(attribute));
+    return Array.from(supported);
+  }
+
+  /**
+   * Get the global attributes ARIA 1.2 deprecates on a role
+   * aria-disabled, aria-errormessage, aria-haspopup and aria-invalid stay global,
+   * but only the roles that list them (directly or through a superclass) use them
+   * @param {string} role - Role name
+   * @returns {Array} Attribute names
+   */
+  static getDeprecatedAttributes(role) {
+    const listed = new Set();
+    this.getRoleChain(role).forEach(name => {
+      const definition = this.getRoleDefinition(name);
+      (definition.supported || []).forEach(attribute => listed.add(attribute));
+      (definition.required || []).forEach(attribute => listed.add(attribute));
+    });
+
+    return Object.keys(this.ATTRIBUTES)
+      .filter(name => this.ATTRIBUTES[name].deprecatedGlobal && !listed.has(name));
+  }
+
+  /**
+   * Get the attributes a role prohibits
+   * @param {string} role - Role name
+   * @returns {Array} Attribute names
+   */
+  static getProhibitedAttributes(role) {
+    const definition = this.getRoleDefinition(role);
+    return definition && definition.prohibited ? definition.prohibited : [];
+  }
+
+  /**
+   * Get the roles an element with this role must own (e.g. option for listbox)
+   * @param {string} role - Role name
+   * @returns {Array} Role names, empty if the role has no requirement
+   */
+  static getRequiredOwned(role) {
+    const definition = this.getRoleDefinition(role);
+    return definition && definition.requiredOwned ? definition.requiredOwned : [];
+  }
+
+  /**
+   * Get the roles one of which must own an element with this role (e.g. tablist for tab)
+   * @param {string} role - Role name
+   * @returns {Array} Role names, empty if the role has no requirement
+   */
+  static getRequiredContext(role) {
+    const definition = this.getRoleDefinition(role);
+    return definition && definition.requiredContext ? definition.requiredContext : [];
+  }
+
+  /**
+   * Check if an element is ignored in the accessibility tree structure,
+   * so its children are treated as children of its parent
+   * @param {Element} element - DOM element
+   */
+  static isTransparent(element) {
+    const role = this.getRole(element);
+    return role === '' || role === 'generic' || role === 'none' || role === 'presentation';
+  }
+
+  /**
+   * Get the element that claims an element through aria-owns
+   * @param {Element} element - DOM element
+   * @returns {Element|null} Owner element
+   */
+  static getAriaOwner(element) {
+    if (!element.id) return null;
+
+    const root = SelectorUtils.getQueryRoot(element);
+    return root.querySelector(`[aria-owns~="${SelectorUtils.escapeAttributeValue(element.id)}"]`);
+  }
+
+  /**
+   * Get the elements an element owns in the accessibility tree
+   * Descendants with a role are owned, elements without one are looked through.
+   * Elements referenced by aria-owns are added, and elements claimed by
+   * another element's aria-owns are removed
+   * @param {Element} element - DOM element
+   * @returns {Array} Owned elements
+   */
+  static getOwnedElements(element) {
+    const owned = [];
+    const pending = this.getChildElements(element);
+
+    while (pending.length > 0) {
+      const child = pending.shift();
+      if (DomUtils.isHiddenFromAT(child)) continue;
+
+      const owner = this.getAriaOwner(child);
+      if (owner && owner !== element) continue;
+
+      if (this.isTransparent(child)) {
+        pending.unshift(...this.getChildElements(child));
+      } else {
+        owned.push(child);
+      }
+    }
+
+    DomUtils.getReferencedElements(element, 'aria-owns').forEach(child => {
+      if (!owned.includes(child) && !DomUtils.isHiddenFromAT(child)) {
+        owned.push(child);
+      }
+    });
+
+    return owned;
+  }
+
+  /**
+   * Get the element that owns an element in the accessibility tree
+   * @param {Element} element - DOM element
+   * @returns {Element|null} aria-owns owner or closest ancestor with a role
+   */
+  static getContextElement(element) {
+    const owner = this.getAriaOwner(element);
+    if (owner) return owner;
+
+    let current = DomUtils.getComposedParent(element);
+    while (current && this.isTransparent(current)) {
+      current = DomUtils.getComposedParent(current);
+    }
+
+    return current;
+  }
+
+  /**
+   * Get child elements in the flat tree (shadow root content replaces light children)
+   * @param {Element} element - DOM element
+   * @returns {Array} Child elements
+   */
+  static getChildElements(element) {
+    if (element.shadowRoot) {
+      return Array.from(element.shadowRoot.children);
+    }
+
+    if (element.localName === 'slot' && typeof element.assignedElements === 'function') {
+      const assigned = element.assignedElements({ flatten: true });
+      if (assigned.length > 0) return assigned;
+    }
+
+    return Array.from(element.children);
+  }
+
+  /**
+   * Check if the children of a role are presentational (e.g. button, img, checkbox)
+   * Their content is flattened into the element and cannot be reached by itself
+   * @param {string} role - Role name
+   */
+  static hasPresentationalChildren(role) {
+    return this.getRoleChain(role).some(name => this.getRoleDefinition(name).childrenPresentational);
+  }
+
+  /**
+   * Check if a role is deprecated
+   * @param {string} role - Role name
+   */
+  static isDeprecatedRole(role) {
+    const definition = this.getRoleDefinition(role);
+    return !!(definition && definition.deprecated);
+  }
+
+  /**
+   * Check if a required attribute is provided natively by the element
+   * (e.g. the checked state of <input type="checkbox">)
+   * @param {Element} element - DOM element
+   * @param {string} attribute - Attribute name
+   */
+  static hasNativeState(element, attribute) {
+    const selector = this.NATIVE_STATES[attribute];
+    return !!(selector && element.matches(selector));
+  }
+
+  /**
+   * Get the aria-* attributes of an element
+   * @param {Element} element - DOM element
+   * @returns {Array} Attributes ({ name, value })
+   */
+  static getAriaAttributes(element) {
+    return Array.from(element.attributes)
+      .filter(attribute => attribute.name.startsWith('aria-'))
+      .map(attribute => ({ name: attribute.name, value: attribute.value }));
+  }
+
+  /**
+   * Check that an attribute value matches the attribute type
+   * Empty values are treated as if the attribute was not set
+   * @param {string} name - Attribute name
+   * @param {string} value - Attribute value
+   * @returns {boolean} True if the value is valid (unknown attributes are not checked)
+   */
+  static isValidValue(name, value) {
+    const definition = this.ATTRIBUTES[name];
+    const trimmed = (value || '').trim();
+    if (!definition || trimmed === '') return true;
+
+    const lower = trimmed.toLowerCase();
+
+    switch (definition.type) {
+      case 'true/false':
+        return lower === 'true' || lower === 'false';
+      case 'true/false/undefined':
+        return lower === 'true' || lower === 'false' || lower === 'undefined';
+      case 'tristate':
+        return ['true', 'false', 'mixed', 'undefined'].includes(lower);
+      case 'idref':
+        return !/\s/.test(trimmed);
+      case 'idrefs':
+      case 'string':
+        return true;
+      case 'integer':
+        return /^-?\d+$/.test(trimmed);
+      case 'number':
+        return trimmed !== '' && Number.isFinite(Number(trimmed));
+      case 'token':
+        return definition.values.includes(lower);
+      case 'tokens':
+        return lower.split(/\s+/).every(token => definition.values.includes(token));
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Describe the values an attribute accepts, for issue messages
+   * @param {string} name - Attribute name
+   * @returns {string} Expected values
+   */
+  static describeType(name) {
+    const definition = this.ATTRIBUTES[name];
+    if (!definition) return '';
+
+    switch (definition.type) {
+      case 'tristate':
+        return 'true, false or mixed';
+      case 'true/false':
+        return 'true or false';
+      case 'true/false/undefined':
+        return 'true, false or undefined';
+      case 'token':
+      case 'tokens':
+        return definition.values.join(', ');
+      case 'idref':
+        return 'a single ID';
+      default:
+        return `a value of type ${definition.type}`;
+    }
+  }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AriaUtils;
+} else {
+  window.AriaUtils = AriaUtils;
+}
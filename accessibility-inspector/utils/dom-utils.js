@@ -0,0 +1,394 @@
+/**
+ * DOM utility class for visibility checks and document traversal
+ * Separates elements hidden from everyone from elements that are
+ * rendered but scrolled out of the viewport, so rules can cover the whole page.
+ * Queries descend into open shadow roots, and same-origin frames are
+ * collected so every rule runs inside them too.
+ */
+
+class DomUtils {
+  // Elements that can receive focus without a tabindex
+  static NATIVE_FOCUSABLE_SELECTOR = [
+    'a[href]', 'area[href]', 'button', 'input:not([type="hidden"])', 'select', 'textarea',
+    'summary', 'iframe', 'audio[controls]', 'video[controls]',
+    '[contenteditable]:not([contenteditable="false"])'
+  ].join(', ');
+
+  // Elements that can receive focus natively or through tabindex
+  static FOCUSABLE_SELECTOR = `${DomUtils.NATIVE_FOCUSABLE_SELECTOR}, [tabindex]`;
+
+  /**
+   * Check if element should be checked by rules
+   * Offscreen content counts as visible unless the scan is limited to the first screen
+   * @param {Element} element - DOM element
+   * @param {Object} options - Scan options
+   * @param {boolean} options.aboveTheFoldOnly - Only accept elements on the first screen of the page
+   * @returns {boolean} True if element is visible for the scan
+   */
+  static isElementVisible(element, options = {}) {
+    if (this.isHidden(element)) return false;
+    if (options.aboveTheFoldOnly) return this.isAboveTheFold(element);
+    return true;
+  }
+
+  /**
+   * Check if element is hidden from everyone
+   * Covers display:none (including the `hidden` attribute), visibility:hidden,
+   * zero opacity, zero size and aria-hidden="true" subtrees
+   * @param {Element} element - DOM element
+   * @returns {boolean} True if element is hidden
+   */
+  static isHidden(element) {
+    try {
+      if (!element || !element.getBoundingClientRect) return true;
+
+      if (this.closestDeep(element, '[aria-hidden="true"]')) return true;
+
+      return !this.isRendered(element);
+    } catch (e) {
+      return true;
+    }
+  }
+
+  /**
+   * Check if element is rendered on screen, regardless of aria-hidden
+   * @param {Element} element - DOM element
+   * @returns {boolean} True if element has a visible box
+   */
+  static isRendered(element) {
+    try {
+      const style = this.getComputedStyle(element);
+      if (style.display === 'none' ||
+          style.visibility === 'hidden' ||
+          style.visibility === 'collapse' ||
+          style.opacity === '0') {
+        return false;
+      }
+
+      // Catches display:none on an ancestor
+      if (typeof element.checkVisibility === 'function' && !element.checkVisibility()) {
+        return false;
+      }
+
+      const rect = element.getBoundingClientRect();
+      return rect.width !== 0 || rect.height !== 0;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Check if element is excluded from the accessibility tree
+   * Unlike isHidden(), transparent and zero-size elements still count,
+   * since screen readers announce them
+   * @param {Element} element - DOM element
+   * @returns {boolean} True if element is hidden from assistive technology
+   */
+  static isHiddenFromAT(element) {
+    try {
+      if (this.closestDeep(element, '[aria-hidden="true"]')) return true;
+
+      const style = this.getComputedStyle(element);
+      if (style.visibility === 'hidden' || style.visibility === 'collapse') return true;
+
+      for (let current = element; current; current = this.getComposedParent(current)) {
+        if (this.getComputedStyle(current).display === 'none') return true;
+      }
+
+      return false;
+    } catch (e) {
+      return true;
+    }
+  }
+
+  /**
+   * Check if element can receive focus (by script or keyboard)
+   * @param {Element} element - DOM element
+   * @returns {boolean} True if element is focusable
+   */
+  static isFocusable(element) {
+    if (!element.matches(this.FOCUSABLE_SELECTOR)) return false;
+    if (element.matches(':disabled')) return false;
+    if (this.closestDeep(element, '[inert]')) return false;
+
+    // An invalid tabindex does not make an element focusable
+    return element.matches(this.NATIVE_FOCUSABLE_SELECTOR) || this.getTabIndex(element) !== null;
+  }
+
+  /**
+   * Check if element is reached with the Tab key
+   * @param {Element} element - DOM element
+   * @returns {boolean} True if element is focusable and not removed from the tab order
+   */
+  static isTabbable(element) {
+    if (!this.isFocusable(element)) return false;
+
+    const tabIndex = this.getTabIndex(element);
+    return tabIndex === null || tabIndex >= 0;
+  }
+
+  /**
+   * Get the parsed tabindex attribute
+   * @param {Element} element - DOM element
+   * @returns {number|null} Tab index, null if missing or not an integer
+   */
+  static getTabIndex(element) {
+    const value = (element.getAttribute('tabindex') || '').trim();
+    return /^[+-]?\d+$/.test(value) ? parseInt(value, 10) : null;
+  }
+
+  /**
+   * Check if element starts within the first screen of the page
+   * Uses document coordinates, so the result does not depend on the scroll position.
+   * Frame content is placed at the frame's position in the parent documents,
+   * up to the topmost document this script can reach
+   * @param {Element} element - DOM element
+   * @returns {boolean} True if element is above the fold
+   */
+  static isAboveTheFold(element) {
+    const rect = element.getBoundingClientRect();
+    let view = element.ownerDocument.defaultView || window;
+    let top = rect.top + view.scrollY;
+    let left = rect.left + view.scrollX;
+
+    for (let frame = this.getFrameElement(view); frame; frame = this.getFrameElement(view)) {
+      const frameRect = frame.getBoundingClientRect();
+      const style = this.getComputedStyle(frame);
+      view = frame.ownerDocument.defaultView;
+
+      // The frame viewport starts inside the frame's border and padding
+      top += frameRect.top + view.scrollY + frame.clientTop + (parseFloat(style.paddingTop) || 0);
+      left += frameRect.left + view.scrollX + frame.clientLeft + (parseFloat(style.paddingLeft) || 0);
+    }
+
+    return top < view.innerHeight &&
+           top + rect.height > 0 &&
+           left < view.innerWidth &&
+           left + rect.width > 0;
+  }
+
+  /**
+   * Get the frame element a window is shown in
+   * @param {Window} view - Window of a document
+   * @returns {Element|null} iframe or frame element, null for the top window and cross-origin parents
+   */
+  static getFrameElement(view) {
+    try {
+      return view && view.frameElement ? view.frameElement : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Get computed style using the element's own window (works for frame content)
+   * @param {Element} element - DOM element
+   * @returns {CSSStyleDeclaration} Computed style
+   */
+  static getComputedStyle(element) {
+    const view = element.ownerDocument && element.ownerDocument.defaultView;
+    return (view || window).getComputedStyle(element);
+  }
+
+  /**
+   * Find all elements matching a selector, including open shadow roots
+   * Shadow content follows its host, so results keep reading order.
+   * Frames are not entered, use getDocuments() to visit them
+   * @param {string} selector - CSS selector
+   * @param {Document|ShadowRoot|Element} root - Root to search in
+   * @param {Array|null} shadowRoots - Shadow roots of the root's document from getShadowRoots(),
+   *   collected once per scan; null collects the shadow roots below the root
+   * @returns {Array} Matching elements
+   */
+  static querySelectorAllDeep(selector, root = document, shadowRoots = null) {
+    if ((shadowRoots || this.getShadowRoots(root)).length === 0) {
+      return Array.from(root.querySelectorAll(selector));
+    }
+
+    return this.getAllElementsDeep(root).filter(element => element.matches(selector));
+  }
+
+  /**
+   * Get all elements below a root, including open shadow roots
+   * @param {Document|ShadowRoot|Element} root - Root to search in
+   * @returns {Array} Elements in reading order
+   */
+  static getAllElementsDeep(root = document) {
+    const elements = [];
+
+    root.querySelectorAll('*').forEach(element => {
+      elements.push(element);
+      if (element.shadowRoot) {
+        elements.push(...this.getAllElementsDeep(element.shadowRoot));
+      }
+    });
+
+    return elements;
+  }
+
+  /**
+   * Find the first element matching a selector, including open shadow roots
+   * @param {string} selector - CSS selector
+   * @param {Document|ShadowRoot|Element} root - Root to search in
+   * @returns {Element|null} First match
+   */
+  static querySelectorDeep(selector, root = document) {
+    const match = root.querySelector(selector);
+    if (match) return match;
+
+    for (const shadowRoot of this.getShadowRoots(root)) {
+      const shadowMatch = shadowRoot.querySelector(selector);
+      if (shadowMatch) return shadowMatch;
+    }
+
+    return null;
+  }
+
+  /**
+   * Collect all open shadow roots below a root, at any depth
+   * @param {Document|ShadowRoot|Element} root - Root to search in
+   * @returns {Array} Shadow roots
+   */
+  static getShadowRoots(root) {
+    const shadowRoots = [];
+    const pending = [root];
+
+    while (pending.length > 0) {
+      const current = pending.shift();
+
+      current.querySelectorAll('*').forEach(element => {
+        if (element.shadowRoot) {
+          shadowRoots.push(element.shadowRoot);
+          pending.push(element.shadowRoot);
+        }
+      });
+    }
+
+    return shadowRoots;
+  }
+
+  /**
+   * Collect the document and all same-origin frame documents below it
+   * Cross-origin frames are skipped, the background script injects
+   * the content scripts into them separately
+   * @param {Document} rootDocument - Top document
+   * @returns {Array} Documents, top document first
+   */
+  static getDocuments(rootDocument = document) {
+    const documents = [rootDocument];
+
+    for (let i = 0; i < documents.length; i++) {
+      this.querySelectorAllDeep('iframe, frame', documents[i]).forEach(frame => {
+        const frameDocument = this.getFrameDocument(frame);
+        if (frameDocument && !documents.includes(frameDocument)) {
+          documents.push(frameDocument);
+        }
+      });
+    }
+
+    return documents;
+  }
+
+  /**
+   * Get document of a frame if it is same-origin
+   * @param {Element} frame - iframe or frame element
+   * @returns {Document|null} Frame document
+   */
+  static getFrameDocument(frame) {
+    try {
+      const frameDocument = frame.contentDocument;
+      return frameDocument && frameDocument.documentElement ? frameDocument : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Resolve an ID reference list attribute in the element's tree
+   * @param {Element} element - DOM element
+   * @param {string} attribute - Attribute name (aria-labelledby, aria-describedby, ...)
+   * @returns {Array} Referenced elements that exist
+   */
+  static getReferencedElements(element, attribute) {
+    const value = element.getAttribute(attribute);
+    if (!value) return [];
+
+    const root = element.getRootNode();
+    const lookup = root && typeof root.getElementById === 'function' ? root : element.ownerDocument;
+
+    return value.trim().split(/\s+/)
+      .map(id => lookup.getElementById(id))
+      .filter(Boolean);
+  }
+
+  /**
+   * Get the element hosting a node's tree: a shadow host or a frame element
+   * @param {Node} node - DOM node
+   * @returns {Element|null} Shadow host, frame element or null for the top document
+   */
+  static getBoundaryHost(node) {
+    const root = node.getRootNode ? node.getRootNode() : null;
+    if (root && root.nodeType === Node.DOCUMENT_FRAGMENT_NODE && root.host) {
+      return root.host;
+    }
+
+    try {
+      const view = node.ownerDocument && node.ownerDocument.defaultView;
+      return view && view.frameElement ? view.frameElement : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Get parent element, stepping out of shadow roots to their host
+   * @param {Element} element - DOM element
+   * @returns {Element|null} Parent element
+   */
+  static getComposedParent(element) {
+    if (element.parentElement) return element.parentElement;
+
+    const root = element.parentNode;
+    return root && root.nodeType === Node.DOCUMENT_FRAGMENT_NODE && root.host ? root.host : null;
+  }
+
+  /**
+   * Like Element.closest(), but continues through shadow hosts
+   * @param {Element} element - DOM element
+   * @param {string} selector - CSS selector
+   * @returns {Element|null} Closest matching ancestor (or the element itself)
+   */
+  static closestDeep(element, selector) {
+    let current = element;
+
+    while (current) {
+      const match = current.closest(selector);
+      if (match) return match;
+
+      const root = current.getRootNode();
+      current = root && root.nodeType === Node.DOCUMENT_FRAGMENT_NODE ? root.host : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Like Node.contains(), but continues through shadow hosts
+   * @param {Element} container - Container element
+   * @param {Node} node - Node to look for
+   * @returns {boolean} True if the node is the container or inside it
+   */
+  static containsDeep(container, node) {
+    for (let current = node; current; current = this.getComposedParent(current)) {
+      if (current === container) return true;
+    }
+    return false;
+  }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DomUtils;
+} else {
+  window.DomUtils = DomUtils;
+}
@@ -0,0 +1,997 @@
+/**
+ * Focus navigation utility class
+ * Models sequential focus navigation (the Tab key) the way browsers do:
+ * positive tabindex first in ascending order, then tabindex="0" and native
+ * controls in tree order, shadow roots as separate navigation scopes and one
+ * tab stop per radio group. The sequence is compared with the position of
+ * elements on screen to find places where focus jumps against reading order.
+ * Focus indicators are measured by focusing each element and comparing its
+ * computed styles with the unfocused state. A keyboard walk presses Tab and
+ * Shift+Tab through the page to find keyboard traps and lost focus.
+ */
+
+class FocusUtils {
+  // Smaller boxes are visually hidden (skip links, sr-only) and are not compared
+  static MIN_BOX_SIZE = 2;
+
+  // Share of the smaller height two boxes must overlap by to be on one line
+  static ROW_OVERLAP = 0.5;
+
+  // Computed properties that can show focus on the element itself
+  static INDICATOR_PROPERTIES = [
+    'outline-style', 'outline-width', 'outline-color', 'outline-offset', 'box-shadow',
+    'border-top-color', 'border-right-color', 'border-bottom-color', 'border-left-color',
+    'border-top-width', 'border-right-width', 'border-bottom-width', 'border-left-width',
+    'background-color', 'background-image', 'color', 'text-decoration-line'
+  ];
+
+  // Indicators drawn with generated content are detected but not measured
+  static PSEUDO_ELEMENTS = ['::before', '::after'];
+  static PSEUDO_INDICATOR_PROPERTIES = ['content', 'background-color', 'border-top-color', 'border-bottom-color', 'box-shadow', 'outline-style'];
+
+  // WCAG 2.4.13: contrast between focused and unfocused pixels, thickness of the reference perimeter
+  static MIN_INDICATOR_CONTRAST = 3;
+  static MIN_INDICATOR_THICKNESS = 2;
+
+  // Changes closer than this ratio to the previous color are not visible
+  static MIN_VISIBLE_CONTRAST = 1.1;
+
+  // Focusing has side effects (scrolling, focus handlers), so large pages are sampled
+  static MAX_FOCUS_CHECKS = 500;
+
+  // Upper bound of Tab presses in one direction of the keyboard walk
+  static MAX_WALK_STEPS = 300;
+
+  // Steps of the walk shown before a trap or a lost focus
+  static WALK_PATH_LENGTH = 10;
+
+  // Longest wait for an animation frame, in ms, before reading the page anyway
+  static UPDATE_TIMEOUT = 100;
+
+  /**
+   * Check if an element takes part in sequential focus navigation
+   * Unlike DomUtils.isHidden(), aria-hidden and zero opacity do not remove focus
+   * @param {Element} element - DOM element
+   * @returns {boolean} True if Tab can reach the element
+   */
+  static isInTabSequence(element) {
+    if (!DomUtils.isTabbable(element)) return false;
+
+    try {
+      const style = DomUtils.getComputedStyle(element);
+      if (style.visibility === 'hidden' || style.visibility === 'collapse') return false;
+
+      if (typeof element.checkVisibility === 'function') {
+        return element.checkVisibility();
+      }
+
+      for (let current = element; current; current = DomUtils.getComposedParent(current)) {
+        if (DomUtils.getComputedStyle(current).display === 'none') return false;
+      }
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Get the tab sequence of a document
+   * @param {Document|ShadowRoot} root - Root of the navigation scope
+   * @returns {Array} Entries ({ element, tabIndex }) in the order Tab visits them
+   */
+  static getTabSequence(root = document) {
+    return this.filterRadioGroups(this.getScopeSequence(root));
+  }
+
+  /**
+   * Get the tab sequence of one focus navigation scope
+   * A shadow host and its shadow tree are ordered as one unit by the host's tabindex,
+   * and so is a slot with the light DOM elements assigned to it
+   * @param {Document|ShadowRoot|HTMLSlotElement} root - Scope root
+   * @returns {Array} Entries ({ element, tabIndex })
+   */
+  static getScopeSequence(root) {
+    const units = [];
+    const elements = root.localName === 'slot'
+      ? root.assignedElements({ flatten: true }).flatMap(element => [element, ...element.querySelectorAll('*')])
+      : [...root.querySelectorAll('*')];
+
+    elements.forEach(element => {
+      // Slotted elements are visited where their slot sits in the shadow tree
+      if (this.getNavigationScope(element) !== root) return;
+
+      const focusable = this.isInTabSequence(element);
+      const tabIndex = DomUtils.getTabIndex(element);
+
+      if (element.localName === 'slot' && element.getRootNode().host) {
+        const entries = this.getScopeSequence(element);
+        if (entries.length > 0) {
+          units.push({ tabIndex: tabIndex || 0, entries });
+        }
+        return;
+      }
+
+      if (element.shadowRoot) {
+        // A negative tabindex on the host skips its whole shadow tree
+        if (tabIndex !== null && tabIndex < 0) return;
+
+        const entries = focusable ? [{ element, tabIndex: tabIndex || 0 }] : [];
+        entries.push(...this.getScopeSequence(element.shadowRoot));
+        if (entries.length > 0) {
+          units.push({ tabIndex: tabIndex || 0, entries });
+        }
+        return;
+      }
+
+      if (focusable) {
+        units.push({ tabIndex: tabIndex || 0, entries: [{ element, tabIndex: tabIndex || 0 }] });
+      }
+    });
+
+    // Array.prototype.sort is stable, so equal tabindex values keep tree order
+    const positive = units.filter(unit => unit.tabIndex > 0).sort((a, b) => a.tabIndex - b.tabIndex);
+    const natural = units.filter(unit => unit.tabIndex <= 0);
+
+    return [...positive, ...natural].flatMap(unit => unit.entries);
+  }
+
+  /**
+   * Get the focus navigation scope an element is ordered in
+   * @param {Element} element - DOM element
+   * @returns {Document|ShadowRoot|HTMLSlotElement} The slot the element or an ancestor is assigned to
+   *   (following slots assigned to other slots), otherwise the element's root node
+   */
+  static getNavigationScope(element) {
+    for (let node = element; node; node = node.parentElement) {
+      let slot = node.assignedSlot;
+      if (!slot) continue;
+
+      while (slot.assignedSlot) slot = slot.assignedSlot;
+      return slot;
+    }
+    return element.getRootNode();
+  }
+
+  /**
+   * Keep one tab stop per radio group: the checked radio button, or the first one
+   * @param {Array} sequence - Entries ({ element, tabIndex })
+   * @returns {Array} Filtered entries
+   */
+  static filterRadioGroups(sequence) {
+    const groups = new Map();
+
+    sequence.forEach(entry => {
+      const element = entry.element;
+      if (element.localName !== 'input' || element.type !== 'radio' || !element.name) return;
+
+      const key = `${element.form ? SelectorUtils.getXPath(element.form) : ''}|${element.name}`;
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(entry);
+    });
+
+    const skipped = new Set();
+    groups.forEach(entries => {
+      const stop = entries.find(entry => entry.element.checked) || entries[0];
+      entries.forEach(entry => {
+        if (entry !== stop) skipped.add(entry);
+      });
+    });
+
+    return sequence.filter(entry => !skipped.has(entry));
+  }
+
+  /**
+   * Find steps of the tab sequence that move backwards against reading order:
+   * to the left (right in RTL) on the same line, or up within the same column.
+   * Moving from the bottom of one column to the top of the next is not a jump
+   * @param {Array} sequence - Entries ({ element, tabIndex })
+   * @returns {Array} Jumps ({ from, to, fromIndex, toIndex, direction }), indexes start at 1
+   */
+  static getVisualOrderJumps(sequence) {
+    const jumps = [];
+    let previous = null;
+
+    sequence.forEach((entry, index) => {
+      const rect = this.getComparableRect(entry.element);
+      if (!rect) return;
+
+      if (previous && !this.contains(previous.rect, rect) && !this.contains(rect, previous.rect)) {
+        const rtl = DomUtils.getComputedStyle(entry.element).direction === 'rtl';
+        const direction = this.getBackwardDirection(previous.rect, rect, rtl);
+
+        if (direction) {
+          jumps.push({
+            from: previous.entry.element,
+            to: entry.element,
+            fromIndex: previous.index + 1,
+            toIndex: index + 1,
+            direction
+          });
+        }
+      }
+
+      previous = { entry, rect, index };
+    });
+
+    return jumps;
+  }
+
+  /**
+   * Get the box of an element if it is visible enough to take part in the comparison
+   * @param {Element} element - DOM element
+   * @returns {DOMRect|null} Bounding box, null for tiny or offscreen elements
+   */
+  static getComparableRect(element) {
+    const rect = element.getBoundingClientRect();
+    if (rect.width < this.MIN_BOX_SIZE || rect.height < this.MIN_BOX_SIZE) return null;
+
+    // Skip links and similar controls are moved off the page until focused
+    const view = element.ownerDocument.defaultView || window;
+    if (rect.right + view.scrollX <= 0 || rect.bottom + view.scrollY <= 0) return null;
+
+    return rect;
+  }
+
+  /**
+   * Check if one box contains the other (a control inside a focusable container)
+   * @param {DOMRect} outer - Outer box
+   * @param {DOMRect} inner - Inner box
+   * @returns {boolean} True if inner lies within outer
+   */
+  static contains(outer, inner) {
+    return inner.left >= outer.left && inner.right <= outer.right &&
+           inner.top >= outer.top && inner.bottom <= outer.bottom;
+  }
+
+  /**
+   * Get the direction of a backward step between two boxes
+   * @param {DOMRect} from - Box of the element focus leaves
+   * @param {DOMRect} to - Box of the element focus moves to
+   * @param {boolean} rtl - Right-to-left text direction
+   * @returns {string|null} 'left', 'right' or 'up', null if the step follows reading order
+   */
+  static getBackwardDirection(from, to, rtl) {
+    const verticalOverlap = Math.min(from.bottom, to.bottom) - Math.max(from.top, to.top);
+    if (verticalOverlap > this.ROW_OVERLAP * Math.min(from.height, to.height)) {
+      if (!rtl && to.right <= from.left) return 'left';
+      if (rtl && to.left >= from.right) return 'right';
+      return null;
+    }
+
+    const horizontalOverlap = Math.min(from.right, to.right) - Math.max(from.left, to.left);
+    return horizontalOverlap > 0 && to.bottom <= from.top ? 'up' : null;
+  }
+
+  /**
+   * Focus elements one by one and measure their focus indicators
+   * Focus moves like with Tab, including scrolling, so the focused element can be
+   * checked for being covered by sticky content. The previously focused element
+   * and the scroll position are restored afterwards
+   * @param {Array} elements - Elements of one document, in tab order
+   * @returns {Object} { measured, indicators }, indicators maps elements to getFocusIndicator() results;
+   *   measured is false if the page did not have focus and :focus styles were not applied
+   */
+  static getFocusIndicators(elements) {
+    const indicators = new Map();
+    if (elements.length === 0) return { measured: true, indicators };
+
+    const doc = elements[0].ownerDocument;
+    const view = doc.defaultView || window;
+    const previous = doc.activeElement;
+    const scroll = { x: view.scrollX, y: view.scrollY };
+    let measured = true;
+
+    try {
+      for (const element of elements.slice(0, this.MAX_FOCUS_CHECKS)) {
+        // Focusing a frame moves focus into another document
+        if (element.localName === 'iframe' || element.localName === 'frame') continue;
+
+        const indicator = this.getFocusIndicator(element);
+        if (indicator && indicator.pageInactive) {
+          measured = false;
+          break;
+        }
+        if (indicator) {
+          indicators.set(element, indicator);
+        }
+      }
+    } finally {
+      if (previous && previous !== doc.body && typeof previous.focus === 'function') {
+        previous.focus({ preventScroll: true });
+      } else if (doc.activeElement && typeof doc.activeElement.blur === 'function') {
+        doc.activeElement.blur();
+      }
+      view.scrollTo(scroll.x, scroll.y);
+    }
+
+    return { measured, indicators };
+  }
+
+  /**
+   * Focus an element and compare its styles with the unfocused state
+   * @param {Element} element - Focusable element
+   * @returns {Object|null} Indicator ({ changes, parts, area, requiredArea, focusVisible, obscuredBy }),
+   *   { pageInactive: true } if :focus does not apply, null if the element did not take focus
+   */
+  static getFocusIndicator(element) {
+    if (typeof element.blur === 'function') element.blur();
+    const before = this.getStyleSnapshot(element);
+    const unfocusedBackground = DomUtils.getComputedStyle(element).backgroundColor;
+
+    element.focus({ focusVisible: true });
+    if (this.getActiveElement(element.ownerDocument) !== element) return null;
+
+    // Browsers do not match :focus while the window is in the background
+    if (!element.matches(':focus')) return { pageInactive: true };
+
+    const after = this.getStyleSnapshot(element);
+    const changes = Object.keys(after)
+      .filter(property => after[property] !== before[property])
+      .filter(property => !property.startsWith('::') || !/^(none|normal)$/.test(after[`${property.split(' ')[0]} content`]))
+      .map(property => ({ property, before: before[property], after: after[property] }));
+
+    const rect = element.getBoundingClientRect();
+    const context = {
+      width: rect.width,
+      height: rect.height,
+      background: this.getBackgroundBehind(element),
+      elementBackground: this.blendColor(unfocusedBackground, this.getBackgroundBehind(element))
+    };
+    const parts = this.getIndicatorParts(before, after, context);
+
+    return {
+      changes,
+      parts,
+      area: Math.round(parts.reduce((sum, part) => sum + (part.contrast >= this.MIN_INDICATOR_CONTRAST ? part.area || 0 : 0), 0)),
+      requiredArea: Math.round(2 * (rect.width + rect.height) * this.MIN_INDICATOR_THICKNESS),
+      focusVisible: this.matchesFocusVisible(element),
+      obscuredBy: this.getObscuringElement(element)
+    };
+  }
+
+  /**
+   * Get the focused element, looking into shadow roots
+   * @param {Document} doc - Document
+   * @returns {Element|null} Focused element
+   */
+  static getActiveElement(doc) {
+    let active = doc.activeElement;
+    while (active && active.shadowRoot && active.shadowRoot.activeElement) {
+      active = active.shadowRoot.activeElement;
+    }
+    return active;
+  }
+
+  /**
+   * Check if an element matches :focus-visible (unsupported selectors count as a match)
+   * @param {Element} element - Focused element
+   * @returns {boolean} True if the browser treats focus as keyboard focus
+   */
+  static matchesFocusVisible(element) {
+    try {
+      return element.matches(':focus-visible');
+    } catch (e) {
+      return true;
+    }
+  }
+
+  /**
+   * Read the properties that can change on focus
+   * @param {Element} element - DOM element
+   * @returns {Object} Property values, pseudo-element properties are prefixed with '::before ' or '::after '
+   */
+  static getStyleSnapshot(element) {
+    const view = element.ownerDocument.defaultView || window;
+    const style = view.getComputedStyle(element);
+    const snapshot = {};
+
+    this.INDICATOR_PROPERTIES.forEach(property => {
+      snapshot[property] = style.getPropertyValue(property);
+    });
+
+    this.PSEUDO_ELEMENTS.forEach(pseudo => {
+      const pseudoStyle = view.getComputedStyle(element, pseudo);
+      this.PSEUDO_INDICATOR_PROPERTIES.forEach(property => {
+        snapshot[`${pseudo} ${property}`] = pseudoStyle.getPropertyValue(property);
+      });
+    });
+
+    return snapshot;
+  }
+
+  /**
+   * Split the style changes into measurable indicator parts
+   * Area is in CSS pixels, contrast compares the same pixels before and after focus;
+   * both are null when they cannot be computed (gradients, generated content)
+   * @param {Object} before - Snapshot of the unfocused state
+   * @param {Object} after - Snapshot of the focused state
+   * @param {Object} box - { width, height, background, elementBackground } of the element
+   * @returns {Array} Parts ({ property, area, contrast })
+   */
+  static getIndicatorParts(before, after, box) {
+    const parts = [];
+    const { width, height, background, elementBackground } = box;
+    const changed = property => before[property] !== after[property];
+
+    const outlineWidth = parseFloat(after['outline-width']) || 0;
+    if (['outline-style', 'outline-width', 'outline-color', 'outline-offset'].some(changed) &&
+        after['outline-style'] !== 'none' && outlineWidth > 0) {
+      const offset = parseFloat(after['outline-offset']) || 0;
+      const hadOutline = before['outline-style'] !== 'none' && parseFloat(before['outline-width']) > 0;
+      const adjacent = offset < 0 ? elementBackground : background;
+
+      parts.push({
+        property: 'outline',
+        area: 2 * (width + height + 4 * Math.max(offset, 0)) * outlineWidth,
+        contrast: this.getContrast(
+          this.blendColor(after['outline-color'], adjacent),
+          hadOutline ? this.blendColor(before['outline-color'], adjacent) : adjacent
+        )
+      });
+    }
+
+    if (changed('box-shadow') && after['box-shadow'] !== 'none') {
+      const previousShadows = this.parseBoxShadow(before['box-shadow']);
+
+      this.parseBoxShadow(after['box-shadow']).forEach((shadow, index) => {
+        const adjacent = shadow.inset ? elementBackground : background;
+        const previous = previousShadows[index];
+        const thickness = Math.max(shadow.spread, 0) + shadow.blur / 2;
+
+        parts.push({
+          property: 'box-shadow',
+          area: 2 * (width + height) * thickness + Math.abs(shadow.x) * height + Math.abs(shadow.y) * width,
+          contrast: this.getContrast(
+            this.blendColor(shadow.color, adjacent),
+            previous ? this.blendColor(previous.color, adjacent) : adjacent
+          )
+        });
+      });
+    }
+
+    ['top', 'right', 'bottom', 'left'].forEach(side => {
+      const color = `border-${side}-color`;
+      const size = `border-${side}-width`;
+      const borderWidth = parseFloat(after[size]) || 0;
+      if ((!changed(color) && !changed(size)) || borderWidth === 0) return;
+
+      const hadBorder = parseFloat(before[size]) > 0;
+      parts.push({
+        property: `border-${side}`,
+        area: (side === 'top' || side === 'bottom' ? width : height) * borderWidth,
+        contrast: this.getContrast(
+          this.blendColor(after[color], background),
+          hadBorder ? this.blendColor(before[color], background) : background
+        )
+      });
+    });
+
+    if (changed('background-color')) {
+      parts.push({
+        property: 'background-color',
+        area: width * height,
+        contrast: this.getContrast(this.blendColor(after['background-color'], background), elementBackground)
+      });
+    }
+
+    if (changed('background-image')) {
+      parts.push({ property: 'background-image', area: null, contrast: null });
+    }
+
+    if (changed('color')) {
+      // Only the glyphs change, their area is not known
+      parts.push({
+        property: 'color',
+        area: 0,
+        contrast: this.getContrast(this.blendColor(after.color, elementBackground), this.blendColor(before.color, elementBackground))
+      });
+    }
+
+    if (changed('text-decoration-line') && after['text-decoration-line'] !== 'none') {
+      parts.push({
+        property: 'text-decoration',
+        area: width,
+        contrast: this.getContrast(this.blendColor(after.color, elementBackground), elementBackground)
+      });
+    }
+
+    this.PSEUDO_ELEMENTS.forEach(pseudo => {
+      const properties = this.PSEUDO_INDICATOR_PROPERTIES.map(property => `${pseudo} ${property}`);
+      if (properties.some(changed) && !/^(none|normal)$/.test(after[`${pseudo} content`])) {
+        parts.push({ property: pseudo, area: null, contrast: null });
+      }
+    });
+
+    return parts;
+  }
+
+  /**
+   * Parse a computed box-shadow value
+   * @param {string} value - Computed value, e.g. 'rgb(0, 95, 204) 0px 0px 0px 3px'
+   * @returns {Array} Shadows ({ color, x, y, blur, spread, inset })
+   */
+  static parseBoxShadow(value) {
+    if (!value || value === 'none') return [];
+
+    return value.split(/,(?![^(]*\))/).map(shadow => {
+      const color = (shadow.match(/(?:rgba?|hsla?)\([^)]*\)|#[\da-f]+/i) || ['rgb(0, 0, 0)'])[0];
+      const lengths = shadow.replace(color, '').match(/-?[\d.]+px|\b0\b/g) || [];
+      const [x = 0, y = 0, blur = 0, spread = 0] = lengths.map(length => parseFloat(length));
+
+      return { color, x, y, blur, spread, inset: /\binset\b/.test(shadow) };
+    });
+  }
+
+  /**
+   * Get the color behind an element: the first opaque background of its ancestors
+   * @param {Element} element - DOM element
+   * @returns {string} CSS color
+   */
+  static getBackgroundBehind(element) {
+    for (let current = DomUtils.getComposedParent(element); current; current = DomUtils.getComposedParent(current)) {
+      if (current.nodeType !== 1) continue;
+
+      const color = DomUtils.getComputedStyle(current).backgroundColor;
+      if (this.getAlpha(color) > 0.1) return color;
+    }
+    return 'rgb(255, 255, 255)';
+  }
+
+  /**
+   * Composite a semi-transparent color over a background
+   * @param {string} color - CSS color
+   * @param {string} background - Opaque CSS color
+   * @returns {string} Opaque rgb() color
+   */
+  static blendColor(color, background) {
+    const alpha = this.getAlpha(color);
+    const top = ColorUtils.parseColor(color);
+    const bottom = ColorUtils.parseColor(background);
+    const mix = channel => Math.round(top[channel] * alpha + bottom[channel] * (1 - alpha));
+
+    return `rgb(${mix('r')}, ${mix('g')}, ${mix('b')})`;
+  }
+
+  /**
+   * Get the alpha channel of a computed color
+   * @param {string} color - CSS color
+   * @returns {number} Alpha from 0 to 1
+   */
+  static getAlpha(color) {
+    if (!color || color === 'transparent') return 0;
+
+    const match = color.match(/rgba\([^,]+,[^,]+,[^,]+,\s*([\d.]+)\)/);
+    return match ? parseFloat(match[1]) : 1;
+  }
+
+  /**
+   * Get the contrast ratio between two colors, rounded to two decimals
+   * @param {string} color1 - CSS color
+   * @param {string} color2 - CSS color
+   * @returns {number} Contrast ratio
+   */
+  static getContrast(color1, color2) {
+    return Math.round(ColorUtils.calculateContrastRatio(color1, color2) * 100) / 100;
+  }
+
+  /**
+   * Find sticky or fixed content that completely covers a focused element
+   * @param {Element} element - Focused element
+   * @returns {Element|null} Covering element, null if the element is at least partly visible
+   */
+  static getObscuringElement(element) {
+    const doc = element.ownerDocument;
+    const view = doc.defaultView || window;
+    if (typeof doc.elementFromPoint !== 'function') return null;
+
+    const rect = element.getBoundingClientRect();
+    if (rect.width < this.MIN_BOX_SIZE || rect.height < this.MIN_BOX_SIZE) return null;
+    if (rect.bottom <= 0 || rect.top >= view.innerHeight || rect.right <= 0 || rect.left >= view.innerWidth) return null;
+
+    // Center and the four corners, moved inside the box
+    const inset = Math.min(2, rect.width / 4, rect.height / 4);
+    const points = [
+      [rect.left + rect.width / 2, rect.top + rect.height / 2],
+      [rect.left + inset, rect.top + inset],
+      [rect.right - inset, rect.top + inset],
+      [rect.left + inset, rect.bottom - inset],
+      [rect.right - inset, rect.bottom - inset]
+    ];
+
+    let cover = null;
+    for (const [x, y] of points) {
+      // Points outside the viewport are hidden by scrolling, not by content
+      if (x < 0 || y < 0 || x >= view.innerWidth || y >= view.innerHeight) return null;
+
+      const hit = doc.elementFromPoint(x, y);
+      if (!hit || hit === element || element.contains(hit) || hit.contains(element)) return null;
+
+      const positioned = this.getPositionedAncestor(hit);
+      if (!positioned) return null;
+      cover = cover || positioned;
+    }
+
+    return cover;
+  }
+
+  /**
+   * Get the closest ancestor of an element (or the element) with fixed or sticky position
+   * @param {Element} element - DOM element
+   * @returns {Element|null} Fixed or sticky element
+   */
+  static getPositionedAncestor(element) {
+    for (let current = element; current && current.nodeType === 1; current = DomUtils.getComposedParent(current)) {
+      const position = DomUtils.getComputedStyle(current).position;
+      if (position === 'fixed' || position === 'sticky') return current;
+    }
+    return null;
+  }
+
+  /**
+   * Press Tab and Shift+Tab through the page and record where focus goes
+   * Synthetic key events have no default action: page handlers receive keydown
+   * and keyup, and if they do not cancel the event, focus is moved to the next
+   * element of the tab sequence like the browser would do. Focus and the scroll
+   * position are restored afterwards. Escape, pressed to leave focus loops,
+   * is not undone: dialogs and menus it closed stay closed
+   * @param {Document} doc - Document to walk
+   * @returns {Promise<Object>} { traps, losses, escaped } from both directions, see walkFocus();
+   *   escaped is true if Escape was sent to the page
+   */
+  static async getKeyboardWalk(doc = document) {
+    const view = doc.defaultView || window;
+    const previous = doc.activeElement;
+    const scroll = { x: view.scrollX, y: view.scrollY };
+
+    try {
+      const forward = await this.walkFocus(doc, false);
+      const backward = await this.walkFocus(doc, true);
+
+      // A trap found in both directions is reported once
+      const traps = [...forward.traps];
+      backward.traps.forEach(trap => {
+        const same = traps.some(found => found.elements.length === trap.elements.length &&
+          trap.elements.every(element => found.elements.includes(element)));
+        if (!same) traps.push(trap);
+      });
+
+      return {
+        traps,
+        losses: [...forward.losses, ...backward.losses],
+        escaped: forward.escaped || backward.escaped
+      };
+    } finally {
+      if (previous && previous !== doc.body && previous.isConnected && typeof previous.focus === 'function') {
+        previous.focus({ preventScroll: true });
+      } else if (doc.activeElement && typeof doc.activeElement.blur === 'function') {
+        doc.activeElement.blur();
+      }
+      view.scrollTo(scroll.x, scroll.y);
+    }
+  }
+
+  /**
+   * Walk the tab sequence in one direction
+   * Focus returning to an element it already visited means the page moves it
+   * in a loop; the loop is a trap unless Escape lets focus leave it
+   * @param {Document} doc - Document to walk
+   * @param {boolean} backwards - Press Shift+Tab instead of Tab
+   * @returns {Promise<Object>} { traps: [{ elements, path, key }], losses: [{ from, to, reason, path, key }], escaped },
+   *   path is the list of focused elements that led to the problem
+   */
+  static async walkFocus(doc, backwards) {
+    const result = { traps: [], losses: [], escaped: false };
+    const key = backwards ? 'Shift+Tab' : 'Tab';
+    const navigator = this.createSequenceNavigator(doc);
+
+    try {
+      const sequence = navigator.getSequence();
+      if (sequence.length === 0) return result;
+
+      let current = backwards ? sequence[sequence.length - 1] : sequence[0];
+      current.focus();
+      current = this.getActiveElement(doc);
+
+      const path = [current];
+      let visited = new Set([current]);
+      const limit = Math.min(this.MAX_WALK_STEPS, sequence.length * 2 + 10);
+
+      for (let step = 0; step < limit && current; step++) {
+        const stale = navigator.getSequence();
+        const move = await this.pressTab(current, backwards, navigator);
+        if (move.left) break;
+
+        const reason = this.getFocusLossReason(move.element, current, move.attempted);
+        if (reason) {
+          result.losses.push({
+            from: current,
+            to: move.element,
+            reason,
+            path: path.slice(-this.WALK_PATH_LENGTH),
+            key
+          });
+
+          // Continue after the element that lost focus, like the browser's navigation starting point
+          current = this.focusAfter(stale, [move.attempted || move.element || current], backwards);
+          if (!current) break;
+          path.push(current);
+          visited = new Set([current]);
+          continue;
+        }
+
+        const target = move.element;
+        path.push(target);
+
+        if (visited.has(target)) {
+          const start = path.lastIndexOf(target, path.length - 2);
+          const cycle = path.slice(start, -1);
+
+          result.escaped = true;
+          if (!(await this.canEscape(cycle, backwards, navigator))) {
+            result.traps.push({
+              elements: cycle,
+              path: path.slice(-Math.max(this.WALK_PATH_LENGTH, cycle.length + 1)),
+              key
+            });
+
+            // Skip the trap, as a mouse user would, to check the rest of the page
+            current = this.focusAfter(navigator.getSequence(), cycle, backwards);
+            if (!current) break;
+            path.push(current);
+            visited = new Set([current]);
+            continue;
+          }
+
+          // A dialog closed with Escape, carry on from wherever focus is now
+          current = this.getActiveElement(doc);
+          if (!current || current === doc.body) break;
+          if (current !== target) path.push(current);
+          visited = new Set([current]);
+          continue;
+        }
+
+        visited.add(target);
+        current = target;
+      }
+    } finally {
+      navigator.disconnect();
+    }
+
+    return result;
+  }
+
+  /**
+   * Focus the element of a sequence that follows a group of elements
+   * @param {Array} sequence - Elements in tab order
+   * @param {Array} elements - Elements to skip, the walk continues after the last of them
+   * @param {boolean} backwards - Direction of the walk
+   * @returns {Element|null} Focused element, null at the end of the sequence
+   */
+  static focusAfter(sequence, elements, backwards) {
+    const indexes = elements.map(element => sequence.indexOf(element)).filter(index => index >= 0);
+    if (indexes.length === 0) return null;
+
+    const next = sequence[backwards ? Math.min(...indexes) - 1 : Math.max(...indexes) + 1];
+    if (!next || !next.isConnected) return null;
+
+    next.focus();
+    const focused = this.getActiveElement(next.ownerDocument);
+    return focused && focused !== next.ownerDocument.body ? focused : null;
+  }
+
+  /**
+   * Create a cached view of the tab sequence that is rebuilt when the DOM changes
+   * @param {Document} doc - Document
+   * @returns {Object} { getSequence, getNext, disconnect }
+   */
+  static createSequenceNavigator(doc) {
+    const view = doc.defaultView || window;
+    const observer = typeof view.MutationObserver === 'function' ? new view.MutationObserver(() => {}) : null;
+    let sequence = null;
+
+    if (observer) {
+      observer.observe(doc.documentElement, { subtree: true, childList: true, attributes: true });
+    }
+
+    const getSequence = () => {
+      const changed = observer ? observer.takeRecords().length > 0 : true;
+      if (!sequence || changed) {
+        sequence = this.getTabSequence(doc).map(entry => entry.element);
+      }
+      return sequence;
+    };
+
+    return {
+      getSequence,
+
+      // Next element of the sequence after an element, null at the end of the document
+      getNext: (element, backwards) => {
+        const elements = getSequence();
+        const index = elements.indexOf(element);
+
+        if (index >= 0) {
+          return elements[index + (backwards ? -1 : 1)] || null;
+        }
+
+        // Elements outside the sequence (tabindex="-1") continue from their position in the document
+        const following = candidate => element.compareDocumentPosition(candidate) & Node.DOCUMENT_POSITION_FOLLOWING;
+        return backwards
+          ? elements.slice().reverse().find(candidate => !following(candidate)) || null
+          : elements.find(candidate => following(candidate)) || null;
+      },
+
+      disconnect: () => {
+        if (observer) observer.disconnect();
+      }
+    };
+  }
+
+  /**
+   * Press Tab on the focused element
+   * Like with a real key press, microtasks queued by keydown handlers run before
+   * the default action; focus is read after the page had a frame to update
+   * @param {Element} element - Focused element
+   * @param {boolean} backwards - Shift+Tab
+   * @param {Object} navigator - Sequence navigator
+   * @returns {Promise<Object>} { element, attempted } focused after the key press and the element focus was
+   *   moved to by the default action, or { left: true } if focus left the page
+   */
+  static async pressTab(element, backwards, navigator) {
+    const doc = element.ownerDocument;
+    const allowed = this.dispatchKey(element, 'keydown', 'Tab', backwards);
+    let attempted = null;
+    await Promise.resolve();
+
+    if (allowed) {
+      // The default action starts from wherever keydown handlers left focus
+      const active = this.getActiveElement(doc);
+      const from = active && active !== doc.body ? active : element;
+      const next = navigator.getNext(from, backwards);
+      if (!next) return { left: true };
+      attempted = next;
+      next.focus();
+    }
+
+    const focused = this.getActiveElement(doc);
+    this.dispatchKey(focused || doc.body, 'keyup', 'Tab', backwards);
+    await this.waitForUpdate(doc);
+
+    return { element: this.getActiveElement(doc), attempted };
+  }
+
+  /**
+   * Wait until the page has reacted to a key press
+   * Lit, React and Vue apply focus, tabindex and ARIA changes in a microtask or in
+   * their next render, so the page is read after an animation frame and the task
+   * following it. Background tabs do not run animation frames, a message task
+   * stands in for them there
+   * @param {Document} doc - Document the key was sent to
+   * @returns {Promise} Resolves when the page had time to update
+   */
+  static async waitForUpdate(doc) {
+    const view = doc.defaultView || window;
+    const nextTask = () => new Promise(resolve => {
+      const channel = new view.MessageChannel();
+      channel.port1.onmessage = () => {
+        channel.port1.close();
+        resolve();
+      };
+      channel.port2.postMessage(null);
+    });
+
+    await Promise.resolve();
+    if (!doc.hidden && typeof view.requestAnimationFrame === 'function') {
+      await new Promise(resolve => {
+        const timer = view.setTimeout(resolve, this.UPDATE_TIMEOUT);
+        view.requestAnimationFrame(() => {
+          view.clearTimeout(timer);
+          resolve();
+        });
+      });
+    }
+    await nextTask();
+  }
+
+  /**
+   * Dispatch a keyboard event, with keyCode for handlers that still read it
+   * @param {Element} element - Event target
+   * @param {string} type - keydown or keyup
+   * @param {string} key - Key value, e.g. 'Tab' or 'Escape'
+   * @param {boolean} shiftKey - Shift is held
+   * @returns {boolean} False if a handler canceled the event
+   */
+  static dispatchKey(element, type, key, shiftKey = false) {
+    const view = element.ownerDocument.defaultView || window;
+    const keyCodes = { Tab: 9, Enter: 13, Escape: 27, ' ': 32, End: 35, Home: 36, ArrowLeft: 37, ArrowUp: 38, ArrowRight: 39, ArrowDown: 40 };
+    const event = new view.KeyboardEvent(type, {
+      key,
+      code: key === ' ' ? 'Space' : key,
+      shiftKey,
+      bubbles: true,
+      cancelable: true,
+      composed: true
+    });
+
+    Object.defineProperty(event, 'keyCode', { get: () => keyCodes[key] || 0 });
+    Object.defineProperty(event, 'which', { get: () => keyCodes[key] || 0 });
+
+    return element.dispatchEvent(event);
+  }
+
+  /**
+   * Check if focus left the page content after a key press
+   * @param {Element|null} target - Element focused after the key press
+   * @param {Element} from - Element focused before the key press
+   * @param {Element|null} attempted - Element the default action moved focus to
+   * @returns {string|null} 'removed', 'body' or 'hidden', null if focus is fine
+   */
+  static getFocusLossReason(target, from, attempted) {
+    const doc = from.ownerDocument;
+
+    if (!target || target === doc.body || target === doc.documentElement) {
+      // Removing the focused element drops focus to body
+      const removed = !from.isConnected || (attempted && !attempted.isConnected);
+      return removed ? 'removed' : 'body';
+    }
+
+    return DomUtils.isRendered(target) ? null : 'hidden';
+  }
+
+  /**
+   * Check if Escape lets focus leave a loop of elements
+   * @param {Array} cycle - Elements focus keeps returning to
+   * @param {boolean} backwards - Direction of the walk
+   * @param {Object} navigator - Sequence navigator
+   * @returns {Promise<boolean>} True if focus reaches an element outside the loop
+   */
+  static async canEscape(cycle, backwards, navigator) {
+    const doc = cycle[0].ownerDocument;
+    const active = this.getActiveElement(doc) || doc.body;
+
+    this.dispatchKey(active, 'keydown', 'Escape');
+    this.dispatchKey(this.getActiveElement(doc) || doc.body, 'keyup', 'Escape');
+    await this.waitForUpdate(doc);
+
+    let current = this.getActiveElement(doc);
+    for (let step = 0; step <= cycle.length; step++) {
+      if (current && current !== doc.body && !cycle.includes(current)) return true;
+
+      // Focus dropped to body: the browser continues from the start of the page
+      const from = current && current !== doc.body ? current : null;
+      if (!from) {
+        const first = navigator.getSequence().find(element => !cycle.includes(element));
+        return !!first;
+      }
+
+      const move = await this.pressTab(from, backwards, navigator);
+      if (move.left) return true;
+      current = move.element;
+    }
+
+    return false;
+  }
+
+  /**
+   * Build the numbered focus sequence for the report
+   * @param {Document} rootDocument - Document to walk
+   * @returns {Array} Entries ({ index, tabIndex, role, name, selector }), index starts at 1
+   */
+  static getFocusSequence(rootDocument = document) {
+    return this.getTabSequence(rootDocument).map((entry, index) => ({
+      index: index + 1,
+      tabIndex: entry.tabIndex,
+      role: AriaUtils.getRole(entry.element) || entry.element.localName,
+      name: AccessibleName.compute(entry.element).name,
+      selector: SelectorUtils.getSelector(entry.element)
+    }));
+  }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FocusUtils;
+} else {
+  window.FocusUtils = FocusUtils;
+}
@@ -0,0 +1,149 @@
+/**
+ * Index of element IDs and ID references in a document
+ * Built once per scanned document, so rules that resolve aria-labelledby,
+ * label[for], headers and similar references do not query the DOM again.
+ * IDs are scoped to their tree: the document and every open shadow root
+ * have their own set of IDs.
+ */
+
+class IdIndex {
+  // ARIA attributes that hold one ID or a list of IDs
+  static ARIA_REFERENCE_ATTRIBUTES = [
+    'aria-activedescendant', 'aria-controls', 'aria-describedby', 'aria-details',
+    'aria-errormessage', 'aria-flowto', 'aria-labelledby', 'aria-owns'
+  ];
+
+  /**
+   * @param {Document} rootDocument - Document to index (open shadow roots included)
+   */
+  constructor(rootDocument) {
+    // Tree root (document or shadow root) -> Map of id -> elements
+    this.ids = new Map();
+    // { element, attribute, ids, root } for every ID reference
+    this.references = [];
+
+    DomUtils.getAllElementsDeep(rootDocument).forEach(element => this.add(element));
+  }
+
+  /**
+   * Add an element's ID and references to the index
+   * @param {Element} element - DOM element
+   */
+  add(element) {
+    const root = element.getRootNode();
+
+    if (element.id) {
+      if (!this.ids.has(root)) {
+        this.ids.set(root, new Map());
+      }
+
+      const rootIds = this.ids.get(root);
+      if (!rootIds.has(element.id)) {
+        rootIds.set(element.id, []);
+      }
+      rootIds.get(element.id).push(element);
+    }
+
+    IdIndex.getReferenceAttributes(element).forEach(attribute => {
+      const ids = element.getAttribute(attribute).trim().split(/\s+/).filter(Boolean);
+      if (ids.length > 0) {
+        this.references.push({ element, attribute, ids, root });
+      }
+    });
+  }
+
+  /**
+   * Get the ID reference attributes set on an element
+   * @param {Element} element - DOM element
+   * @returns {Array} Attribute names
+   */
+  static getReferenceAttributes(element) {
+    const attributes = this.ARIA_REFERENCE_ATTRIBUTES.filter(attribute => element.hasAttribute(attribute));
+
+    if (element.localName === 'label' && element.hasAttribute('for')) {
+      attributes.push('for');
+    }
+    if ((element.localName === 'td' || element.localName === 'th') && element.hasAttribute('headers')) {
+      attributes.push('headers');
+    }
+
+    return attributes;
+  }
+
+  /**
+   * Get all elements with an ID in the tree of a node
+   * @param {Node} node - Node whose tree is searched (or the tree root itself)
+   * @param {string} id - Element ID
+   * @returns {Array} Elements, more than one if the ID is duplicated
+   */
+  getElementsById(node, id) {
+    const rootIds = this.ids.get(node.getRootNode());
+    return (rootIds && rootIds.get(id)) || [];
+  }
+
+  /**
+   * Get the element an ID resolves to (the first one, as getElementById does)
+   * @param {Node} node - Node whose tree is searched
+   * @param {string} id - Element ID
+   * @returns {Element|null} Element
+   */
+  getElementById(node, id) {
+    return this.getElementsById(node, id)[0] || null;
+  }
+
+  /**
+   * Get ID references, optionally limited to some attributes
+   * @param {Array} attributes - Attribute names, all references if omitted
+   * @returns {Array} References ({ element, attribute, ids, root })
+   */
+  getReferences(attributes = null) {
+    return attributes
+      ? this.references.filter(reference => attributes.includes(reference.attribute))
+      : this.references;
+  }
+
+  /**
+   * Get references that point to an ID in the tree of a node
+   * @param {Node} node - Node whose tree is searched
+   * @param {string} id - Element ID
+   * @returns {Array} References ({ element, attribute, ids, root })
+   */
+  getReferencesTo(node, id) {
+    const root = node.getRootNode();
+    return this.references.filter(reference => reference.root === root && reference.ids.includes(id));
+  }
+
+  /**
+   * Get the IDs of a reference that do not resolve to any element
+   * @param {Object} reference - Reference from getReferences()
+   * @returns {Array} Missing IDs
+   */
+  getMissingIds(reference) {
+    return reference.ids.filter(id => this.getElementsById(reference.element, id).length === 0);
+  }
+
+  /**
+   * Get IDs used by more than one element in the same tree
+   * @returns {Array} Duplicates ({ id, root, elements })
+   */
+  getDuplicates() {
+    const duplicates = [];
+
+    this.ids.forEach((rootIds, root) => {
+      rootIds.forEach((elements, id) => {
+        if (elements.length > 1) {
+          duplicates.push({ id, root, elements });
+        }
+      });
+    });
+
+    return duplicates;
+  }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = IdIndex;
+} else {
+  window.IdIndex = IdIndex;
+}
@@ -0,0 +1,92 @@
+/**
+ * Language tag utility class
+ * Validates lang and xml:lang values as BCP 47 language tags (RFC 5646):
+ * the tag must be well-formed and its primary language subtag must exist.
+ * Two-letter subtags are checked against ISO 639-1; three-letter subtags
+ * are only checked for form, since the ISO 639-2/3 lists are too large to ship.
+ */
+
+class LangUtils {
+  // ISO 639-1 language codes, including deprecated codes still in the IANA registry
+  static ISO_639_1 = [
+    'aa', 'ab', 'ae', 'af', 'ak', 'am', 'an', 'ar', 'as', 'av', 'ay', 'az',
+    'ba', 'be', 'bg', 'bh', 'bi', 'bm', 'bn', 'bo', 'br', 'bs',
+    'ca', 'ce', 'ch', 'co', 'cr', 'cs', 'cu', 'cv', 'cy',
+    'da', 'de', 'dv', 'dz', 'ee', 'el', 'en', 'eo', 'es', 'et', 'eu',
+    'fa', 'ff', 'fi', 'fj', 'fo', 'fr', 'fy', 'ga', 'gd', 'gl', 'gn', 'gu', 'gv',
+    'ha', 'he', 'hi', 'ho', 'hr', 'ht', 'hu', 'hy', 'hz',
+    'ia', 'id', 'ie', 'ig', 'ii', 'ik', 'in', 'io', 'is', 'it', 'iu', 'iw',
+    'ja', 'ji', 'jv', 'jw', 'ka', 'kg', 'ki', 'kj', 'kk', 'kl', 'km', 'kn', 'ko',
+    'kr', 'ks', 'ku', 'kv', 'kw', 'ky', 'la', 'lb', 'lg', 'li', 'ln', 'lo', 'lt',
+    'lu', 'lv', 'mg', 'mh', 'mi', 'mk', 'ml', 'mn', 'mo', 'mr', 'ms', 'mt', 'my',
+    'na', 'nb', 'nd', 'ne', 'ng', 'nl', 'nn', 'no', 'nr', 'nv', 'ny',
+    'oc', 'oj', 'om', 'or', 'os', 'pa', 'pi', 'pl', 'ps', 'pt', 'qu',
+    'rm', 'rn', 'ro', 'ru', 'rw', 'sa', 'sc', 'sd', 'se', 'sg', 'sh', 'si', 'sk',
+    'sl', 'sm', 'sn', 'so', 'sq', 'sr', 'ss', 'st', 'su', 'sv', 'sw',
+    'ta', 'te', 'tg', 'th', 'ti', 'tk', 'tl', 'tn', 'to', 'tr', 'ts', 'tt', 'tw', 'ty',
+    'ug', 'uk', 'ur', 'uz', 've', 'vi', 'vo', 'wa', 'wo', 'xh', 'yi', 'yo', 'za', 'zh', 'zu'
+  ];
+
+  // Tags registered as a whole that do not follow the subtag grammar
+  static GRANDFATHERED = [
+    'en-gb-oed', 'i-ami', 'i-bnn', 'i-default', 'i-enochian', 'i-hak', 'i-klingon',
+    'i-lux', 'i-mingo', 'i-navajo', 'i-pwn', 'i-tao', 'i-tay', 'i-tsu', 'sgn-be-fr',
+    'sgn-be-nl', 'sgn-ch-de', 'art-lojban', 'cel-gaulish', 'no-bok', 'no-nyn',
+    'zh-guoyu', 'zh-hakka', 'zh-min', 'zh-min-nan', 'zh-xiang'
+  ];
+
+  // language(-extlang)? (-script)? (-region)? (-variant)* (-extension)* (-privateuse)?
+  static TAG_PATTERN = new RegExp(
+    '^(?:([a-z]{2,3}(?:-[a-z]{3}){0,3}|[a-z]{4,8})' +
+    '(?:-[a-z]{4})?' +
+    '(?:-(?:[a-z]{2}|\\d{3}))?' +
+    '(?:-(?:[a-z\\d]{5,8}|\\d[a-z\\d]{3}))*' +
+    '(?:-[\\da-wy-z](?:-[a-z\\d]{2,8})+)*' +
+    '(?:-x(?:-[a-z\\d]{1,8})+)?' +
+    '|x(?:-[a-z\\d]{1,8})+)$',
+    'i'
+  );
+
+  /**
+   * Check if a tag follows the BCP 47 syntax
+   * @param {string} tag - Language tag
+   * @returns {boolean} True if the tag is well-formed
+   */
+  static isWellFormed(tag) {
+    const value = (tag || '').trim().toLowerCase();
+    return this.GRANDFATHERED.includes(value) || this.TAG_PATTERN.test(value);
+  }
+
+  /**
+   * Check if a tag is a valid language tag
+   * @param {string} tag - Language tag
+   * @returns {boolean} True if the tag is well-formed and its language exists
+   */
+  static isValid(tag) {
+    const value = (tag || '').trim().toLowerCase();
+    if (!this.isWellFormed(value)) return false;
+    if (this.GRANDFATHERED.includes(value) || value.startsWith('x-')) return true;
+
+    const language = this.getPrimaryLanguage(value);
+    if (language.length === 2) return this.ISO_639_1.includes(language);
+
+    // 4-letter subtags are reserved, 5-8 letter subtags have never been registered
+    return language.length === 3;
+  }
+
+  /**
+   * Get the primary language subtag, used to compare lang and xml:lang
+   * @param {string} tag - Language tag
+   * @returns {string} Lowercase primary language, e.g. 'en' for 'en-US'
+   */
+  static getPrimaryLanguage(tag) {
+    return (tag || '').trim().toLowerCase().split('-')[0];
+  }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LangUtils;
+} else {
+  window.LangUtils = LangUtils;
+}
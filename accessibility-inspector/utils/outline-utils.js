@@ -0,0 +1,148 @@
+/**
+ * Document outline utility class
+ * Collects the headings and landmarks of a page the way assistive technology
+ * sees them: native h1-h6 and role="heading" with aria-level, landmark
+ * elements and roles, in reading order and including open shadow roots.
+ * Both are reported with the scan results so the page structure can be
+ * reviewed as a tree.
+ */
+
+class OutlineUtils {
+  // Elements that may be headings (role overrides are resolved in getHeadings)
+  static HEADING_SELECTOR = 'h1, h2, h3, h4, h5, h6, [role="heading"]';
+
+  // Level of role="heading" without a valid aria-level
+  static DEFAULT_HEADING_LEVEL = 2;
+
+  // Landmark roles, form and region only count when they have a name
+  static LANDMARK_ROLES = ['banner', 'navigation', 'main', 'complementary', 'contentinfo', 'search', 'form', 'region'];
+
+  // Elements that may be landmarks (roles are resolved in getLandmarks)
+  static LANDMARK_SELECTOR = 'header, footer, nav, main, aside, search, form, section, [role]';
+
+  /**
+   * Get the heading level of an element
+   * aria-level overrides the level of h1-h6
+   * @param {Element} element - Heading element
+   * @returns {number} Level from 1
+   */
+  static getHeadingLevel(element) {
+    const ariaLevel = parseInt(element.getAttribute('aria-level'), 10);
+    if (ariaLevel > 0) return ariaLevel;
+
+    const match = element.localName.match(/^h([1-6])$/);
+    return match ? parseInt(match[1], 10) : this.DEFAULT_HEADING_LEVEL;
+  }
+
+  /**
+   * Get the headings of a document
+   * Headings removed from the page for everyone (display:none) are skipped,
+   * headings only hidden from assistive technology are kept and marked
+   * @param {Document|ShadowRoot|Element} root - Root to search in
+   * @param {Array|null} shadowRoots - Shadow roots of the document, see DomUtils.querySelectorAllDeep()
+   * @returns {Array} Headings ({ element, level, text, hidden })
+   */
+  static getHeadings(root = document, shadowRoots = null) {
+    return DomUtils.querySelectorAllDeep(this.HEADING_SELECTOR, root, shadowRoots)
+      .filter(element => AriaUtils.getRole(element) === 'heading')
+      .filter(element => DomUtils.isRendered(element) || !DomUtils.isHiddenFromAT(element))
+      .map(element => {
+        const hidden = DomUtils.isHiddenFromAT(element);
+        return {
+          element,
+          level: this.getHeadingLevel(element),
+          // Hidden headings have no accessible name, show their text instead
+          text: hidden ? element.textContent.replace(/\s+/g, ' ').trim() : AccessibleName.compute(element).name,
+          hidden
+        };
+      });
+  }
+
+  /**
+   * Get the landmark role of an element
+   * @param {Element} element - DOM element
+   * @returns {string|null} Landmark role, null if the element is not a landmark
+   */
+  static getLandmarkRole(element) {
+    const role = AriaUtils.getRole(element);
+    if (!this.LANDMARK_ROLES.includes(role)) return null;
+
+    // Unnamed forms and regions are not exposed as landmarks
+    if ((role === 'form' || role === 'region') && !AccessibleName.compute(element).name) return null;
+
+    return role;
+  }
+
+  /**
+   * Get the landmarks of a document
+   * @param {Document|ShadowRoot|Element} root - Root to search in
+   * @param {Array|null} shadowRoots - Shadow roots of the document, see DomUtils.querySelectorAllDeep()
+   * @returns {Array} Landmarks ({ element, role, name, parent, depth }), parent is the enclosing landmark
+   */
+  static getLandmarks(root = document, shadowRoots = null) {
+    const landmarks = [];
+    const byElement = new Map();
+
+    DomUtils.querySelectorAllDeep(this.LANDMARK_SELECTOR, root, shadowRoots).forEach(element => {
+      if (DomUtils.isHiddenFromAT(element)) return;
+
+      const role = this.getLandmarkRole(element);
+      if (!role) return;
+
+      let parent = null;
+      for (let current = DomUtils.getComposedParent(element); current; current = DomUtils.getComposedParent(current)) {
+        if (byElement.has(current)) {
+          parent = byElement.get(current);
+          break;
+        }
+      }
+
+      const landmark = {
+        element,
+        role,
+        name: AccessibleName.compute(element).name,
+        parent,
+        depth: parent ? parent.depth + 1 : 0
+      };
+      landmarks.push(landmark);
+      byElement.set(element, landmark);
+    });
+
+    return landmarks;
+  }
+
+  /**
+   * Build the landmark map for the report
+   * @param {Document} rootDocument - Document to map
+   * @returns {Array} Entries ({ role, name, selector, depth }) in reading order
+   */
+  static getLandmarkMap(rootDocument = document) {
+    return this.getLandmarks(rootDocument).map(landmark => ({
+      role: landmark.role,
+      name: landmark.name,
+      selector: SelectorUtils.getSelector(landmark.element),
+      depth: landmark.depth
+    }));
+  }
+
+  /**
+   * Build the heading outline for the report
+   * @param {Document} rootDocument - Document to outline
+   * @returns {Array} Entries ({ level, text, selector, hidden }) in reading order
+   */
+  static getHeadingOutline(rootDocument = document) {
+    return this.getHeadings(rootDocument).map(heading => ({
+      level: heading.level,
+      text: heading.text,
+      selector: SelectorUtils.getSelector(heading.element),
+      hidden: heading.hidden
+    }));
+  }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OutlineUtils;
+} else {
+  window.OutlineUtils = OutlineUtils;
+}
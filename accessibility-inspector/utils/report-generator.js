@@ -146,6 +146,11 @@ class ReportGenerator {
       border-radius: 4px;
       font-size: 0.9em;
     }
+    .rule {
+      color: #666;
+      font-size: 0.9em;
+      margin: 5px 0;
+    }
     .selector {
       font-family: 'Consolas', 'Monaco', monospace;
       background: #f5f5f5;
@@ -203,6 +208,22 @@ class ReportGenerator {
       </div>
     </div>
     
+    ${data.headingOutline && data.headingOutline.length > 0 ? `
+    <h2>Heading Outline</h2>
+    <pre class="element">${this.escapeHtml(this.formatHeadingOutline(data.headingOutline).join('\n'))}</pre>
+    ` : ''}
+    ${data.landmarkMap && data.landmarkMap.length > 0 ? `
+    <h2>Landmarks</h2>
+    <pre class="element">${this.escapeHtml(this.formatLandmarkMap(data.landmarkMap).join('\n'))}</pre>
+    ` : ''}
+    ${data.focusSequence && data.focusSequence.length > 0 ? `
+    <h2>Focus Order</h2>
+    <pre class="element">${this.escapeHtml(this.formatFocusSequence(data.focusSequence).join('\n'))}</pre>
+    ` : ''}
+    ${data.notes && data.notes.length > 0 ? `
+    <h2>Scan Notes</h2>
+    <pre class="element">${this.escapeHtml(this.formatNotes(data.notes).join('\n'))}</pre>
+    ` : ''}
     <h2>Issues</h2>
     ${issues.length === 0 ? 
       '<div class="no-issues">✅ No accessibility issues found!</div>' : 
@@ -226,8 +247,14 @@ class ReportGenerator {
         <div class="issue-type">${issue.type.toUpperCase()}</div>
       </div>
       <div><strong>${this.escapeHtml(issue.message || 'No message')}</strong></div>
-      ${issue.selector ? `<div class="selector"><strong>Selector:</strong> ${this.escapeHtml(issue.selector)}</div>` : ''}
+      ${issue.ruleId ? `<div class="rule"><strong>Rule:</strong> ${this.escapeHtml(issue.ruleId)}${this.formatWcag(issue) ? ` (WCAG ${this.escapeHtml(this.formatWcag(issue))})` : ''}</div>` : ''}
+      ${issue.confidence !== undefined ? `<div class="rule"><strong>Confidence:</strong> ${this.formatConfidence(issue)}</div>` : ''}
+      ${issue.accessibleName ? `<div class="rule"><strong>Accessible name:</strong> ${this.escapeHtml(this.formatAccessibleName(issue))}</div>` : ''}
+      ${issue.selector ? `<div class="selector"><strong>Selector:</strong> ${this.escapeHtml(issue.selector)}${issue.selectorApproximate ? ' (approximate)' : ''}</div>` : ''}
+      ${issue.xpath ? `<div class="selector"><strong>XPath:</strong> ${this.escapeHtml(issue.xpath)}</div>` : ''}
+      ${issue.domPath ? `<div class="selector"><strong>DOM path:</strong> ${this.escapeHtml(issue.domPath)}</div>` : ''}
       ${issue.element ? `<div class="element"><strong>Element:</strong> ${this.escapeHtml(issue.element)}</div>` : ''}
+      ${(issue.related || []).map(related => `<div class="selector"><strong>${this.escapeHtml(related.label)}:</strong> ${this.escapeHtml(related.selector)}</div>`).join('')}
       ${issue.details ? this.generateDetailsHTML(issue.details) : ''}
     </div>`;
   }
@@ -252,6 +279,24 @@ class ReportGenerator {
       </div>`;
     }
     
+    if (details.headerMap) {
+      // Table details: headers announced for each data cell
+      return `
+      <div class="details">
+        <strong>Header map:</strong>
+        <pre>${this.escapeHtml(details.headerMap.join('\n'))}</pre>
+      </div>`;
+    }
+    
+    if (details.svg) {
+      // SVG issues: shortened markup of the graphic
+      return `
+      <div class="details">
+        <strong>SVG markup:</strong>
+        <pre>${this.escapeHtml(details.svg)}</pre>
+      </div>`;
+    }
+    
     // General details
     return `
     <div class="details">
@@ -293,6 +338,30 @@ class ReportGenerator {
     text += `- Errors: ${summary.errors}\n`;
     text += `- Warnings: ${summary.warnings}\n\n`;
     
+    if (data.headingOutline && data.headingOutline.length > 0) {
+      text += 'HEADING OUTLINE:\n';
+      text += this.formatHeadingOutline(data.headingOutline).map(line => `  ${line}`).join('\n');
+      text += '\n\n';
+    }
+    
+    if (data.landmarkMap && data.landmarkMap.length > 0) {
+      text += 'LANDMARKS:\n';
+      text += this.formatLandmarkMap(data.landmarkMap).map(line => `  ${line}`).join('\n');
+      text += '\n\n';
+    }
+    
+    if (data.focusSequence && data.focusSequence.length > 0) {
+      text += 'FOCUS ORDER:\n';
+      text += this.formatFocusSequence(data.focusSequence).map(line => `  ${line}`).join('\n');
+      text += '\n\n';
+    }
+    
+    if (data.notes && data.notes.length > 0) {
+      text += 'SCAN NOTES:\n';
+      text += this.formatNotes(data.notes).map(line => `  ${line}`).join('\n');
+      text += '\n\n';
+    }
+    
     if (issues.length === 0) {
       text += '✅ No accessibility issues found!\n';
     } else {
@@ -303,10 +372,34 @@ class ReportGenerator {
         text += `${index + 1}. [${typeLabel}] ${issue.category || 'general'}\n`;
         text += `   Message: ${issue.message || 'No message'}\n`;
         
+        if (issue.ruleId) {
+          text += `   Rule: ${issue.ruleId}\n`;
+        }
+        
+        if (this.formatWcag(issue)) {
+          text += `   WCAG: ${this.formatWcag(issue)}\n`;
+        }
+        
+        if (issue.confidence !== undefined) {
+          text += `   Confidence: ${this.formatConfidence(issue)}\n`;
+        }
+        
+        if (issue.accessibleName) {
+          text += `   Accessible name: ${this.formatAccessibleName(issue)}\n`;
+        }
+        
         if (issue.selector) {
-          text += `   Selector: ${issue.selector}\n`;
+          text += `   Selector: ${issue.selector}${issue.selectorApproximate ? ' (approximate)' : ''}\n`;
+        }
+        
+        if (issue.xpath) {
+          text += `   XPath: ${issue.xpath}\n`;
         }
         
+        (issue.related || []).forEach(related => {
+          text += `   ${related.label}: ${related.selector}\n`;
+        });
+        
         if (issue.details) {
           text += `   Details: ${JSON.stringify(issue.details, null, 2)}\n`;
         }
@@ -318,6 +411,84 @@ class ReportGenerator {
     return text;
   }
 
+  /**
+   * Format WCAG references of an issue
+   * @param {Object} issue - Issue data
+   * @returns {string} Success criteria with conformance level, e.g. "1.3.1, 4.1.2 (A)"
+   */
+  formatWcag(issue) {
+    if (!issue.wcag || issue.wcag.length === 0) return '';
+    
+    const criteria = issue.wcag.join(', ');
+    return issue.level ? `${criteria} (${issue.level})` : criteria;
+  }
+
+  /**
+   * Format the computed accessible name of an issue element
+   * @param {Object} issue - Issue data
+   * @returns {string} Name with its source, e.g. "Search" (aria-label)
+   */
+  formatAccessibleName(issue) {
+    const { name, source } = issue.accessibleName;
+    return name ? `"${name}" (${source})` : '(empty)';
+  }
+
+  /**
+   * Format the heading outline as an indented tree
+   * @param {Array} outline - Headings ({ level, text, selector, hidden })
+   * @returns {Array} Lines such as '  H2 Contacts (#contacts)'
+   */
+  formatHeadingOutline(outline) {
+    return outline.map(heading => {
+      const indent = '  '.repeat(Math.max(0, heading.level - 1));
+      const hidden = heading.hidden ? ' [hidden from AT]' : '';
+      return `${indent}H${heading.level} ${heading.text || '(empty)'}${hidden} (${heading.selector})`;
+    });
+  }
+
+  /**
+   * Format the landmark map as an indented tree
+   * @param {Array} landmarks - Landmarks ({ role, name, selector, depth })
+   * @returns {Array} Lines such as '  navigation "Primary" (#menu)'
+   */
+  formatLandmarkMap(landmarks) {
+    return landmarks.map(landmark => {
+      const name = landmark.name ? ` "${landmark.name}"` : '';
+      return `${'  '.repeat(landmark.depth)}${landmark.role}${name} (${landmark.selector})`;
+    });
+  }
+
+  /**
+   * Format the tab sequence as a numbered list
+   * @param {Array} sequence - Focus stops ({ index, tabIndex, role, name, selector })
+   * @returns {Array} Lines such as '3. button "Send" [tabindex=2] (#send)'
+   */
+  formatFocusSequence(sequence) {
+    return sequence.map(stop => {
+      const name = stop.name ? ` "${stop.name}"` : '';
+      const tabIndex = stop.tabIndex > 0 ? ` [tabindex=${stop.tabIndex}]` : '';
+      return `${stop.index}. ${stop.role}${name}${tabIndex} (${stop.selector})`;
+    });
+  }
+
+  /**
+   * Format notes on checks that could not run
+   * @param {Array} notes - Notes ({ message, url })
+   * @returns {Array} Lines such as 'Focus indicators were not checked: ... (https://example.com/)'
+   */
+  formatNotes(notes) {
+    return notes.map(note => `${note.message} (${note.url})`);
+  }
+
+  /**
+   * Format the confidence of a heuristic issue
+   * @param {Object} issue - Issue data
+   * @returns {string} Percentage, e.g. 85%
+   */
+  formatConfidence(issue) {
+    return `${Math.round(issue.confidence * 100)}%`;
+  }
+
   /**
    * Escape HTML special characters
    * @param {string} unsafe - Unsafe string
@@ -0,0 +1,284 @@
+/**
+ * Selector utility class for locating elements reported in issues
+ * Builds the shortest unique CSS selector, a full XPath and a readable DOM path
+ *
+ * Elements inside shadow roots and same-origin frames get the path of their
+ * hosts prepended, separated by " >>> " (e.g. "my-card >>> button.buy").
+ */
+
+class SelectorUtils {
+  // Separator between the selectors of a host and of the element inside it
+  static BOUNDARY = ' >>> ';
+
+  /**
+   * Get all locators for an element
+   * @param {Element} element - DOM element
+   * @returns {Object} CSS selector, XPath and DOM path
+   */
+  static describe(element) {
+    return {
+      selector: this.getSelector(element),
+      xpath: this.getXPath(element),
+      domPath: this.getDomPath(element)
+    };
+  }
+
+  /**
+   * Build a unique CSS selector including shadow host and frame path
+   * @param {Element} element - DOM element
+   * @returns {string} CSS selector
+   */
+  static getSelector(element) {
+    if (!element || !element.tagName) return 'unknown';
+
+    const host = DomUtils.getBoundaryHost(element);
+    const selector = this.getLocalSelector(element);
+    return host ? this.getSelector(host) + this.BOUNDARY + selector : selector;
+  }
+
+  /**
+   * Build the shortest CSS selector that matches only this element
+   * Uniqueness is checked in the element's root (document or shadow root)
+   * @param {Element} element - DOM element
+   * @returns {string} CSS selector
+   */
+  static getLocalSelector(element) {
+    try {
+      const root = this.getQueryRoot(element);
+
+      // Try selectors that describe the element on its own first
+      for (const candidate of this.getElementCandidates(element)) {
+        if (this.isUnique(candidate, element, root)) {
+          return candidate;
+        }
+      }
+
+      // Otherwise walk up the tree until the path becomes unique
+      const path = [];
+      let current = element;
+
+      while (current && current.nodeType === Node.ELEMENT_NODE) {
+        const step = this.getStep(current, root);
+        path.unshift(step);
+
+        const selector = path.join(' > ');
+        if (this.isUnique(selector, element, root)) {
+          return selector;
+        }
+
+        current = current.parentElement;
+      }
+
+      return path.join(' > ');
+    } catch (e) {
+      return element.tagName.toLowerCase();
+    }
+  }
+
+  /**
+   * Build a full XPath including shadow host and frame path
+   * @param {Element} element - DOM element
+   * @returns {string} XPath (e.g. /html/body/div[2]/a)
+   */
+  static getXPath(element) {
+    if (!element || !element.tagName) return '';
+
+    const host = DomUtils.getBoundaryHost(element);
+    const xpath = this.getLocalXPath(element);
+    return host ? this.getXPath(host) + this.BOUNDARY + xpath : xpath;
+  }
+
+  /**
+   * Build a full XPath from the root of the element's tree
+   * @param {Element} element - DOM element
+   * @returns {string} XPath
+   */
+  static getLocalXPath(element) {
+    const steps = [];
+    let current = element;
+
+    while (current && current.nodeType === Node.ELEMENT_NODE) {
+      const name = this.getXPathName(current);
+      const siblings = current.parentElement
+        ? Array.from(current.parentElement.children).filter(sibling => sibling.localName === current.localName)
+        : [current];
+
+      const index = siblings.indexOf(current) + 1;
+      steps.unshift(siblings.length > 1 ? `${name}[${index}]` : name);
+
+      current = current.parentElement;
+    }
+
+    return '/' + steps.join('/');
+  }
+
+  /**
+   * Build a readable path of tag names with id and classes
+   * @param {Element} element - DOM element
+   * @returns {string} DOM path (e.g. html > body > div#app > ul.menu > li > a)
+   */
+  static getDomPath(element) {
+    if (!element || !element.tagName) return '';
+
+    const host = DomUtils.getBoundaryHost(element);
+    const path = this.getLocalDomPath(element);
+    if (!host) return path;
+
+    const marker = element.getRootNode() === element.ownerDocument ? '#document' : '#shadow-root';
+    return `${this.getDomPath(host)} > ${marker} > ${path}`;
+  }
+
+  /**
+   * Build a readable path inside the element's own tree
+   * @param {Element} element - DOM element
+   * @returns {string} DOM path
+   */
+  static getLocalDomPath(element) {
+    const steps = [];
+    let current = element;
+
+    while (current && current.nodeType === Node.ELEMENT_NODE) {
+      let step = current.localName;
+
+      if (current.id) {
+        step += `#${CSS.escape(current.id)}`;
+      }
+      this.getClassNames(current).forEach(className => {
+        step += `.${CSS.escape(className)}`;
+      });
+
+      steps.unshift(step);
+      current = current.parentElement;
+    }
+
+    return steps.join(' > ');
+  }
+
+  /**
+   * Selectors that may identify the element without its ancestors
+   * @param {Element} element - DOM element
+   * @returns {Array} Candidate selectors, shortest first
+   */
+  static getElementCandidates(element) {
+    const tag = CSS.escape(element.localName);
+    const candidates = [];
+
+    if (element.id) {
+      candidates.push(`#${CSS.escape(element.id)}`);
+    }
+
+    const classes = this.getClassNames(element).map(className => `.${CSS.escape(className)}`);
+    if (classes.length > 0) {
+      candidates.push(`${tag}${classes[0]}`);
+      if (classes.length > 1) {
+        candidates.push(`${tag}${classes.slice(0, 2).join('')}`);
+      }
+    }
+
+    ['name', 'aria-label', 'href', 'src', 'for', 'type'].forEach(attribute => {
+      const value = element.getAttribute(attribute);
+      if (value && value.length <= 100) {
+        candidates.push(`${tag}[${attribute}="${this.escapeAttributeValue(value)}"]`);
+      }
+    });
+
+    candidates.push(tag);
+
+    return candidates;
+  }
+
+  /**
+   * Build one step of a selector path for an element
+   * @param {Element} element - DOM element
+   * @param {Document|ShadowRoot} root - Root used for uniqueness checks
+   * @returns {string} Selector step
+   */
+  static getStep(element, root) {
+    if (element.id) {
+      const idSelector = `#${CSS.escape(element.id)}`;
+      if (this.isUnique(idSelector, element, root)) {
+        return idSelector;
+      }
+    }
+
+    let step = CSS.escape(element.localName);
+    const classes = this.getClassNames(element).slice(0, 2);
+    classes.forEach(className => {
+      step += `.${CSS.escape(className)}`;
+    });
+
+    const parent = element.parentElement;
+    if (parent) {
+      const sameSteps = Array.from(parent.children).filter(sibling => {
+        return sibling.localName === element.localName &&
+               classes.every(className => sibling.classList.contains(className));
+      });
+
+      if (sameSteps.length > 1) {
+        const sameTag = Array.from(parent.children).filter(sibling => sibling.localName === element.localName);
+        step += `:nth-of-type(${sameTag.indexOf(element) + 1})`;
+      }
+    }
+
+    return step;
+  }
+
+  /**
+   * Check that a selector matches exactly the given element
+   * @param {string} selector - CSS selector
+   * @param {Element} element - Expected element
+   * @param {Document|ShadowRoot} root - Root to query
+   */
+  static isUnique(selector, element, root) {
+    try {
+      const matches = root.querySelectorAll(selector);
+      return matches.length === 1 && matches[0] === element;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Get the document or shadow root the element belongs to
+   * @param {Element} element - DOM element
+   */
+  static getQueryRoot(element) {
+    const root = element.getRootNode ? element.getRootNode() : null;
+    return root && root.querySelectorAll ? root : element.ownerDocument;
+  }
+
+  /**
+   * Get class names of an element (works for SVG elements too)
+   * @param {Element} element - DOM element
+   * @returns {Array} Class names
+   */
+  static getClassNames(element) {
+    return element.classList ? Array.from(element.classList).filter(Boolean) : [];
+  }
+
+  /**
+   * Get XPath step name, using local-name() for non-HTML namespaces
+   * @param {Element} element - DOM element
+   */
+  static getXPathName(element) {
+    if (element.namespaceURI && element.namespaceURI !== 'http://www.w3.org/1999/xhtml') {
+      return `*[local-name()='${element.localName}']`;
+    }
+    return element.localName;
+  }
+
+  /**
+   * Escape a value for use inside a double-quoted attribute selector
+   * @param {string} value - Attribute value
+   */
+  static escapeAttributeValue(value) {
+    return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\a ');
+  }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SelectorUtils;
+} else {
+  window.SelectorUtils = SelectorUtils;
+}
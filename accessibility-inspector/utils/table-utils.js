@@ -0,0 +1,249 @@
+/**
+ * Table utility class for data table checks
+ * Builds the cell grid of a native table (with rowspan and colspan),
+ * tells data tables from layout tables the way browsers do, and assigns
+ * header cells to data cells following the HTML table model, so reports can
+ * show what a screen reader announces for each cell.
+ */
+
+class TableUtils {
+  // Valid values of the scope attribute
+  static SCOPE_VALUES = ['row', 'col', 'rowgroup', 'colgroup'];
+
+  // Number of data cells listed in a header map
+  static HEADER_MAP_LIMIT = 20;
+
+  /**
+   * Build the cell grid of a table
+   * Nested tables are not included, each table has its own grid
+   * @param {HTMLTableElement} table - Table element
+   * @returns {Object} Grid rows (arrays of cells per slot), cell positions and size
+   */
+  static getGrid(table) {
+    const rows = Array.from(table.rows || []);
+    const grid = rows.map(() => []);
+    const positions = new Map();
+    let columnCount = 0;
+
+    rows.forEach((row, rowIndex) => {
+      let columnIndex = 0;
+
+      Array.from(row.cells).forEach(cell => {
+        while (grid[rowIndex][columnIndex]) columnIndex++;
+
+        const colspan = Math.max(1, cell.colSpan || 1);
+        const rowspan = cell.rowSpan === 0 ? rows.length - rowIndex : Math.max(1, cell.rowSpan || 1);
+
+        for (let r = rowIndex; r < Math.min(rowIndex + rowspan, rows.length); r++) {
+          for (let c = columnIndex; c < columnIndex + colspan; c++) {
+            grid[r][c] = cell;
+          }
+        }
+
+        positions.set(cell, { row: rowIndex, column: columnIndex, rowspan, colspan });
+        columnIndex += colspan;
+        columnCount = Math.max(columnCount, columnIndex);
+      });
+    });
+
+    return { rows: grid, positions, rowCount: rows.length, columnCount };
+  }
+
+  /**
+   * Check if a table is a data table (as opposed to a layout table)
+   * Follows the heuristics browsers use to expose tables
+   * @param {HTMLTableElement} table - Table element
+   * @returns {boolean} True if the table presents data
+   */
+  static isDataTable(table) {
+    const role = AriaUtils.getExplicitRole(table);
+    if (role === 'presentation' || role === 'none') return false;
+    if (role === 'table' || role === 'grid' || role === 'treegrid') return true;
+
+    if (this.getDataMarkup(table).length > 0) return true;
+
+    // Tables holding other tables are used for layout
+    if (table.querySelector('table')) return false;
+
+    const grid = this.getGrid(table);
+    if (grid.rowCount <= 1 || grid.columnCount <= 1) return false;
+
+    return table.hasAttribute('border') || grid.rowCount >= 20;
+  }
+
+  /**
+   * Get data table markup used in a table (ignoring nested tables)
+   * @param {HTMLTableElement} table - Table element
+   * @returns {Array} Markup found, e.g. ['th', 'caption']
+   */
+  static getDataMarkup(table) {
+    const markup = [];
+    const cells = this.getCells(table);
+
+    if (table.caption && table.caption.textContent.trim()) markup.push('caption');
+    if (table.getAttribute('summary')) markup.push('summary');
+    if (table.tHead) markup.push('thead');
+    if (table.tFoot) markup.push('tfoot');
+    if (cells.some(cell => cell.localName === 'th')) markup.push('th');
+    if (cells.some(cell => cell.hasAttribute('scope'))) markup.push('scope');
+    if (cells.some(cell => cell.hasAttribute('headers'))) markup.push('headers');
+
+    return markup;
+  }
+
+  /**
+   * Get the cells of a table without cells of nested tables
+   * @param {HTMLTableElement} table - Table element
+   * @returns {Array} th and td elements
+   */
+  static getCells(table) {
+    return Array.from(table.rows || []).flatMap(row => Array.from(row.cells));
+  }
+
+  /**
+   * Get the table a cell belongs to
+   * @param {Element} cell - th or td element
+   * @returns {HTMLTableElement|null} Table element
+   */
+  static getTable(cell) {
+    return cell.closest('table');
+  }
+
+  /**
+   * Check if a header cell applies to the cells below it
+   * @param {Element} cell - th element
+   * @param {Object} grid - Grid from getGrid()
+   */
+  static isColumnHeader(cell, grid) {
+    const scope = (cell.getAttribute('scope') || '').toLowerCase();
+    if (scope === 'col' || scope === 'colgroup') return true;
+    if (scope === 'row' || scope === 'rowgroup') return false;
+
+    // Without scope, a th in the table head or in a row without data heads its column
+    if (cell.closest('thead')) return true;
+
+    const position = grid.positions.get(cell);
+    return grid.rows[position.row].every(slot => slot.localName === 'th' || !slot.textContent.trim());
+  }
+
+  /**
+   * Check if a header cell applies to the cells to the right of it
+   * @param {Element} cell - th element
+   * @param {Object} grid - Grid from getGrid()
+   */
+  static isRowHeader(cell, grid) {
+    const scope = (cell.getAttribute('scope') || '').toLowerCase();
+    if (scope === 'row' || scope === 'rowgroup') return true;
+    if (scope === 'col' || scope === 'colgroup') return false;
+
+    return !this.isColumnHeader(cell, grid);
+  }
+
+  /**
+   * Get the header cells that apply to a cell
+   * Uses the headers attribute when present, otherwise scans up the column
+   * for column headers and left along the row for row headers
+   * @param {Element} cell - th or td element
+   * @param {Object} grid - Grid from getGrid()
+   * @returns {Array} Header cells
+   */
+  static getHeaderCells(cell, grid) {
+    if (cell.hasAttribute('headers')) {
+      const table = this.getTable(cell);
+      return DomUtils.getReferencedElements(cell, 'headers')
+        .filter(header => header !== cell && (header.localName === 'th' || header.localName === 'td') && this.getTable(header) === table);
+    }
+
+    const position = grid.positions.get(cell);
+    if (!position) return [];
+
+    const headers = [];
+    const add = (slot) => {
+      if (slot && slot !== cell && slot.localName === 'th' && !headers.includes(slot)) {
+        headers.push(slot);
+      }
+    };
+
+    for (let c = position.column; c < position.column + position.colspan; c++) {
+      for (let r = 0; r < position.row; r++) {
+        const slot = grid.rows[r][c];
+        if (slot && slot.localName === 'th' && this.isColumnHeader(slot, grid)) add(slot);
+      }
+    }
+
+    for (let r = position.row; r < position.row + position.rowspan && r < grid.rowCount; r++) {
+      for (let c = 0; c < position.column; c++) {
+        const slot = grid.rows[r][c];
+        if (slot && slot.localName === 'th' && this.isRowHeader(slot, grid)) add(slot);
+      }
+    }
+
+    return headers;
+  }
+
+  /**
+   * Check if a table has multi-level or spanning headers that scope cannot express
+   * @param {HTMLTableElement} table - Table element
+   * @returns {boolean} True if the table is complex
+   */
+  static isComplex(table) {
+    const grid = this.getGrid(table);
+    const headers = this.getCells(table).filter(cell => cell.localName === 'th');
+
+    const columnHeaderRows = new Set();
+    const rowHeaderColumns = new Set();
+
+    for (const header of headers) {
+      const position = grid.positions.get(header);
+      if (this.isColumnHeader(header, grid)) {
+        // A spanning column header means several header levels
+        if (position.colspan > 1) return true;
+        columnHeaderRows.add(position.row);
+      } else {
+        if (position.rowspan > 1) return true;
+        rowHeaderColumns.add(position.column);
+      }
+    }
+
+    return columnHeaderRows.size > 1 || rowHeaderColumns.size > 1;
+  }
+
+  /**
+   * Build a textual map of the headers that apply to each data cell
+   * @param {HTMLTableElement} table - Table element
+   * @returns {Array} Lines such as 'R2C3 "42": Product, Q1'
+   */
+  static getHeaderMap(table) {
+    const grid = this.getGrid(table);
+    const dataCells = this.getCells(table).filter(cell => cell.localName === 'td');
+
+    const lines = dataCells.slice(0, this.HEADER_MAP_LIMIT).map(cell => {
+      const position = grid.positions.get(cell);
+      const headers = this.getHeaderCells(cell, grid).map(header => this.getCellText(header));
+      return `R${position.row + 1}C${position.column + 1} "${this.getCellText(cell)}": ${headers.length > 0 ? headers.join(', ') : '(no headers)'}`;
+    });
+
+    if (dataCells.length > this.HEADER_MAP_LIMIT) {
+      lines.push(`... ${dataCells.length - this.HEADER_MAP_LIMIT} more cells`);
+    }
+
+    return lines;
+  }
+
+  /**
+   * Get short text of a cell for header maps
+   * @param {Element} cell - th or td element
+   * @returns {string} Cell text, at most 30 characters
+   */
+  static getCellText(cell) {
+    const text = (cell.getAttribute('abbr') || AccessibleName.getContentText(cell)).trim();
+    return text.length > 30 ? `${text.slice(0, 29)}…` : text;
+  }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TableUtils;
+} else {
+  window.TableUtils = TableUtils;
+}
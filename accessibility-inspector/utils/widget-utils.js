@@ -0,0 +1,685 @@
+/**
+ * Composite widget utility class
+ * Tests custom widgets against the keyboard patterns of the ARIA Authoring
+ * Practices Guide: the scanner focuses the widget, sends the keys the pattern
+ * expects (arrows, Home/End, Enter, Space, Escape) and compares the resulting
+ * focus, aria-selected, aria-checked, aria-expanded, aria-activedescendant and
+ * tabindex with the expected behavior once the page had a frame to react to
+ * each key. Native controls are skipped, since
+ * synthetic key events do not trigger their built-in behavior.
+ */
+
+class WidgetUtils {
+  // Composite roles and the roles of the items they manage
+  static COMPOSITE_ITEMS = {
+    tablist: ['tab'],
+    menu: ['menuitem', 'menuitemcheckbox', 'menuitemradio'],
+    menubar: ['menuitem', 'menuitemcheckbox', 'menuitemradio'],
+    listbox: ['option'],
+    tree: ['treeitem'],
+    radiogroup: ['radio'],
+    grid: ['gridcell', 'columnheader', 'rowheader']
+  };
+
+  // Widgets with a keyboard pattern, the composites plus single-element widgets
+  static WIDGET_ROLES = [...Object.keys(WidgetUtils.COMPOSITE_ITEMS), 'combobox', 'slider'];
+
+  // Roles laid out in a row unless aria-orientation says otherwise
+  static HORIZONTAL_ROLES = ['tablist', 'menubar', 'radiogroup'];
+
+  // Roles whose pattern moves focus to the first and last item with Home and End
+  static HOME_END_ROLES = ['tablist', 'menu', 'menubar', 'listbox', 'tree'];
+
+  // Upper bound of key presses used to put a widget back into its initial state
+  static MAX_RESTORE_STEPS = 200;
+
+  /**
+   * Get the widget role of an element
+   * @param {Element} element - DOM element
+   * @returns {string|null} Role from WIDGET_ROLES, null for other elements
+   */
+  static getWidgetRole(element) {
+    const role = AriaUtils.getExplicitRole(element);
+    return this.WIDGET_ROLES.includes(role) ? role : null;
+  }
+
+  /**
+   * Get the visible items a composite widget manages
+   * Items of nested composites (a submenu inside a menu) belong to the nested widget
+   * @param {Element} widget - Composite widget
+   * @returns {Array} Items in reading order
+   */
+  static getItems(widget) {
+    const itemRoles = this.COMPOSITE_ITEMS[AriaUtils.getRole(widget)] || [];
+    const items = [];
+
+    const collect = element => {
+      AriaUtils.getOwnedElements(element).forEach(child => {
+        const role = AriaUtils.getRole(child);
+        if (this.COMPOSITE_ITEMS[role]) return;
+
+        if (itemRoles.includes(role)) {
+          items.push(child);
+          // Tree items contain the groups of their children
+          if (role === 'treeitem') collect(child);
+          return;
+        }
+        collect(child);
+      });
+    };
+    collect(widget);
+
+    return items.filter(item => !DomUtils.isHidden(item));
+  }
+
+  /**
+   * Get the rows of a grid with their visible cells
+   * @param {Element} grid - Grid element
+   * @returns {Array} Rows, each an array of cells
+   */
+  static getGridRows(grid) {
+    const cells = this.getItems(grid);
+    const rows = [];
+
+    cells.forEach(cell => {
+      const row = AriaUtils.getContextElement(cell);
+      let entry = rows.find(candidate => candidate.row === row);
+      if (!entry) {
+        entry = { row, cells: [] };
+        rows.push(entry);
+      }
+      entry.cells.push(cell);
+    });
+
+    return rows.map(entry => entry.cells);
+  }
+
+  /**
+   * Check if a widget is implemented with native controls the browser operates
+   * @param {Element} widget - Widget element
+   * @param {Array} items - Widget items
+   * @returns {boolean} True if synthetic keys cannot be used to test it
+   */
+  static isNative(widget, items) {
+    const native = 'input, select, option, textarea';
+    return (widget.matches(native) && AriaUtils.getExplicitRole(widget) !== 'combobox') ||
+           items.some(item => item.matches(native));
+  }
+
+  /**
+   * Check if a composite popup is opened by another element
+   * Popup menus and listboxes of comboboxes take focus programmatically,
+   * so they do not need a tab stop of their own
+   * @param {Element} widget - Composite widget
+   * @returns {boolean} True if the widget is a popup or a nested composite
+   */
+  static isPopup(widget) {
+    for (let current = DomUtils.getComposedParent(widget); current; current = DomUtils.getComposedParent(current)) {
+      if (current.nodeType === 1 && this.COMPOSITE_ITEMS[AriaUtils.getRole(current)]) return true;
+    }
+    return !!this.getController(widget);
+  }
+
+  /**
+   * Get the element that opens a popup widget
+   * @param {Element} widget - Popup widget
+   * @returns {Element|null} Element referencing the widget with aria-controls or aria-owns
+   */
+  static getController(widget) {
+    if (!widget.id) return null;
+
+    const id = SelectorUtils.escapeAttributeValue(widget.id);
+    return SelectorUtils.getQueryRoot(widget).querySelector(`[aria-controls~="${id}"], [aria-owns~="${id}"]`);
+  }
+
+  /**
+   * Test a widget with the keys of its APG keyboard pattern
+   * Focus and the scroll position are restored afterwards; the widget is
+   * moved back to its initial item where the pattern allows it
+   * @param {Element} widget - Widget element
+   * @returns {Promise<Array>} Failures ({ key, expected, observed, type })
+   */
+  static async testWidget(widget) {
+    const role = this.getWidgetRole(widget);
+    const doc = widget.ownerDocument;
+    const view = doc.defaultView || window;
+    const previous = doc.activeElement;
+    const scroll = { x: view.scrollX, y: view.scrollY };
+
+    try {
+      if (role === 'combobox') return await this.testCombobox(widget);
+      if (role === 'slider') return await this.testSlider(widget);
+      if (role === 'grid') return await this.testGrid(widget);
+      return await this.testItemList(widget, role);
+    } catch (error) {
+      console.error('Keyboard pattern test error:', error);
+      return [];
+    } finally {
+      if (previous && previous !== doc.body && previous.isConnected && typeof previous.focus === 'function') {
+        previous.focus({ preventScroll: true });
+      } else if (doc.activeElement && typeof doc.activeElement.blur === 'function') {
+        doc.activeElement.blur();
+      }
+      view.scrollTo(scroll.x, scroll.y);
+    }
+  }
+
+  /**
+   * Test tablist, menu, menubar, listbox, tree and radiogroup widgets
+   * @param {Element} widget - Composite widget
+   * @param {string} role - Widget role
+   * @returns {Promise<Array>} Failures
+   */
+  static async testItemList(widget, role) {
+    const failures = [];
+    const items = this.getItems(widget);
+    if (items.length < 2 || this.isNative(widget, items) || !this.focusWidget(widget, items)) return failures;
+
+    const horizontal = this.isHorizontal(widget, role);
+    const nextKey = horizontal ? 'ArrowRight' : 'ArrowDown';
+    const previousKey = horizontal ? 'ArrowLeft' : 'ArrowUp';
+    const initial = this.getCurrentItem(widget, items);
+    const initialState = initial ? this.getItemState(initial) : null;
+
+    // An arrow key moves to the adjacent item
+    const start = items.indexOf(initial);
+    const forward = start < items.length - 1;
+    const arrow = forward ? nextKey : previousKey;
+    const expected = start < 0 ? [items[0], items[1]] : this.getAdjacent(items, start, forward ? 1 : -1);
+
+    await this.press(widget, arrow);
+    const moved = this.expectItem(failures, widget, items, arrow, expected, 'error');
+
+    if (moved) {
+      this.checkRovingTabindex(failures, widget, items, moved, arrow);
+      await this.checkSelection(failures, widget, role, moved, arrow);
+    }
+
+    if (this.HOME_END_ROLES.includes(role)) {
+      await this.press(widget, 'End');
+      this.expectItem(failures, widget, items, 'End', this.getAdjacent(items, items.length, -1), 'warning');
+      await this.press(widget, 'Home');
+      this.expectItem(failures, widget, items, 'Home', this.getAdjacent(items, -1, 1), 'warning');
+    }
+
+    if (role === 'tree') {
+      await this.checkTreeExpansion(failures, widget, items);
+    }
+
+    await this.restoreItem(widget, items, initial, initialState, nextKey, previousKey);
+
+    // Popup menus close with Escape and return focus to their button
+    const controller = role === 'menu' ? this.getController(widget) : null;
+    if (controller && DomUtils.isFocusable(controller)) {
+      await this.press(widget, 'Escape');
+      const active = FocusUtils.getActiveElement(widget.ownerDocument);
+      if (active !== controller) {
+        failures.push({
+          key: 'Escape',
+          expected: `the menu to close and focus to return to ${this.describe(controller)}`,
+          observed: this.describeFocus(widget, items, active),
+          type: 'error'
+        });
+      }
+    }
+
+    return failures;
+  }
+
+  /**
+   * Test a grid: arrows move between cells, Home and End within the row
+   * @param {Element} grid - Grid element
+   * @returns {Promise<Array>} Failures
+   */
+  static async testGrid(grid) {
+    const failures = [];
+    const rows = this.getGridRows(grid);
+    const cells = rows.flat();
+    if (cells.length < 2 || this.isNative(grid, cells) || !this.focusWidget(grid, cells)) return failures;
+
+    const initial = this.getCurrentItem(grid, cells);
+    if (!initial) return failures;
+
+    const position = cell => {
+      const row = rows.findIndex(rowCells => rowCells.includes(cell));
+      return { row, column: row >= 0 ? rows[row].indexOf(cell) : -1 };
+    };
+
+    let { row, column } = position(initial);
+    if (column < rows[row].length - 1) {
+      await this.press(grid, 'ArrowRight');
+      const moved = this.expectItem(failures, grid, cells, 'ArrowRight', [rows[row][column + 1]], 'error');
+      if (moved) this.checkRovingTabindex(failures, grid, cells, moved, 'ArrowRight');
+    }
+
+    ({ row, column } = position(this.getCurrentItem(grid, cells) || initial));
+    if (row < rows.length - 1 && rows[row + 1][column]) {
+      await this.press(grid, 'ArrowDown');
+      this.expectItem(failures, grid, cells, 'ArrowDown', [rows[row + 1][column]], 'error');
+    }
+
+    ({ row } = position(this.getCurrentItem(grid, cells) || initial));
+    if (row >= 0 && rows[row].length > 1) {
+      await this.press(grid, 'End');
+      this.expectItem(failures, grid, cells, 'End', [rows[row][rows[row].length - 1]], 'warning');
+      await this.press(grid, 'Home');
+      this.expectItem(failures, grid, cells, 'Home', [rows[row][0]], 'warning');
+    }
+
+    // Walk back to the initial cell
+    for (let step = 0; step < this.MAX_RESTORE_STEPS; step++) {
+      const current = this.getCurrentItem(grid, cells);
+      if (!current || current === initial) break;
+
+      const from = position(current);
+      const to = position(initial);
+      const key = from.row > to.row ? 'ArrowUp' : from.row < to.row ? 'ArrowDown' : from.column > to.column ? 'ArrowLeft' : 'ArrowRight';
+      await this.press(grid, key);
+      if (this.getCurrentItem(grid, cells) === current) break;
+    }
+
+    return failures;
+  }
+
+  /**
+   * Test a combobox: Down Arrow opens the popup and activates an option, Escape closes it
+   * @param {Element} combobox - Combobox element
+   * @returns {Promise<Array>} Failures
+   */
+  static async testCombobox(combobox) {
+    const failures = [];
+    const input = combobox.matches(DomUtils.FOCUSABLE_SELECTOR)
+      ? combobox
+      : DomUtils.querySelectorAllDeep(DomUtils.FOCUSABLE_SELECTOR, combobox).find(element => DomUtils.isTabbable(element));
+    if (!input) return failures;
+
+    const value = 'value' in input ? input.value : null;
+    input.focus();
+    if (FocusUtils.getActiveElement(input.ownerDocument) !== input) return failures;
+
+    try {
+      if (combobox.getAttribute('aria-expanded') !== 'true') {
+        await this.press(input, 'ArrowDown');
+        if (combobox.getAttribute('aria-expanded') !== 'true') {
+          failures.push({
+            key: 'ArrowDown',
+            expected: 'the popup to open (aria-expanded="true")',
+            observed: `aria-expanded is "${combobox.getAttribute('aria-expanded') || 'missing'}"`,
+            type: 'warning'
+          });
+          return failures;
+        }
+      }
+
+      // The listbox may have been rendered by the previous key press
+      const popups = DomUtils.getReferencedElements(combobox, 'aria-controls');
+      const active = FocusUtils.getActiveElement(input.ownerDocument);
+      const current = DomUtils.getReferencedElements(input, 'aria-activedescendant')[0];
+      const inPopup = element => popups.some(popup => DomUtils.containsDeep(popup, element));
+
+      if (active === input && !(current && inPopup(current))) {
+        await this.press(input, 'ArrowDown');
+        const option = DomUtils.getReferencedElements(input, 'aria-activedescendant')[0];
+        const focused = FocusUtils.getActiveElement(input.ownerDocument);
+
+        if (!(option && inPopup(option)) && !(focused && inPopup(focused))) {
+          failures.push({
+            key: 'ArrowDown',
+            expected: 'an option of the popup to become active through aria-activedescendant',
+            observed: option
+              ? `aria-activedescendant points to ${this.describe(option)} outside the popup`
+              : focused === input ? 'focus stays on the combobox without an active option' : this.describeFocus(combobox, [], focused),
+            type: 'error'
+          });
+        }
+      }
+
+      const target = FocusUtils.getActiveElement(input.ownerDocument) || input;
+      await this.press(target, 'Escape');
+      const expanded = combobox.getAttribute('aria-expanded');
+      const focused = FocusUtils.getActiveElement(input.ownerDocument);
+
+      if (expanded === 'true' || focused !== input) {
+        failures.push({
+          key: 'Escape',
+          expected: 'the popup to close (aria-expanded="false") with focus staying in the combobox',
+          observed: expanded === 'true'
+            ? 'aria-expanded stays "true"'
+            : `focus moves to ${focused && focused !== input.ownerDocument.body ? this.describe(focused) : 'the page body'}`,
+          type: 'error'
+        });
+      }
+    } finally {
+      if (value !== null && input.value !== value) input.value = value;
+    }
+
+    return failures;
+  }
+
+  /**
+   * Test a slider: arrows change aria-valuenow by a step, Home and End set the limits
+   * @param {Element} slider - Slider element
+   * @returns {Promise<Array>} Failures
+   */
+  static async testSlider(slider) {
+    const failures = [];
+    const read = name => parseFloat(slider.getAttribute(name));
+    const initial = read('aria-valuenow');
+    if (Number.isNaN(initial) || !this.focusWidget(slider, [slider])) return failures;
+
+    const min = Number.isNaN(read('aria-valuemin')) ? 0 : read('aria-valuemin');
+    const max = Number.isNaN(read('aria-valuemax')) ? 100 : read('aria-valuemax');
+
+    const increase = initial < max;
+    const key = increase ? 'ArrowRight' : 'ArrowLeft';
+    await this.press(slider, key);
+
+    const value = read('aria-valuenow');
+    if (increase ? !(value > initial) : !(value < initial)) {
+      failures.push({
+        key,
+        expected: `aria-valuenow to ${increase ? 'increase' : 'decrease'} from ${initial}`,
+        observed: `aria-valuenow is ${Number.isNaN(value) ? 'missing' : value}`,
+        type: 'error'
+      });
+    }
+
+    for (const [limitKey, limit] of [['Home', min], ['End', max]]) {
+      await this.press(slider, limitKey);
+      const current = read('aria-valuenow');
+      if (current !== limit) {
+        failures.push({
+          key: limitKey,
+          expected: `aria-valuenow to become ${limit}`,
+          observed: `aria-valuenow is ${Number.isNaN(current) ? 'missing' : current}`,
+          type: 'warning'
+        });
+      }
+    }
+
+    // Step back down to the initial value
+    for (let step = 0; step < this.MAX_RESTORE_STEPS; step++) {
+      const current = read('aria-valuenow');
+      if (Number.isNaN(current) || current <= initial) break;
+      await this.press(slider, 'ArrowLeft');
+      if (read('aria-valuenow') === current) break;
+    }
+
+    return failures;
+  }
+
+  /**
+   * Check that a roving tabindex follows focus
+   * @param {Array} failures - Failures to add to
+   * @param {Element} widget - Composite widget
+   * @param {Array} items - Widget items
+   * @param {Element} current - Item focus moved to
+   * @param {string} key - Key that moved focus
+   */
+  static checkRovingTabindex(failures, widget, items, current, key) {
+    // aria-activedescendant widgets keep DOM focus on the container
+    if (FocusUtils.getActiveElement(widget.ownerDocument) !== current) return;
+
+    const stops = FocusUtils.getTabSequence(widget.getRootNode())
+      .map(entry => entry.element)
+      .filter(element => DomUtils.containsDeep(widget, element));
+
+    if (stops.length !== 1 || stops[0] !== current) {
+      failures.push({
+        key,
+        expected: 'the focused item to get tabindex="0" and the others tabindex="-1", leaving one tab stop',
+        observed: `${stops.length} tab stops in the widget, the focused item has tabindex="${current.getAttribute('tabindex')}"`,
+        type: 'error'
+      });
+    }
+  }
+
+  /**
+   * Check the selection behavior of tabs, radio buttons and multi-select listboxes
+   * @param {Array} failures - Failures to add to
+   * @param {Element} widget - Composite widget
+   * @param {string} role - Widget role
+   * @param {Element} current - Item focus moved to
+   * @param {string} arrow - Arrow key that moved focus
+   */
+  static async checkSelection(failures, widget, role, current, arrow) {
+    if (role === 'radiogroup' && current.getAttribute('aria-checked') !== 'true') {
+      await this.press(widget, ' ');
+      const checked = current.getAttribute('aria-checked') === 'true';
+      failures.push({
+        key: checked ? arrow : `${arrow}, Space`,
+        expected: `${arrow} to check ${this.describe(current)} (aria-checked="true")`,
+        observed: checked ? 'the radio button is only checked with Space' : 'neither the arrow key nor Space checks it',
+        type: checked ? 'warning' : 'error'
+      });
+    }
+
+    // Tabs with manual activation are selected with Enter or Space
+    if (role === 'tablist' && current.getAttribute('aria-selected') !== 'true') {
+      await this.press(widget, 'Enter');
+      if (current.getAttribute('aria-selected') !== 'true') {
+        await this.press(widget, ' ');
+      }
+      if (current.getAttribute('aria-selected') !== 'true') {
+        failures.push({
+          key: 'Enter, Space',
+          expected: `${this.describe(current)} to become selected (aria-selected="true")`,
+          observed: `aria-selected is "${current.getAttribute('aria-selected') || 'missing'}"`,
+          type: 'error'
+        });
+      }
+    }
+
+    if (role === 'listbox' && widget.getAttribute('aria-multiselectable') === 'true') {
+      const selected = current.getAttribute('aria-selected');
+      await this.press(widget, ' ');
+      const toggled = current.getAttribute('aria-selected');
+
+      if (toggled === selected) {
+        failures.push({
+          key: 'Space',
+          expected: `Space to toggle aria-selected of ${this.describe(current)}`,
+          observed: `aria-selected stays "${selected || 'missing'}"`,
+          type: 'error'
+        });
+      } else {
+        // Toggle it back
+        await this.press(widget, ' ');
+      }
+    }
+  }
+
+  /**
+   * Check that Right and Left Arrow expand and collapse the first parent tree item
+   * @param {Array} failures - Failures to add to
+   * @param {Element} tree - Tree widget
+   * @param {Array} items - Tree items
+   */
+  static async checkTreeExpansion(failures, tree, items) {
+    const current = this.getCurrentItem(tree, items);
+    if (!current || !current.hasAttribute('aria-expanded')) return;
+
+    const keys = current.getAttribute('aria-expanded') === 'true' ? ['ArrowLeft', 'ArrowRight'] : ['ArrowRight', 'ArrowLeft'];
+    for (const key of keys) {
+      const expected = key === 'ArrowRight' ? 'true' : 'false';
+      await this.press(tree, key);
+
+      if (this.getCurrentItem(tree, this.getItems(tree)) !== current || current.getAttribute('aria-expanded') !== expected) {
+        failures.push({
+          key,
+          expected: `${this.describe(current)} to ${key === 'ArrowRight' ? 'expand' : 'collapse'} (aria-expanded="${expected}")`,
+          observed: `aria-expanded is "${current.getAttribute('aria-expanded')}"`,
+          type: 'error'
+        });
+      }
+    }
+  }
+
+  /**
+   * Check the item that is current after a key press
+   * @param {Array} failures - Failures to add to
+   * @param {Element} widget - Composite widget
+   * @param {Array} items - Widget items
+   * @param {string} key - Key that was pressed
+   * @param {Array} expected - Acceptable items, the first one is named in the report
+   * @param {string} type - Issue type on failure
+   * @returns {Element|null} Current item, null if it is not one of the expected items
+   */
+  static expectItem(failures, widget, items, key, expected, type) {
+    const current = this.getCurrentItem(widget, items);
+    if (current && expected.includes(current)) return current;
+
+    failures.push({
+      key,
+      expected: `focus to move to ${this.describe(expected[0])}`,
+      observed: this.describeFocus(widget, items, FocusUtils.getActiveElement(widget.ownerDocument)),
+      type
+    });
+    return null;
+  }
+
+  /**
+   * Get the item next to an index, also accepting the next enabled item
+   * Patterns differ on whether disabled items take focus
+   * @param {Array} items - Widget items
+   * @param {number} index - Index to move from
+   * @param {number} direction - 1 or -1
+   * @returns {Array} Acceptable items
+   */
+  static getAdjacent(items, index, direction) {
+    const candidates = direction > 0 ? items.slice(index + 1) : items.slice(0, Math.max(index, 0)).reverse();
+    const enabled = candidates.find(item => item.getAttribute('aria-disabled') !== 'true');
+
+    return [candidates[0], enabled].filter(Boolean);
+  }
+
+  /**
+   * Move focus to the tab stop of a widget
+   * @param {Element} widget - Widget element
+   * @param {Array} items - Widget items
+   * @returns {boolean} True if focus is in the widget
+   */
+  static focusWidget(widget, items) {
+    const stop = [widget, ...items].find(element => DomUtils.isTabbable(element)) ||
+      DomUtils.querySelectorAllDeep(DomUtils.FOCUSABLE_SELECTOR, widget).find(element => DomUtils.isTabbable(element));
+    if (!stop) return false;
+
+    stop.focus();
+    const active = FocusUtils.getActiveElement(widget.ownerDocument);
+    return !!active && DomUtils.containsDeep(widget, active);
+  }
+
+  /**
+   * Get the item that is current: the focused item, or the aria-activedescendant of the focused element
+   * @param {Element} widget - Composite widget
+   * @param {Array} items - Widget items
+   * @returns {Element|null} Current item
+   */
+  static getCurrentItem(widget, items) {
+    const active = FocusUtils.getActiveElement(widget.ownerDocument);
+    if (!active) return null;
+    if (items.includes(active)) return active;
+
+    const descendant = DomUtils.getReferencedElements(active, 'aria-activedescendant')[0];
+    if (descendant && items.includes(descendant)) return descendant;
+
+    // Focus on a link or control inside a grid cell
+    return items.find(item => DomUtils.containsDeep(item, active)) || null;
+  }
+
+  /**
+   * Read the states the tests may change on an item
+   * @param {Element} item - Widget item
+   * @returns {Object} aria-selected and aria-checked values
+   */
+  static getItemState(item) {
+    return {
+      selected: item.getAttribute('aria-selected'),
+      checked: item.getAttribute('aria-checked')
+    };
+  }
+
+  /**
+   * Move back to the initial item with arrow keys and reselect it if needed
+   * @param {Element} widget - Composite widget
+   * @param {Array} items - Widget items
+   * @param {Element|null} initial - Item that was current before the test
+   * @param {Object|null} state - Initial state of the item
+   * @param {string} nextKey - Key moving to the next item
+   * @param {string} previousKey - Key moving to the previous item
+   */
+  static async restoreItem(widget, items, initial, state, nextKey, previousKey) {
+    if (!initial) return;
+
+    for (let step = 0; step < Math.min(items.length * 2, this.MAX_RESTORE_STEPS); step++) {
+      const current = this.getCurrentItem(widget, items);
+      if (!current || current === initial) break;
+      await this.press(widget, items.indexOf(current) > items.indexOf(initial) ? previousKey : nextKey);
+    }
+
+    if (this.getCurrentItem(widget, items) !== initial) return;
+    if ((state.selected === 'true' && initial.getAttribute('aria-selected') !== 'true') ||
+        (state.checked === 'true' && initial.getAttribute('aria-checked') !== 'true')) {
+      await this.press(widget, AriaUtils.getRole(widget) === 'tablist' ? 'Enter' : ' ');
+    }
+  }
+
+  /**
+   * Press a key on the focused element and wait for the widget to update
+   * @param {Element} widget - Widget, used when focus is not in the document
+   * @param {string} key - Key value
+   * @returns {Promise} Resolves when the page had time to react, see FocusUtils.waitForUpdate()
+   */
+  static async press(widget, key) {
+    const doc = widget.ownerDocument;
+    FocusUtils.dispatchKey(FocusUtils.getActiveElement(doc) || widget, 'keydown', key);
+    await Promise.resolve();
+    FocusUtils.dispatchKey(FocusUtils.getActiveElement(doc) || widget, 'keyup', key);
+    await FocusUtils.waitForUpdate(doc);
+  }
+
+  /**
+   * Check if a widget is laid out horizontally
+   * @param {Element} widget - Composite widget
+   * @param {string} role - Widget role
+   * @returns {boolean} True if the pattern uses Left and Right Arrow
+   */
+  static isHorizontal(widget, role) {
+    const orientation = widget.getAttribute('aria-orientation');
+    if (orientation === 'horizontal' || orientation === 'vertical') return orientation === 'horizontal';
+    return this.HORIZONTAL_ROLES.includes(role);
+  }
+
+  /**
+   * Describe an element for the report
+   * @param {Element} element - DOM element
+   * @returns {string} Role and name, e.g. tab "Settings"
+   */
+  static describe(element) {
+    const role = AriaUtils.getRole(element) || element.localName;
+    const name = AccessibleName.compute(element).name;
+    return name ? `${role} "${name.length > 40 ? `${name.slice(0, 40)}…` : name}"` : role;
+  }
+
+  /**
+   * Describe where focus is after a key press
+   * @param {Element} widget - Widget element
+   * @param {Array} items - Widget items
+   * @param {Element|null} active - Focused element
+   * @returns {string} Observed behavior
+   */
+  static describeFocus(widget, items, active) {
+    if (!active || active === widget.ownerDocument.body) return 'focus is lost to the page body';
+    if (!DomUtils.containsDeep(widget, active)) return `focus leaves the widget to ${this.describe(active)}`;
+
+    const current = this.getCurrentItem(widget, items);
+    return current ? `focus is on ${this.describe(current)}` : 'no item is focused or active';
+  }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WidgetUtils;
+} else {
+  window.WidgetUtils = WidgetUtils;
+}